@@ -1,103 +1,396 @@
-'use strict';
-
-/**
- * Promise Delivery Controller
- * 
- * Provides API endpoints for calculating delivery dates.
- */
-
-var server = require('server');
-var promiseDeliveryHelper = require('*/cartridge/scripts/helpers/promiseDeliveryHelper');
-
-/**
- * PromiseDelivery-GetEstimate
- * 
- * API endpoint to get delivery date estimate for a given ZIP code.
- * 
- * @param {string} zipCode - Destination ZIP code (query parameter)
- * @param {string} [shippingMethodId] - Optional shipping method ID (query parameter)
- * 
- * @returns {Object} JSON response with delivery estimate
- */
-server.get('GetEstimate', function (req, res, next) {
-    var zipCode = req.querystring.zipCode;
-    var shippingMethodId = req.querystring.shippingMethodId;
-
-    // Validate ZIP code
-    if (!promiseDeliveryHelper.isValidZipCode(zipCode)) {
-        res.json({
-            success: false,
-            error: 'Invalid ZIP code. Please enter a valid 5-digit US ZIP code.',
-            errorCode: 'INVALID_ZIP'
-        });
-        return next();
-    }
-
-    try {
-        var estimate = promiseDeliveryHelper.calculateDeliveryDate(zipCode, shippingMethodId);
-
-        res.json({
-            success: true,
-            zipCode: zipCode,
-            shippingMethodId: shippingMethodId || 'standard',
-            transitDays: estimate.transitDays,
-            deliveryDate: estimate.formattedDate,
-            deliveryDateFull: estimate.formattedDateFull,
-            displayMessage: estimate.displayMessage
-        });
-    } catch (e) {
-        res.json({
-            success: false,
-            error: 'Unable to calculate delivery date. Please try again.',
-            errorCode: 'CALCULATION_ERROR'
-        });
-    }
-
-    return next();
-});
-
-/**
- * PromiseDelivery-GetAllEstimates
- * 
- * API endpoint to get delivery estimates for all shipping methods.
- * Used in checkout to display delivery dates per shipping method.
- * 
- * @param {string} zipCode - Destination ZIP code (query parameter)
- * 
- * @returns {Object} JSON response with delivery estimates for all methods
- */
-server.get('GetAllEstimates', function (req, res, next) {
-    var zipCode = req.querystring.zipCode;
-
-    // Validate ZIP code
-    if (!promiseDeliveryHelper.isValidZipCode(zipCode)) {
-        res.json({
-            success: false,
-            error: 'Invalid ZIP code. Please enter a valid 5-digit US ZIP code.',
-            errorCode: 'INVALID_ZIP'
-        });
-        return next();
-    }
-
-    try {
-        var estimates = promiseDeliveryHelper.getDeliveryEstimatesForAllMethods(zipCode);
-
-        res.json({
-            success: true,
-            zipCode: zipCode,
-            shippingMethods: estimates
-        });
-    } catch (e) {
-        res.json({
-            success: false,
-            error: 'Unable to calculate delivery dates. Please try again.',
-            errorCode: 'CALCULATION_ERROR'
-        });
-    }
-
-    return next();
-});
-
-module.exports = server.exports();
-
-
+'use strict';
+
+/**
+ * Promise Delivery Controller
+ * 
+ * Provides API endpoints for calculating delivery dates.
+ */
+
+var server = require('server');
+var promiseDeliveryHelper = require('*/cartridge/scripts/helpers/promiseDeliveryHelper');
+var promiseDeliveryClosures = require('*/cartridge/scripts/helpers/promiseDeliveryClosures');
+var promiseDeliveryPreferences = require('*/cartridge/scripts/helpers/promiseDeliveryPreferences');
+var promiseDeliveryTransit = require('*/cartridge/scripts/helpers/promiseDeliveryTransit');
+
+// Most items a GetBatchEstimates request may ask for
+var MAX_BATCH_SIZE = 50;
+
+/**
+ * Validate the destination of a request
+ * 
+ * @param {string} zipCode - ZIP or postal code
+ * @param {string} countryCode - Country code
+ * @returns {Object|null} Error response, or null when the destination is valid
+ */
+function validateDestination(zipCode, countryCode) {
+    if (!promiseDeliveryHelper.isSupportedCountry(countryCode)) {
+        return {
+            success: false,
+            error: 'Delivery estimates are not available for this country.',
+            errorCode: 'UNSUPPORTED_COUNTRY'
+        };
+    }
+    if (!promiseDeliveryHelper.isValidZipCode(zipCode, countryCode)) {
+        return {
+            success: false,
+            error: countryCode === 'US'
+                ? 'Invalid ZIP code. Please enter a valid 5-digit or ZIP+4 US ZIP code.'
+                : 'Invalid postal code. Please enter a valid postal code.',
+            errorCode: 'INVALID_ZIP'
+        };
+    }
+    return null;
+}
+
+/**
+ * Build the product context of a request from the productId and quantity query parameters
+ * 
+ * @param {Object} querystring - Request query parameters, or a batch item
+ * @returns {Object|null} Product context ({productId, quantity}) or null when no product is given
+ */
+function getProductContext(querystring) {
+    if (!querystring.productId) {
+        return null;
+    }
+    return {
+        productId: querystring.productId,
+        quantity: parseInt(querystring.quantity, 10) || 1
+    };
+}
+
+/**
+ * Build the response of a single delivery estimate
+ * 
+ * @param {Object|null} estimate - Engine estimate, null when the shipping method does not
+ *     deliver to the destination
+ * @param {string} zipCode - Destination ZIP or postal code
+ * @param {string} countryCode - Destination country code
+ * @param {string} shippingMethodId - Shipping method ID
+ * @returns {Object} Estimate response, or an UNSERVICEABLE error response
+ */
+function buildEstimateResponse(estimate, zipCode, countryCode, shippingMethodId) {
+    // The carrier service of the method does not deliver there (e.g. overnight to
+    // APO/FPO, or a destination excluded by a serviceability rule)
+    if (!estimate) {
+        return {
+            success: false,
+            error: 'This shipping method does not deliver to this address.',
+            errorCode: 'UNSERVICEABLE'
+        };
+    }
+
+    return {
+        success: true,
+        zipCode: promiseDeliveryHelper.normalizePostalCode(zipCode, countryCode),
+        countryCode: countryCode,
+        shippingMethodId: shippingMethodId,
+        transitDays: estimate.transitDays,
+        handlingDays: estimate.handlingDays,
+        inStockDate: estimate.formattedInStockDate,
+        fulfillmentLocationId: estimate.fulfillmentLocationId,
+        carrierServiceId: estimate.carrierServiceId,
+        carrierServiceName: estimate.carrierServiceName,
+        deliveryDate: estimate.formattedDate,
+        deliveryDateFull: estimate.formattedDateFull,
+        displayMessage: estimate.displayMessage,
+        earliestDate: estimate.formattedEarliestDate,
+        latestDate: estimate.formattedLatestDate,
+        deliveryDateRange: estimate.formattedDateRange,
+        rangeDisplayMessage: estimate.rangeDisplayMessage,
+        deliveryDateISO: estimate.deliveryDateISO,
+        shipDateISO: estimate.shipDateISO,
+        inStockDateISO: estimate.inStockDateISO,
+        earliestDateISO: estimate.earliestDateISO,
+        latestDateISO: estimate.latestDateISO,
+        cutoffAt: estimate.cutoffAt,
+        msUntilCutoff: estimate.msUntilCutoff
+    };
+}
+
+/**
+ * Parse the JSON array of a GetBatchEstimates request body
+ * 
+ * @param {string} body - Request body
+ * @returns {Array|null} Batch items, or null when the body is not a JSON array
+ */
+function parseBatchItems(body) {
+    try {
+        var items = JSON.parse(body);
+        return Array.isArray(items) ? items : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * PromiseDelivery-GetEstimate
+ * 
+ * API endpoint to get delivery date estimate for a given ZIP code.
+ * 
+ * @param {string} zipCode - Destination ZIP or postal code (query parameter)
+ * @param {string} [countryCode] - Destination country code, defaults to US (query parameter)
+ * @param {string} [shippingMethodId] - Optional shipping method ID (query parameter),
+ *     defaults to the promiseDeliveryDefaultShippingMethod Site Preference
+ * @param {string} [productId] - Optional product ID, ships from a location that has it in stock
+ *     after its handling days (query parameter)
+ * @param {string} [quantity] - Optional quantity of the product, defaults to 1 (query parameter)
+ * 
+ * @returns {Object} JSON response with delivery estimate. Display strings are in English;
+ *     the *ISO fields (deliveryDateISO, shipDateISO...) are date-only YYYY-MM-DD values
+ *     for clients that format or store the dates themselves. cutoffAt (milliseconds since
+ *     the epoch) is when the estimate expires. Shipping methods that do not deliver to the
+ *     destination answer errorCode UNSERVICEABLE
+ */
+server.get('GetEstimate', function (req, res, next) {
+    var zipCode = req.querystring.zipCode;
+    var countryCode = (req.querystring.countryCode || 'US').toUpperCase();
+    var shippingMethodId = req.querystring.shippingMethodId || promiseDeliveryHelper.CONFIG.DEFAULT_SHIPPING_METHOD;
+
+    // Validate the ZIP or postal code of the destination
+    var destinationError = validateDestination(zipCode, countryCode);
+    if (destinationError) {
+        res.json(destinationError);
+        return next();
+    }
+
+    try {
+        var destination = {postalCode: zipCode, countryCode: countryCode};
+        var estimate = promiseDeliveryHelper.calculateDeliveryDate(destination, shippingMethodId, getProductContext(req.querystring));
+
+        res.json(buildEstimateResponse(estimate, zipCode, countryCode, shippingMethodId));
+    } catch (e) {
+        res.json({
+            success: false,
+            error: 'Unable to calculate delivery date. Please try again.',
+            errorCode: 'CALCULATION_ERROR'
+        });
+    }
+
+    return next();
+});
+
+/**
+ * PromiseDelivery-GetAllEstimates
+ * 
+ * API endpoint to get delivery estimates for all shipping methods.
+ * Used in checkout to display delivery dates per shipping method. The methods, names
+ * and prices are the site's (ShippingMgr), priced for the current basket when there is one.
+ * 
+ * @param {string} zipCode - Destination ZIP or postal code (query parameter)
+ * @param {string} [countryCode] - Destination country code, defaults to US (query parameter)
+ * @param {string} [productId] - Optional product ID, ships from a location that has it in stock
+ *     after its handling days (query parameter)
+ * @param {string} [quantity] - Optional quantity of the product, defaults to 1 (query parameter)
+ * 
+ * @returns {Object} JSON response with delivery estimates for the methods that deliver to
+ *     the destination, with the same date-only *ISO fields as GetEstimate; errorCode
+ *     UNSERVICEABLE when none does
+ */
+server.get('GetAllEstimates', function (req, res, next) {
+    var zipCode = req.querystring.zipCode;
+    var countryCode = (req.querystring.countryCode || 'US').toUpperCase();
+
+    // Validate the ZIP or postal code of the destination
+    var destinationError = validateDestination(zipCode, countryCode);
+    if (destinationError) {
+        res.json(destinationError);
+        return next();
+    }
+
+    try {
+        var destination = {postalCode: zipCode, countryCode: countryCode};
+        var estimates = promiseDeliveryHelper.getDeliveryEstimatesForAllMethods(destination, getProductContext(req.querystring));
+
+        // Methods that do not deliver to the destination are left out, none may be left
+        if (estimates.length === 0) {
+            res.json({
+                success: false,
+                error: 'We do not deliver to this address.',
+                errorCode: 'UNSERVICEABLE'
+            });
+            return next();
+        }
+
+        res.json({
+            success: true,
+            zipCode: promiseDeliveryHelper.normalizePostalCode(zipCode, countryCode),
+            countryCode: countryCode,
+            shippingMethods: estimates
+        });
+    } catch (e) {
+        res.json({
+            success: false,
+            error: 'Unable to calculate delivery dates. Please try again.',
+            errorCode: 'CALCULATION_ERROR'
+        });
+    }
+
+    return next();
+});
+
+/**
+ * PromiseDelivery-GetBatchEstimates
+ * 
+ * API endpoint to get delivery estimates for many product, destination and shipping
+ * method combinations in one round trip (search grids, cart, agents). Items are
+ * calculated together, sharing holidays, calendars and ship dates.
+ * 
+ * Request body: JSON array (at most 50 items) of
+ *     {productId, quantity, zipCode, countryCode, shippingMethodId}, where only zipCode
+ *     is required; countryCode defaults to US and shippingMethodId to the
+ *     promiseDeliveryDefaultShippingMethod Site Preference
+ * 
+ * @returns {Object} JSON response with results keyed by item index, each shaped like a
+ *     GetEstimate response: an estimate, or an error (INVALID_ZIP, UNSUPPORTED_COUNTRY,
+ *     UNSERVICEABLE, CALCULATION_ERROR) that only fails its own item. Invalid bodies answer
+ *     errorCode INVALID_REQUEST, too many items BATCH_TOO_LARGE, and a batch that cannot be
+ *     calculated at all CALCULATION_ERROR
+ */
+server.post('GetBatchEstimates', function (req, res, next) {
+    var items = parseBatchItems(req.body);
+    if (!items) {
+        res.json({
+            success: false,
+            error: 'The request body must be a JSON array of estimate requests.',
+            errorCode: 'INVALID_REQUEST'
+        });
+        return next();
+    }
+    if (items.length > MAX_BATCH_SIZE) {
+        res.json({
+            success: false,
+            error: 'A batch may request at most ' + MAX_BATCH_SIZE + ' estimates.',
+            errorCode: 'BATCH_TOO_LARGE'
+        });
+        return next();
+    }
+
+    // Validate every item first, then calculate the valid ones as one batch
+    var results = {};
+    var pendingItems = [];
+    items.forEach(function (item, index) {
+        var batchItem = item || {};
+        var zipCode = batchItem.zipCode ? String(batchItem.zipCode) : '';
+        var countryCode = String(batchItem.countryCode || 'US').toUpperCase();
+        var destinationError = validateDestination(zipCode, countryCode);
+        if (destinationError) {
+            results[index] = destinationError;
+            return;
+        }
+        pendingItems.push({
+            index: index,
+            zipCode: zipCode,
+            countryCode: countryCode,
+            shippingMethodId: batchItem.shippingMethodId || promiseDeliveryHelper.CONFIG.DEFAULT_SHIPPING_METHOD,
+            productContext: getProductContext(batchItem)
+        });
+    });
+
+    try {
+        var outcomes = promiseDeliveryHelper.calculateDeliveryDates(pendingItems.map(function (pendingItem) {
+            return {
+                destination: {postalCode: pendingItem.zipCode, countryCode: pendingItem.countryCode},
+                shippingMethodId: pendingItem.shippingMethodId,
+                productContext: pendingItem.productContext
+            };
+        }));
+        outcomes.forEach(function (outcome, i) {
+            var pendingItem = pendingItems[i];
+            results[pendingItem.index] = outcome.error
+                ? {
+                    success: false,
+                    error: 'Unable to calculate delivery date. Please try again.',
+                    errorCode: 'CALCULATION_ERROR'
+                }
+                : buildEstimateResponse(outcome.estimate, pendingItem.zipCode, pendingItem.countryCode, pendingItem.shippingMethodId);
+        });
+
+        res.json({
+            success: true,
+            results: results
+        });
+    } catch (e) {
+        res.json({
+            success: false,
+            error: 'Unable to calculate delivery dates. Please try again.',
+            errorCode: 'CALCULATION_ERROR'
+        });
+    }
+
+    return next();
+});
+
+/**
+ * PromiseDelivery-GetClosures
+ * 
+ * API endpoint to get the merchant closures (PromiseDeliveryClosure custom objects), for
+ * clients that run the engine themselves: PWA-Kit passes them to its engine as the
+ * closureLookup provider, so its dates skip the same closed days as the cartridge's.
+ * 
+ * @param {string} [year] - First year to get, defaults to the current year (query parameter)
+ * 
+ * @returns {Object} JSON response with the closures ({date, scope, fulfillmentLocationId,
+ *     carrierId}) of the year and the next, so promises made in December reach into January.
+ *     Invalid years answer errorCode INVALID_REQUEST
+ */
+server.get('GetClosures', function (req, res, next) {
+    var year = req.querystring.year ? Number(req.querystring.year) : new Date().getFullYear();
+    if (!/^\d{4}$/.test(String(year))) {
+        res.json({
+            success: false,
+            error: 'The year must have four digits.',
+            errorCode: 'INVALID_REQUEST'
+        });
+        return next();
+    }
+
+    try {
+        res.json({
+            success: true,
+            year: year,
+            closures: promiseDeliveryClosures.getClosures(year).concat(promiseDeliveryClosures.getClosures(year + 1))
+        });
+    } catch (e) {
+        res.json({
+            success: false,
+            error: 'Unable to get closures. Please try again.',
+            errorCode: 'CALCULATION_ERROR'
+        });
+    }
+
+    return next();
+});
+
+/**
+ * PromiseDelivery-GetConfig
+ * 
+ * API endpoint to get the promise delivery configuration set in Business Manager, for
+ * clients that run the engine themselves: PWA-Kit creates its engine with it, so its
+ * dates follow the same Site Preferences and transit lanes as the cartridge's.
+ * 
+ * @returns {Object} JSON response with the engine configuration values set in the
+ *     PromiseDelivery Site Preferences (config, keyed like the engine CONFIG, unset ones
+ *     left out) and the transit days of the PromiseDeliveryTransitTime lanes (transitLanes,
+ *     keyed like "100-006-ups-ground")
+ */
+server.get('GetConfig', function (req, res, next) {
+    try {
+        res.json({
+            success: true,
+            config: promiseDeliveryPreferences.getConfig(),
+            transitLanes: promiseDeliveryTransit.getLanes()
+        });
+    } catch (e) {
+        res.json({
+            success: false,
+            error: 'Unable to get the promise delivery configuration. Please try again.',
+            errorCode: 'CALCULATION_ERROR'
+        });
+    }
+
+    return next();
+});
+
+module.exports = server.exports();
+
+
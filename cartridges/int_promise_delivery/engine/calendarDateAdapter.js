@@ -0,0 +1,111 @@
+'use strict'
+
+/**
+ * dw.util.Calendar Date Adapter
+ *
+ * Exposes dw.util.Calendar through the date adapter interface used by the
+ * promise delivery engine. Every operation returns a new Calendar so engine
+ * code never mutates a date it was given.
+ */
+
+var Calendar = require('dw/util/Calendar')
+
+/**
+ * Reset the time fields of a Calendar to midnight
+ * @param {dw.util.Calendar} cal - Calendar to update
+ * @returns {dw.util.Calendar} The same calendar
+ */
+function toMidnight(cal) {
+    cal.set(Calendar.HOUR_OF_DAY, 0)
+    cal.set(Calendar.MINUTE, 0)
+    cal.set(Calendar.SECOND, 0)
+    cal.set(Calendar.MILLISECOND, 0)
+    return cal
+}
+
+/**
+ * Create a Calendar for a date at midnight
+ * @param {number} year - The year
+ * @param {number} month - The month (0-11)
+ * @param {number} day - Day of month (out of range values roll over)
+ * @returns {dw.util.Calendar} Calendar for the date
+ */
+function create(year, month, day) {
+    var cal = new Calendar()
+    // Move to the 1st first so setting the month never overflows
+    cal.set(Calendar.DAY_OF_MONTH, 1)
+    cal.set(Calendar.YEAR, year)
+    cal.set(Calendar.MONTH, month)
+    cal.set(Calendar.DAY_OF_MONTH, day)
+    return toMidnight(cal)
+}
+
+/**
+ * Add days to a date
+ * @param {dw.util.Calendar} cal - Starting calendar
+ * @param {number} days - Number of days to add (may be negative)
+ * @returns {dw.util.Calendar} New calendar for the resulting date
+ */
+function addDays(cal, days) {
+    var result = new Calendar(cal.getTime())
+    result.add(Calendar.DAY_OF_MONTH, days)
+    return result
+}
+
+/**
+ * Get the current wall clock time in a timezone
+ * The Calendar applies the rules of the timezone to the current instant, so the
+ * fields follow DST transitions (1:59 AM EST is followed by 3:00 AM EDT).
+ * @param {string} timeZone - IANA timezone ID
+ * @returns {Object} Local time ({year, month (0-11), day, hour (0-23), minute, timestamp})
+ */
+function getLocalTime(timeZone) {
+    var cal = new Calendar()
+    cal.setTimeZone(timeZone)
+    return {
+        year: cal.get(Calendar.YEAR),
+        month: cal.get(Calendar.MONTH),
+        day: cal.get(Calendar.DAY_OF_MONTH),
+        hour: cal.get(Calendar.HOUR_OF_DAY),
+        minute: cal.get(Calendar.MINUTE),
+        timestamp: cal.getTime().getTime()
+    }
+}
+
+/**
+ * Get the instant the wall clock of a timezone reads a given hour on a date
+ * @param {dw.util.Calendar} cal - Calendar of the date
+ * @param {number} hour - Hour of day (0-23)
+ * @param {string} timeZone - IANA timezone ID
+ * @returns {number} Milliseconds since the epoch
+ */
+function getTimestamp(cal, hour, timeZone) {
+    var result = new Calendar()
+    result.setTimeZone(timeZone)
+    result.set(Calendar.DAY_OF_MONTH, 1)
+    result.set(Calendar.YEAR, cal.get(Calendar.YEAR))
+    result.set(Calendar.MONTH, cal.get(Calendar.MONTH))
+    result.set(Calendar.DAY_OF_MONTH, cal.get(Calendar.DAY_OF_MONTH))
+    toMidnight(result).set(Calendar.HOUR_OF_DAY, hour)
+    return result.getTime().getTime()
+}
+
+module.exports = {
+    create: create,
+    addDays: addDays,
+    getLocalTime: getLocalTime,
+    getTimestamp: getTimestamp,
+    getYear: function (cal) {
+        return cal.get(Calendar.YEAR)
+    },
+    getMonth: function (cal) {
+        return cal.get(Calendar.MONTH)
+    },
+    getDate: function (cal) {
+        return cal.get(Calendar.DAY_OF_MONTH)
+    },
+    getDayOfWeek: function (cal) {
+        // dw.util.Calendar uses 1=Sunday ... 7=Saturday
+        return cal.get(Calendar.DAY_OF_WEEK) - Calendar.SUNDAY
+    }
+}
@@ -0,0 +1,72 @@
+'use strict'
+
+/**
+ * FedEx Carrier
+ *
+ * Local (table-driven) FedEx adapter, see localCarrierAdapter.
+ */
+
+var createLocalCarrierAdapter = require('./localCarrierAdapter').createLocalCarrierAdapter
+
+var WEEKDAYS = [1, 2, 3, 4, 5]
+var MONDAY_TO_SATURDAY = [1, 2, 3, 4, 5, 6]
+var TUESDAY_TO_SATURDAY = [2, 3, 4, 5, 6]
+// FedEx does not deliver on these holidays
+var HOLIDAYS = [
+    'new-years-day',
+    'memorial-day',
+    'independence-day',
+    'labor-day',
+    'thanksgiving',
+    'christmas'
+]
+
+// FedEx does not deliver to APO/FPO addresses or Guam, see transitDaysByDestinationClass
+module.exports = createLocalCarrierAdapter({
+    id: 'fedex',
+    name: 'FedEx',
+    services: {
+        'fedex-ground': {
+            name: 'FedEx Ground',
+            transitDaysByZoneDistance: [1, 2, 3, 4, 5],
+            unknownDestinationTransitDays: 5,
+            transitDaysByDestinationClass: {'puerto-rico': 6, alaska: 7, hawaii: 7},
+            transitSpread: {min: -1, max: 1},
+            deliveryDays: WEEKDAYS,
+            holidays: HOLIDAYS
+        },
+        'fedex-home-delivery': {
+            name: 'FedEx Home Delivery',
+            transitDaysByZoneDistance: [1, 2, 3, 4, 5],
+            unknownDestinationTransitDays: 5,
+            transitDaysByDestinationClass: {'puerto-rico': 6, alaska: 7, hawaii: 7},
+            transitSpread: {min: -1, max: 1},
+            deliveryDays: TUESDAY_TO_SATURDAY,
+            holidays: HOLIDAYS
+        },
+        'fedex-2day': {
+            name: 'FedEx 2Day',
+            transitDaysByZoneDistance: [1, 2],
+            unknownDestinationTransitDays: 2,
+            transitDaysByDestinationClass: {'puerto-rico': 3, alaska: 3, hawaii: 3},
+            deliveryDays: WEEKDAYS,
+            holidays: HOLIDAYS
+        },
+        'fedex-standard-overnight': {
+            name: 'FedEx Standard Overnight',
+            transitDaysByZoneDistance: [1],
+            unknownDestinationTransitDays: 1,
+            transitDaysByDestinationClass: {'puerto-rico': 2, alaska: 2, hawaii: 2},
+            deliveryDays: WEEKDAYS,
+            holidays: HOLIDAYS
+        },
+        'fedex-priority-overnight': {
+            name: 'FedEx Priority Overnight',
+            transitDaysByZoneDistance: [1],
+            unknownDestinationTransitDays: 1,
+            transitDaysByDestinationClass: {'puerto-rico': 2, alaska: 2, hawaii: 2},
+            deliveryDays: MONDAY_TO_SATURDAY,
+            holidays: HOLIDAYS
+        }
+    }
+})
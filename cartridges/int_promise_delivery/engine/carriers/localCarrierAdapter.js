@@ -0,0 +1,158 @@
+'use strict'
+
+/**
+ * Local Carrier Adapter
+ *
+ * Builds a carrier adapter from a static table, so carrier services work
+ * offline without calling a carrier API. Carrier adapters implement:
+ *
+ * - id, name: carrier ID and display name
+ * - getServices(): the carrier's services ([{id, name}]), service IDs are unique across carriers
+ * - getTransitDays(serviceId, originZip, destinationZip, destinationCountryCode):
+ *   transit days, or null when unknown (the country code defaults to US)
+ * - deliversTo(serviceId, destinationZip, destinationCountryCode) (optional): false
+ *   when the service does not deliver to the destination
+ * - getDeliveryDays(serviceId): days of week the service delivers on (0=Sunday ... 6=Saturday)
+ * - getHolidayCalendar(serviceId): IDs of the holidays the service does not deliver on
+ * - getTransitSpread(serviceId) (optional): how many days earlier ({min}, zero or negative)
+ *   and later ({max}) than its transit days the service may deliver
+ *
+ * Local tables estimate transit days from ZIP range zones. Zones are 20000 ZIPs
+ * wide (00000-19999 is zone 0 ... 80000-99999 is zone 4) and each service lists
+ * its transit days by the number of zones between origin and destination.
+ * Destinations outside the US have no zone and use the unknown destination
+ * transit days.
+ *
+ * Military and non-contiguous US destinations (see postalCodes.getDestinationClass)
+ * skip the zones: each service lists its transit days per destination class and
+ * does not deliver to the classes it leaves out.
+ */
+
+var postalCodes = require('../postalCodes')
+
+var ZIP_ZONE_SIZE = 20000
+var MAX_ZIP_ZONE = 4
+var NO_TRANSIT_SPREAD = {min: 0, max: 0}
+
+/**
+ * Get the ZIP range zone of a ZIP code
+ * @param {string} zipCode - ZIP code
+ * @returns {number|null} Zone (0-4), or null when the ZIP cannot be read
+ */
+function getZipZone(zipCode) {
+    var zipNum = parseInt(zipCode, 10)
+    if (isNaN(zipNum) || zipNum < 0) {
+        return null
+    }
+    return Math.min(MAX_ZIP_ZONE, Math.floor(zipNum / ZIP_ZONE_SIZE))
+}
+
+/**
+ * Create a carrier adapter from a service table
+ * Each service of the table has:
+ * - name: display name
+ * - transitDaysByZoneDistance: transit days for 0, 1, 2... zones between origin
+ *   and destination (the last entry covers longer distances)
+ * - unknownDestinationTransitDays: transit days when the destination ZIP cannot be read,
+ *   or is outside the US
+ * - transitDaysByDestinationClass: transit days per destination class (alaska,
+ *   military...), the classes the service delivers to (optional, none by default)
+ * - transitSpread: {min, max} days added to the transit days for the earliest and latest
+ *   delivery date (optional, guaranteed services have none)
+ * - deliveryDays: days of week the service delivers on
+ * - holidays: IDs of the holidays the service does not deliver on
+ * @param {Object} table - Carrier table ({id, name, services: {serviceId: service}})
+ * @returns {Object} Carrier adapter
+ */
+function createLocalCarrierAdapter(table) {
+    /**
+     * Get a service of the table
+     * @param {string} serviceId - Carrier service ID
+     * @returns {Object|null} Service table entry
+     */
+    function getService(serviceId) {
+        return table.services[serviceId] || null
+    }
+
+    /**
+     * Get the destination class of a destination
+     * @param {string} destinationZip - Destination ZIP or postal code
+     * @param {string} [destinationCountryCode] - Destination country code, defaults to US
+     * @returns {string|null} Destination class ID, or null for other destinations
+     */
+    function getDestinationClass(destinationZip, destinationCountryCode) {
+        return postalCodes.getDestinationClass(destinationZip, destinationCountryCode)
+    }
+
+    return {
+        id: table.id,
+        name: table.name,
+
+        getServices: function () {
+            return Object.keys(table.services).map(function (serviceId) {
+                return {id: serviceId, name: table.services[serviceId].name}
+            })
+        },
+
+        getTransitDays: function (serviceId, originZip, destinationZip, destinationCountryCode) {
+            var service = getService(serviceId)
+            if (!service) {
+                return null
+            }
+
+            var destinationClass = getDestinationClass(destinationZip, destinationCountryCode)
+            if (destinationClass) {
+                var classTransitDays = (service.transitDaysByDestinationClass || {})[
+                    destinationClass
+                ]
+                return typeof classTransitDays === 'number'
+                    ? classTransitDays
+                    : service.unknownDestinationTransitDays
+            }
+
+            var isDomestic = !destinationCountryCode || destinationCountryCode === 'US'
+            var destinationZone = isDomestic ? getZipZone(destinationZip) : null
+            if (destinationZone === null) {
+                return service.unknownDestinationTransitDays
+            }
+
+            var originZone = getZipZone(originZip)
+            var zoneDistance = Math.abs(destinationZone - (originZone === null ? 0 : originZone))
+            var transitDays = service.transitDaysByZoneDistance
+            return transitDays[Math.min(zoneDistance, transitDays.length - 1)]
+        },
+
+        deliversTo: function (serviceId, destinationZip, destinationCountryCode) {
+            var service = getService(serviceId)
+            if (!service) {
+                return false
+            }
+
+            var destinationClass = getDestinationClass(destinationZip, destinationCountryCode)
+            return (
+                !destinationClass ||
+                typeof (service.transitDaysByDestinationClass || {})[destinationClass] === 'number'
+            )
+        },
+
+        getDeliveryDays: function (serviceId) {
+            var service = getService(serviceId)
+            return service ? service.deliveryDays : []
+        },
+
+        getHolidayCalendar: function (serviceId) {
+            var service = getService(serviceId)
+            return service ? service.holidays : []
+        },
+
+        getTransitSpread: function (serviceId) {
+            var service = getService(serviceId)
+            return (service && service.transitSpread) || NO_TRANSIT_SPREAD
+        }
+    }
+}
+
+module.exports = {
+    createLocalCarrierAdapter: createLocalCarrierAdapter,
+    getZipZone: getZipZone
+}
@@ -0,0 +1,53 @@
+'use strict'
+
+/**
+ * UPS Carrier
+ *
+ * Local (table-driven) UPS adapter, see localCarrierAdapter.
+ */
+
+var createLocalCarrierAdapter = require('./localCarrierAdapter').createLocalCarrierAdapter
+
+var WEEKDAYS = [1, 2, 3, 4, 5]
+// UPS does not deliver on these holidays
+var HOLIDAYS = [
+    'new-years-day',
+    'memorial-day',
+    'independence-day',
+    'labor-day',
+    'thanksgiving',
+    'christmas'
+]
+
+// UPS does not deliver to APO/FPO addresses or Guam, see transitDaysByDestinationClass
+module.exports = createLocalCarrierAdapter({
+    id: 'ups',
+    name: 'UPS',
+    services: {
+        'ups-ground': {
+            name: 'UPS Ground',
+            transitDaysByZoneDistance: [1, 2, 3, 4, 5],
+            unknownDestinationTransitDays: 5,
+            transitDaysByDestinationClass: {'puerto-rico': 6, alaska: 7, hawaii: 7},
+            transitSpread: {min: -1, max: 1},
+            deliveryDays: WEEKDAYS,
+            holidays: HOLIDAYS
+        },
+        'ups-2nd-day-air': {
+            name: 'UPS 2nd Day Air',
+            transitDaysByZoneDistance: [2],
+            unknownDestinationTransitDays: 2,
+            transitDaysByDestinationClass: {'puerto-rico': 2, alaska: 2, hawaii: 2},
+            deliveryDays: WEEKDAYS,
+            holidays: HOLIDAYS
+        },
+        'ups-next-day-air': {
+            name: 'UPS Next Day Air',
+            transitDaysByZoneDistance: [1],
+            unknownDestinationTransitDays: 1,
+            transitDaysByDestinationClass: {'puerto-rico': 2, alaska: 2, hawaii: 2},
+            deliveryDays: WEEKDAYS,
+            holidays: HOLIDAYS
+        }
+    }
+})
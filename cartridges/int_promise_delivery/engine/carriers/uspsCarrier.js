@@ -0,0 +1,76 @@
+'use strict'
+
+/**
+ * USPS Carrier
+ *
+ * Local (table-driven) USPS adapter, see localCarrierAdapter.
+ */
+
+var createLocalCarrierAdapter = require('./localCarrierAdapter').createLocalCarrierAdapter
+
+var MONDAY_TO_SATURDAY = [1, 2, 3, 4, 5, 6]
+// USPS does not deliver on federal holidays
+var HOLIDAYS = [
+    'new-years-day',
+    'mlk-day',
+    'presidents-day',
+    'memorial-day',
+    'juneteenth',
+    'independence-day',
+    'labor-day',
+    'columbus-day',
+    'veterans-day',
+    'thanksgiving',
+    'christmas'
+]
+
+module.exports = createLocalCarrierAdapter({
+    id: 'usps',
+    name: 'USPS',
+    services: {
+        'usps-ground-advantage': {
+            name: 'USPS Ground Advantage',
+            transitDaysByZoneDistance: [2, 3, 4, 5],
+            unknownDestinationTransitDays: 5,
+            transitDaysByDestinationClass: {
+                'puerto-rico': 5,
+                alaska: 5,
+                hawaii: 5,
+                guam: 7,
+                military: 10
+            },
+            transitSpread: {min: -1, max: 2},
+            deliveryDays: MONDAY_TO_SATURDAY,
+            holidays: HOLIDAYS
+        },
+        'usps-priority-mail': {
+            name: 'USPS Priority Mail',
+            transitDaysByZoneDistance: [1, 2, 2, 3],
+            unknownDestinationTransitDays: 3,
+            transitDaysByDestinationClass: {
+                'puerto-rico': 3,
+                alaska: 3,
+                hawaii: 3,
+                guam: 4,
+                military: 7
+            },
+            transitSpread: {min: 0, max: 1},
+            deliveryDays: MONDAY_TO_SATURDAY,
+            holidays: HOLIDAYS
+        },
+        'usps-priority-mail-express': {
+            name: 'USPS Priority Mail Express',
+            transitDaysByZoneDistance: [1, 1, 1, 2],
+            unknownDestinationTransitDays: 2,
+            transitDaysByDestinationClass: {
+                'puerto-rico': 2,
+                alaska: 2,
+                hawaii: 2,
+                guam: 3,
+                military: 3
+            },
+            deliveryDays: [0, 1, 2, 3, 4, 5, 6],
+            holidays: []
+        }
+    }
+})
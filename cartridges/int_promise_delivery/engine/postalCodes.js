@@ -0,0 +1,239 @@
+'use strict'
+
+/**
+ * Postal Codes
+ *
+ * Country-aware postal code validation, normalization and transit zones, shared
+ * by both storefronts. Each supported country declares:
+ *
+ * - pattern: regular expression matched against the compact code (upper case,
+ *   without spaces or hyphens); its matched groups are joined with separator
+ * - separator: text between the groups of the normalized code
+ * - maxLength: characters a shopper may type, separators included
+ * - invalidCharacters: characters removed from input as the shopper types
+ * - getZone(groups): transit zone of a code, prefixed with the country code
+ *   outside the US so zones of different countries never collide
+ *
+ * US transit zones are ZIP3 prefixes (sectional centers), the keys of the
+ * transit matrix and of the transitLookup provider.
+ *
+ * US destinations outside the contiguous states, and military (APO/FPO/DPO)
+ * addresses, belong to a destination class (see DESTINATION_CLASSES). Carrier
+ * services declare their own transit days per class and do not deliver to the
+ * classes they leave out.
+ */
+
+var DEFAULT_COUNTRY_CODE = 'US'
+
+var POSTAL_CODE_FORMATS = {
+    // 10001 or ZIP+4 10001-1234
+    US: {
+        pattern: /^(\d{5})(\d{4})?$/,
+        separator: '-',
+        maxLength: 10,
+        invalidCharacters: /[^\d-]/g,
+        getZone: function (groups) {
+            return groups[0].substring(0, 3)
+        }
+    },
+    // K1A 0B1, zoned by forward sortation area (K1A)
+    CA: {
+        pattern: /^([ABCEGHJ-NPRSTVXY]\d[A-Z])(\d[A-Z]\d)$/,
+        separator: ' ',
+        maxLength: 7,
+        invalidCharacters: /[^\dA-Z ]/g,
+        getZone: function (groups) {
+            return 'CA-' + groups[0]
+        }
+    },
+    // SW1A 1AA, zoned by postcode area (SW)
+    GB: {
+        pattern: /^([A-Z]{1,2}\d[A-Z\d]?)(\d[A-Z]{2})$/,
+        separator: ' ',
+        maxLength: 8,
+        invalidCharacters: /[^\dA-Z ]/g,
+        getZone: function (groups) {
+            return 'GB-' + groups[0].match(/^[A-Z]+/)[0]
+        }
+    },
+    // 06600, zoned by the first two digits (state)
+    MX: {
+        pattern: /^(\d{5})$/,
+        separator: '',
+        maxLength: 5,
+        invalidCharacters: /\D/g,
+        getZone: function (groups) {
+            return 'MX-' + groups[0].substring(0, 2)
+        }
+    }
+}
+
+// US destination classes by ZIP3 range (both inclusive), ZIPs outside them are contiguous
+var DESTINATION_CLASSES = [
+    // APO/FPO/DPO: Armed Forces Europe (AE), Americas (AA) and Pacific (AP)
+    {
+        id: 'military',
+        zip3Ranges: [
+            ['090', '098'],
+            ['340', '340'],
+            ['962', '966']
+        ]
+    },
+    {id: 'alaska', zip3Ranges: [['995', '999']]},
+    {id: 'hawaii', zip3Ranges: [['967', '968']]},
+    // Puerto Rico and the US Virgin Islands
+    {id: 'puerto-rico', zip3Ranges: [['006', '009']]},
+    {id: 'guam', zip3Ranges: [['969', '969']]}
+]
+
+/**
+ * Get the country code of a destination, defaulting to the US
+ * @param {string} [countryCode] - ISO 3166-1 alpha-2 country code
+ * @returns {string} Upper case country code
+ */
+function resolveCountryCode(countryCode) {
+    return countryCode ? String(countryCode).toUpperCase() : DEFAULT_COUNTRY_CODE
+}
+
+/**
+ * Check whether postal codes of a country are supported
+ * @param {string} [countryCode] - Country code, defaults to US
+ * @returns {boolean} True if the country has a postal code format
+ */
+function isSupportedCountry(countryCode) {
+    return Object.prototype.hasOwnProperty.call(
+        POSTAL_CODE_FORMATS,
+        resolveCountryCode(countryCode)
+    )
+}
+
+/**
+ * Match a postal code against the format of its country
+ * @param {string} postalCode - Postal code as entered
+ * @param {string} [countryCode] - Country code, defaults to US
+ * @returns {Object|null} Format and matched groups ({format, groups}), or null when invalid
+ */
+function parsePostalCode(postalCode, countryCode) {
+    var format = POSTAL_CODE_FORMATS[resolveCountryCode(countryCode)]
+    if (!format || !postalCode || typeof postalCode !== 'string') {
+        return null
+    }
+
+    var match = postalCode.toUpperCase().replace(/[\s-]/g, '').match(format.pattern)
+    if (!match) {
+        return null
+    }
+    // Optional groups that did not match (the +4 of a ZIP code) are left out
+    var groups = match.slice(1).filter(function (group) {
+        return group !== undefined
+    })
+    return {format: format, groups: groups}
+}
+
+/**
+ * Validate a postal code
+ * @param {string} postalCode - Postal code as entered
+ * @param {string} [countryCode] - Country code, defaults to US
+ * @returns {boolean} True if valid for the country
+ */
+function isValidPostalCode(postalCode, countryCode) {
+    return parsePostalCode(postalCode, countryCode) !== null
+}
+
+/**
+ * Normalize a postal code to the canonical form of its country (e.g. k1a0b1 -> K1A 0B1,
+ * 902101234 -> 90210-1234)
+ * @param {string} postalCode - Postal code as entered
+ * @param {string} [countryCode] - Country code, defaults to US
+ * @returns {string|null} Normalized postal code, or null when invalid
+ */
+function normalizePostalCode(postalCode, countryCode) {
+    var parsed = parsePostalCode(postalCode, countryCode)
+    return parsed ? parsed.groups.join(parsed.format.separator) : null
+}
+
+/**
+ * Get the transit zone of a postal code
+ * @param {string} postalCode - Postal code as entered
+ * @param {string} [countryCode] - Country code, defaults to US
+ * @returns {string|null} Transit zone (ZIP3 in the US, e.g. CA-K1A elsewhere), or null when invalid
+ */
+function getTransitZone(postalCode, countryCode) {
+    var parsed = parsePostalCode(postalCode, countryCode)
+    return parsed ? parsed.format.getZone(parsed.groups) : null
+}
+
+/**
+ * Get the destination class of a postal code
+ * @param {string} postalCode - Postal code as entered
+ * @param {string} [countryCode] - Country code, defaults to US
+ * @returns {string|null} Destination class ID (military, alaska, hawaii, puerto-rico or guam),
+ *     or null for contiguous US, international and invalid destinations
+ */
+function getDestinationClass(postalCode, countryCode) {
+    if (resolveCountryCode(countryCode) !== DEFAULT_COUNTRY_CODE) {
+        return null
+    }
+    var zip3 = getTransitZone(postalCode, countryCode)
+    if (!zip3) {
+        return null
+    }
+
+    for (var i = 0; i < DESTINATION_CLASSES.length; i++) {
+        var isInClass = DESTINATION_CLASSES[i].zip3Ranges.some(function (range) {
+            return zip3 >= range[0] && zip3 <= range[1]
+        })
+        if (isInClass) {
+            return DESTINATION_CLASSES[i].id
+        }
+    }
+    return null
+}
+
+/**
+ * Clean up postal code input as the shopper types
+ * Keeps the characters postal codes of the country may contain, in upper case,
+ * up to the length of a normalized code.
+ * @param {string} value - Input value
+ * @param {string} [countryCode] - Country code, defaults to US
+ * @returns {string} Cleaned input
+ */
+function sanitizePostalCodeInput(value, countryCode) {
+    var format = POSTAL_CODE_FORMATS[resolveCountryCode(countryCode)]
+    var cleaned = String(value || '').toUpperCase()
+    return format
+        ? cleaned.replace(format.invalidCharacters, '').substring(0, format.maxLength)
+        : cleaned
+}
+
+/**
+ * Resolve a destination into its country, normalized postal code, transit zone and class
+ * @param {string|Object} destination - US ZIP code, or {postalCode, countryCode}
+ * @returns {Object} Destination ({postalCode, countryCode, zone, destinationClass}),
+ *     postalCode being the input as is and zone null when the postal code is invalid
+ */
+function resolveDestination(destination) {
+    var postalCode =
+        destination && typeof destination === 'object' ? destination.postalCode : destination
+    var countryCode = resolveCountryCode(
+        destination && typeof destination === 'object' ? destination.countryCode : null
+    )
+    return {
+        postalCode: normalizePostalCode(postalCode, countryCode) || postalCode,
+        countryCode: countryCode,
+        zone: getTransitZone(postalCode, countryCode),
+        destinationClass: getDestinationClass(postalCode, countryCode)
+    }
+}
+
+module.exports = {
+    DEFAULT_COUNTRY_CODE: DEFAULT_COUNTRY_CODE,
+    SUPPORTED_COUNTRY_CODES: Object.keys(POSTAL_CODE_FORMATS),
+    isSupportedCountry: isSupportedCountry,
+    isValidPostalCode: isValidPostalCode,
+    normalizePostalCode: normalizePostalCode,
+    getTransitZone: getTransitZone,
+    getDestinationClass: getDestinationClass,
+    sanitizePostalCodeInput: sanitizePostalCodeInput,
+    resolveDestination: resolveDestination
+}
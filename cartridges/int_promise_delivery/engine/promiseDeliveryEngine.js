@@ -0,0 +1,1489 @@
+'use strict'
+
+/**
+ * Promise Delivery Engine
+ *
+ * Runtime-agnostic core of the delivery date calculation. The same file is
+ * executed by the SFCC cartridge (on dw.util.Calendar) and by the PWA-Kit
+ * storefront (on native Date), so it must stay plain ES5 with no runtime
+ * specific requires.
+ *
+ * All date handling goes through a date adapter, which wraps whatever date
+ * type the runtime uses:
+ *
+ * - create(year, month, day): date at midnight (month is 0-11, overflow rolls over)
+ * - addDays(date, days): new date moved by the given number of days
+ * - getYear(date), getMonth(date) (0-11), getDate(date)
+ * - getDayOfWeek(date): 0=Sunday ... 6=Saturday
+ * - getLocalTime(timeZone): current wall clock time in the given IANA timezone
+ *   ({year, month (0-11), day, hour (0-23), minute, timestamp}), DST included;
+ *   timestamp is the current time in milliseconds since the epoch
+ * - getTimestamp(date, hour, timeZone): milliseconds since the epoch when the wall
+ *   clock in the given IANA timezone reads hour:00 on date
+ *
+ * Adapter dates are calendar dates without a timezone. "Today" and the cutoff
+ * hour are both read from one getLocalTime snapshot in the timezone of the
+ * fulfillment location, so neither the shopper's nor the server's timezone, nor
+ * a DST transition, can move the ship date.
+ *
+ * Dates crossing the engine boundary (provider data, the *ISO fields of results)
+ * are date-only YYYY-MM-DD strings, see formatDateString and parseDateString.
+ * Unlike Date#toISOString they carry no time or timezone, so they never shift
+ * to the previous day when serialized or parsed elsewhere.
+ *
+ * Data that only the runtime can look up is supplied through optional providers:
+ *
+ * - inventoryLookup(location, productId, quantity, productContext): true when the
+ *   fulfillment location can ship the quantity of the product; the product context
+ *   carries runtime fields, e.g. the inventory an order being promised reserved
+ * - transitLookup(originZip3, destinationZone, serviceId): transit days of a
+ *   lane for a carrier service, or null when the lane is not known; destination
+ *   zones are ZIP3 prefixes in the US and e.g. CA-K1A elsewhere (see postalCodes)
+ * - carriers: carrier adapters (see carriers/localCarrierAdapter), replacing the
+ *   local adapter with the same ID
+ * - closureLookup(year): merchant closure dates of a year ([{date, scope,
+ *   fulfillmentLocationId, carrierId}], dates in YYYY-MM-DD format), see isClosed
+ * - handlingDaysLookup(productId): business days a product needs before it can
+ *   ship (engraving, made to order...), or null for none
+ * - inStockDateLookup(location, productId, quantity, productContext): date
+ *   (YYYY-MM-DD) a backordered or pre-order product is expected in stock at the
+ *   location, or null when it is in stock
+ * - shippingMethodsLookup(destination): shipping methods offered to a resolved
+ *   destination ({id, name, price, currencyCode}), or null to offer SHIPPING_METHODS
+ * - promiseMethodLookup(shippingMethodId): promise shipping method (a key of
+ *   SHIPPING_METHOD_SERVICES, e.g. express) a runtime shipping method is promised
+ *   as, or null to map the shipping method ID with PROMISE_METHODS
+ *
+ * Shipping methods are mapped to carrier services with SHIPPING_METHOD_SERVICES, or
+ * with DESTINATION_CLASS_SERVICES for destinations of a class (e.g. APO/FPO addresses)
+ * the usual carrier does not deliver to.
+ *
+ * Two kinds of calendars ({workDays, holidays, scope, ownerId}) decide which days count:
+ *
+ * - Warehouse calendar: days a fulfillment location ships on (getShipDate)
+ * - Carrier calendar: days the carrier service delivers on (transit days)
+ *
+ * Holidays are declared as rules in data/holidayRules.json (see getRuleDates);
+ * a rule's scope (warehouse, carrier or both) decides which calendars may observe it.
+ *
+ * Calculation Logic:
+ * Promise Date = Ship Date + Handling Days + Transit Days (business days only)
+ *
+ * Backordered and pre-order products do not ship before their in-stock date.
+ *
+ * Carrier services that do not guarantee their transit days declare a transit
+ * spread, which widens the promise into an earliest/latest delivery window.
+ *
+ * Destinations are US ZIP codes (ZIP+4 included), or {postalCode, countryCode}
+ * objects for any country postalCodes supports. Carrier services that do not
+ * deliver to a destination (e.g. overnight to an APO address), or that a
+ * serviceability rule excludes (see findServiceabilityRule), have no promise
+ * there: calculateDeliveryDate returns null and getDeliveryEstimatesForAllMethods
+ * leaves their shipping methods out.
+ *
+ * When several fulfillment locations are configured, the promise is calculated
+ * from every location that has the product in stock and the soonest one wins.
+ * The items of a basket may then ship from several locations, or on several days,
+ * see calculateBasketPromise.
+ */
+
+// Default configuration, overridable per engine (see createEngine)
+var CONFIG = {
+    CUTOFF_HOUR_EST: 14, // 2 PM cutoff, evaluated in TIMEZONE
+    ORIGIN_ZIP: '10001', // NYC origin
+    EST_OFFSET: -5, // EST timezone offset
+    TIMEZONE: 'America/New_York', // Timezone the cutoff is evaluated in
+    DEFAULT_SHIPPING_METHOD: 'standard', // Method used when none is requested
+    // Shipping method ID -> carrier service ID, merged over the defaults;
+    // unmapped methods use the service of DEFAULT_SHIPPING_METHOD
+    SHIPPING_METHOD_SERVICES: {
+        standard: 'ups-ground',
+        express: 'fedex-2day',
+        '2-day': 'fedex-2day',
+        overnight: 'fedex-priority-overnight',
+        'express-overnight': 'fedex-priority-overnight'
+    },
+    // Runtime shipping method ID (e.g. SFCC 002) -> promise shipping method (a key of
+    // SHIPPING_METHOD_SERVICES), merged over the defaults; used for methods the
+    // promiseMethodLookup provider maps to none, by both storefronts
+    PROMISE_METHODS: {
+        '001': 'standard',
+        '002': 'express',
+        '003': 'overnight'
+    },
+    // Destination class -> shipping method ID -> carrier service ID, merged over the
+    // defaults: UPS and FedEx do not deliver to APO/FPO addresses or Guam, USPS does.
+    // Methods a class does not list keep the service of SHIPPING_METHOD_SERVICES
+    DESTINATION_CLASS_SERVICES: {
+        military: {
+            standard: 'usps-ground-advantage',
+            express: 'usps-priority-mail',
+            '2-day': 'usps-priority-mail'
+        },
+        guam: {
+            standard: 'usps-ground-advantage',
+            express: 'usps-priority-mail',
+            '2-day': 'usps-priority-mail'
+        }
+    },
+    // Fulfillment locations ({id, zipCode, timeZone, cutoffHour, inventoryListId, calendar}),
+    // defaults to a single location built from the settings above
+    FULFILLMENT_LOCATIONS: null,
+    // Days the warehouse ships on ({workDays, holidays}), per location unless the
+    // location has its own calendar; defaults to DEFAULT_CALENDAR
+    WAREHOUSE_CALENDAR: null,
+    // Destinations not delivered to ({id, countryCode, postalCodePrefixes, services}),
+    // in addition to data/serviceabilityRules.json
+    SERVICEABILITY_RULES: null
+}
+
+var postalCodes = require('./postalCodes')
+
+// Bundled ZIP3 transit matrix: carrier service ID -> origin ZIP3 -> destination ZIP3 -> days
+var TRANSIT_MATRIX = require('./data/transitMatrix.json')
+
+// Table-driven carrier adapters used when the runtime supplies none
+var LOCAL_CARRIERS = [
+    require('./carriers/upsCarrier'),
+    require('./carriers/fedexCarrier'),
+    require('./carriers/uspsCarrier')
+]
+
+// Holiday rules shared by both storefronts
+var HOLIDAY_RULES = require('./data/holidayRules.json').rules
+var HOLIDAY_RULES_BY_ID = {}
+HOLIDAY_RULES.forEach(function (rule) {
+    HOLIDAY_RULES_BY_ID[rule.id] = rule
+})
+
+// Destinations we cannot or will not deliver to, see findServiceabilityRule
+var SERVICEABILITY_RULES = require('./data/serviceabilityRules.json').rules
+
+// Transit days when the carrier cannot estimate the lane
+var DEFAULT_TRANSIT_DAYS = 5
+
+var SUNDAY = 0
+var SATURDAY = 6
+
+var WAREHOUSE_SCOPE = 'warehouse'
+var CARRIER_SCOPE = 'carrier'
+
+var MONTH_NAMES = [
+    'January',
+    'February',
+    'March',
+    'April',
+    'May',
+    'June',
+    'July',
+    'August',
+    'September',
+    'October',
+    'November',
+    'December'
+]
+var DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+/**
+ * Check whether calendars of a scope may observe a holiday rule (or a closure)
+ * Rules without a scope apply to both warehouse and carrier calendars.
+ * @param {Object} rule - Holiday rule
+ * @param {string} scope - Calendar scope (warehouse or carrier)
+ * @returns {boolean} True if the rule applies to the scope
+ */
+function isRuleInScope(rule, scope) {
+    return !rule.scope || rule.scope === 'both' || rule.scope === scope
+}
+
+/**
+ * Check whether a holiday rule is in effect in a year
+ * @param {Object} rule - Holiday rule ({startYear, endYear}, both inclusive and optional)
+ * @param {number} year - The year
+ * @returns {boolean} True if the rule applies in the year
+ */
+function isRuleInEffect(rule, year) {
+    return !(rule.startYear && year < rule.startYear) && !(rule.endYear && year > rule.endYear)
+}
+
+/**
+ * Get the IDs of the holiday rules calendars of a scope may observe
+ * @param {string} scope - Calendar scope (warehouse or carrier)
+ * @returns {string[]} Holiday IDs
+ */
+function getHolidayIdsInScope(scope) {
+    return HOLIDAY_RULES.filter(function (rule) {
+        return isRuleInScope(rule, scope)
+    }).map(function (rule) {
+        return rule.id
+    })
+}
+
+// Monday to Friday, closed on every warehouse holiday of the rules
+var DEFAULT_CALENDAR = {
+    workDays: [1, 2, 3, 4, 5],
+    holidays: getHolidayIdsInScope(WAREHOUSE_SCOPE),
+    scope: WAREHOUSE_SCOPE,
+    ownerId: null
+}
+
+// Separates the earliest and latest date of a delivery window
+var DATE_RANGE_SEPARATOR = ' \u2013 '
+
+// Shipping methods offered when the runtime supplies no shippingMethodsLookup
+var SHIPPING_METHODS = [
+    {id: 'standard', name: 'Standard Shipping', price: 5.99, currencyCode: 'USD'},
+    {id: 'express', name: 'Express Shipping', price: 12.99, currencyCode: 'USD'},
+    {id: 'overnight', name: 'Overnight', price: 24.99, currencyCode: 'USD'}
+]
+
+/**
+ * Get the ordinal suffix for a day of month (1st, 2nd, 3rd, 4th...)
+ * @param {number} dayOfMonth - Day of month (1-31)
+ * @returns {string} Ordinal suffix
+ */
+function getOrdinalSuffix(dayOfMonth) {
+    if (dayOfMonth === 1 || dayOfMonth === 21 || dayOfMonth === 31) return 'st'
+    if (dayOfMonth === 2 || dayOfMonth === 22) return 'nd'
+    if (dayOfMonth === 3 || dayOfMonth === 23) return 'rd'
+    return 'th'
+}
+
+/**
+ * Validate a ZIP or postal code
+ * @param {string} zipCode - ZIP or postal code to validate
+ * @param {string} [countryCode] - Country of the code, defaults to US
+ * @returns {boolean} True if valid for the country (5-digit ZIP or ZIP+4 code in the US)
+ */
+function isValidZipCode(zipCode, countryCode) {
+    return postalCodes.isValidPostalCode(zipCode, countryCode)
+}
+
+/**
+ * Merge configuration overrides over the defaults
+ * Unset values (null, undefined, empty string or empty list) keep the default.
+ * @param {Object} [overrides] - Configuration values keyed like CONFIG
+ * @returns {Object} Complete configuration
+ */
+function resolveConfig(overrides) {
+    var config = {}
+    Object.keys(CONFIG).forEach(function (key) {
+        var value = overrides ? overrides[key] : null
+        var isUnset =
+            value === null ||
+            value === undefined ||
+            value === '' ||
+            (Array.isArray(value) && value.length === 0)
+        config[key] = isUnset ? CONFIG[key] : value
+    })
+    return config
+}
+
+/**
+ * Complete a calendar with the days a fallback calendar defines
+ * Holidays whose rule is out of the calendar's scope are dropped.
+ * @param {Object} [calendar] - Calendar ({workDays, holidays}), fields may be missing
+ * @param {Object} fallback - Complete calendar
+ * @param {string} scope - Calendar scope (warehouse or carrier)
+ * @param {string} [ownerId] - Fulfillment location ID or carrier ID the calendar belongs to
+ * @returns {Object} Complete calendar
+ */
+function resolveCalendar(calendar, fallback, scope, ownerId) {
+    var workDays = calendar && calendar.workDays
+    var holidays = (calendar && calendar.holidays) || fallback.holidays
+    return {
+        // A calendar without work days would never reach a business day
+        workDays: workDays && workDays.length > 0 ? workDays : fallback.workDays,
+        holidays: holidays.filter(function (holidayId) {
+            var rule = HOLIDAY_RULES_BY_ID[holidayId]
+            return !rule || isRuleInScope(rule, scope)
+        }),
+        scope: scope,
+        ownerId: ownerId || null
+    }
+}
+
+/**
+ * Index the services of carrier adapters by service ID
+ * Adapters supplied by the runtime replace the local adapter with the same ID.
+ * @param {Object[]} [carriers] - Carrier adapters supplied by the runtime
+ * @returns {Object} Carrier services ({carrier, id, name}) keyed by service ID
+ */
+function resolveCarrierServices(carriers) {
+    var carriersById = {}
+    LOCAL_CARRIERS.concat(carriers || []).forEach(function (carrier) {
+        carriersById[carrier.id] = carrier
+    })
+
+    var services = {}
+    Object.keys(carriersById).forEach(function (carrierId) {
+        var carrier = carriersById[carrierId]
+        carrier.getServices().forEach(function (service) {
+            services[service.id] = {carrier: carrier, id: service.id, name: service.name}
+        })
+    })
+    return services
+}
+
+/**
+ * Build the shipping method to carrier service mapping
+ * @param {Object} config - Resolved configuration
+ * @returns {Object} Carrier service IDs keyed by shipping method ID
+ */
+function resolveShippingMethodServices(config) {
+    var mapping = {}
+    Object.keys(CONFIG.SHIPPING_METHOD_SERVICES).forEach(function (shippingMethodId) {
+        mapping[shippingMethodId] = CONFIG.SHIPPING_METHOD_SERVICES[shippingMethodId]
+    })
+    Object.keys(config.SHIPPING_METHOD_SERVICES).forEach(function (shippingMethodId) {
+        mapping[shippingMethodId] = config.SHIPPING_METHOD_SERVICES[shippingMethodId]
+    })
+    return mapping
+}
+
+/**
+ * Build the shipping method to promise shipping method mapping
+ * @param {Object} config - Resolved configuration
+ * @returns {Object} Promise shipping methods keyed by shipping method ID
+ */
+function resolvePromiseMethods(config) {
+    var mapping = {}
+    Object.keys(CONFIG.PROMISE_METHODS).forEach(function (shippingMethodId) {
+        mapping[shippingMethodId] = CONFIG.PROMISE_METHODS[shippingMethodId]
+    })
+    Object.keys(config.PROMISE_METHODS).forEach(function (shippingMethodId) {
+        mapping[shippingMethodId] = config.PROMISE_METHODS[shippingMethodId]
+    })
+    return mapping
+}
+
+/**
+ * Build the destination class to carrier service mapping
+ * @param {Object} config - Resolved configuration
+ * @returns {Object} Carrier service IDs keyed by destination class, then shipping method ID
+ */
+function resolveDestinationClassServices(config) {
+    var mapping = {}
+    var sources = [CONFIG.DESTINATION_CLASS_SERVICES, config.DESTINATION_CLASS_SERVICES]
+    sources.forEach(function (classServices) {
+        Object.keys(classServices).forEach(function (destinationClass) {
+            var services = mapping[destinationClass] || {}
+            Object.keys(classServices[destinationClass]).forEach(function (shippingMethodId) {
+                services[shippingMethodId] = classServices[destinationClass][shippingMethodId]
+            })
+            mapping[destinationClass] = services
+        })
+    })
+    return mapping
+}
+
+/**
+ * Build the list of fulfillment locations from the configuration
+ * Location fields that are not set fall back to the single-origin settings.
+ * @param {Object} config - Resolved configuration
+ * @returns {Object[]} Fulfillment locations
+ */
+function resolveFulfillmentLocations(config) {
+    var locations = config.FULFILLMENT_LOCATIONS || [{id: 'default'}]
+    var warehouseCalendar = resolveCalendar(
+        config.WAREHOUSE_CALENDAR,
+        DEFAULT_CALENDAR,
+        WAREHOUSE_SCOPE
+    )
+    return locations.map(function (location, index) {
+        var cutoffHour = parseInt(location.cutoffHour, 10)
+        var id = location.id || 'location-' + (index + 1)
+        return {
+            id: id,
+            zipCode: location.zipCode || config.ORIGIN_ZIP,
+            timeZone: location.timeZone || config.TIMEZONE,
+            cutoffHour: isNaN(cutoffHour) ? config.CUTOFF_HOUR_EST : cutoffHour,
+            inventoryListId: location.inventoryListId || null,
+            calendar: resolveCalendar(location.calendar, warehouseCalendar, WAREHOUSE_SCOPE, id)
+        }
+    })
+}
+
+/**
+ * Create an engine bound to a runtime date adapter
+ * @param {Object} dateAdapter - Date adapter (see module documentation)
+ * @param {Object} [configOverrides] - Configuration values overriding CONFIG
+ * @param {Object} [providers] - Runtime data providers (see module documentation)
+ * @returns {Object} Engine API operating on the adapter's date type
+ */
+function createEngine(dateAdapter, configOverrides, providers) {
+    var config = resolveConfig(configOverrides)
+    var fulfillmentLocations = resolveFulfillmentLocations(config)
+    var inventoryLookup = (providers && providers.inventoryLookup) || null
+    var transitLookup = (providers && providers.transitLookup) || null
+    var closureLookup = (providers && providers.closureLookup) || null
+    var handlingDaysLookup = (providers && providers.handlingDaysLookup) || null
+    var inStockDateLookup = (providers && providers.inStockDateLookup) || null
+    var shippingMethodsLookup = (providers && providers.shippingMethodsLookup) || null
+    var promiseMethodLookup = (providers && providers.promiseMethodLookup) || null
+    var carrierServices = resolveCarrierServices(providers && providers.carriers)
+    var shippingMethodServices = resolveShippingMethodServices(config)
+    var promiseMethods = resolvePromiseMethods(config)
+    var destinationClassServices = resolveDestinationClassServices(config)
+    var serviceabilityRules = SERVICEABILITY_RULES.concat(config.SERVICEABILITY_RULES || [])
+
+    // Cache for calculated holidays (keyed by year)
+    var holidayCache = {}
+    // Cache for merchant closures (keyed by year), so they are looked up once per year
+    var closureCache = {}
+    // Cache for carrier calendars (keyed by carrier service ID), they only depend on the configuration
+    var carrierCalendarCache = {}
+    // Ship schedules of the batch being calculated (keyed by location ID), see calculateDeliveryDates
+    var batchShipSchedules = null
+
+    /**
+     * Format a date as a date-only YYYY-MM-DD string
+     * @param {*} date - Adapter date
+     * @returns {string} Date string in YYYY-MM-DD format
+     */
+    function formatDateString(date) {
+        var year = dateAdapter.getYear(date)
+        var month = String(dateAdapter.getMonth(date) + 1).padStart(2, '0')
+        var day = String(dateAdapter.getDate(date)).padStart(2, '0')
+        return year + '-' + month + '-' + day
+    }
+
+    /**
+     * Parse a YYYY-MM-DD string into an adapter date
+     * @param {string} dateString - Date string in YYYY-MM-DD format
+     * @returns {*} Adapter date
+     */
+    function parseDateString(dateString) {
+        var parts = dateString.split('-')
+        return dateAdapter.create(
+            parseInt(parts[0], 10),
+            parseInt(parts[1], 10) - 1,
+            parseInt(parts[2], 10)
+        )
+    }
+
+    /**
+     * Format a date as month and ordinal day, e.g. January 18th
+     * @param {*} date - Adapter date
+     * @returns {string} Formatted date
+     */
+    function formatMonthDay(date) {
+        var month = MONTH_NAMES[dateAdapter.getMonth(date)]
+        var dayOfMonth = dateAdapter.getDate(date)
+        return month + ' ' + dayOfMonth + getOrdinalSuffix(dayOfMonth)
+    }
+
+    /**
+     * Format a date as a short month and day, e.g. Jan 18
+     * @param {*} date - Adapter date
+     * @returns {string} Short date
+     */
+    function formatShortDate(date) {
+        return MONTH_NAMES[dateAdapter.getMonth(date)].slice(0, 3) + ' ' + dateAdapter.getDate(date)
+    }
+
+    /**
+     * Format a delivery window, e.g. Jan 18 – Jan 21 (a single date when both are the same)
+     * @param {*} earliestDate - Adapter date of the earliest delivery
+     * @param {*} latestDate - Adapter date of the latest delivery
+     * @returns {string} Formatted date range
+     */
+    function formatDateRange(earliestDate, latestDate) {
+        if (formatDateString(earliestDate) === formatDateString(latestDate)) {
+            return formatShortDate(earliestDate)
+        }
+        return formatShortDate(earliestDate) + DATE_RANGE_SEPARATOR + formatShortDate(latestDate)
+    }
+
+    /**
+     * Get the Nth occurrence of a weekday in a given month
+     * @param {number} year - The year
+     * @param {number} month - The month (0-11)
+     * @param {number} dayOfWeek - Day of week (0=Sunday, 1=Monday, etc.)
+     * @param {number} occurrence - Which occurrence (1=first, 2=second, etc.)
+     * @returns {*} Adapter date for the Nth weekday
+     */
+    function getNthWeekdayOfMonth(year, month, dayOfWeek, occurrence) {
+        var firstDayOfWeek = dateAdapter.getDayOfWeek(dateAdapter.create(year, month, 1))
+
+        // Calculate days until the first occurrence of the target weekday
+        var daysUntilFirst = dayOfWeek - firstDayOfWeek
+        if (daysUntilFirst < 0) {
+            daysUntilFirst += 7
+        }
+
+        // Calculate the date of the Nth occurrence
+        return dateAdapter.create(year, month, 1 + daysUntilFirst + (occurrence - 1) * 7)
+    }
+
+    /**
+     * Get the last occurrence of a weekday in a given month
+     * @param {number} year - The year
+     * @param {number} month - The month (0-11)
+     * @param {number} dayOfWeek - Day of week (0=Sunday, 1=Monday, etc.)
+     * @returns {*} Adapter date for the last weekday
+     */
+    function getLastWeekdayOfMonth(year, month, dayOfWeek) {
+        // Day 0 of the next month is the last day of this month
+        var lastDay = dateAdapter.create(year, month + 1, 0)
+
+        // Calculate days to go back to reach the target weekday
+        var daysToSubtract = dateAdapter.getDayOfWeek(lastDay) - dayOfWeek
+        if (daysToSubtract < 0) {
+            daysToSubtract += 7
+        }
+
+        return dateAdapter.addDays(lastDay, -daysToSubtract)
+    }
+
+    /**
+     * Apply the observance policy of a holiday rule
+     * - none: the holiday is observed on its date
+     * - nearestWeekday: Saturday holidays are observed on Friday, Sunday holidays on Monday
+     * - nextWeekday: weekend holidays are observed on Monday
+     * @param {*} date - The actual holiday date
+     * @param {string} [observance] - Observance policy, defaults to none
+     * @returns {*} The observed date
+     */
+    function getObservedDate(date, observance) {
+        var dayOfWeek = dateAdapter.getDayOfWeek(date)
+        if (observance === 'nearestWeekday') {
+            if (dayOfWeek === SATURDAY) {
+                return dateAdapter.addDays(date, -1)
+            } else if (dayOfWeek === SUNDAY) {
+                return dateAdapter.addDays(date, 1)
+            }
+        } else if (observance === 'nextWeekday') {
+            if (dayOfWeek === SATURDAY) {
+                return dateAdapter.addDays(date, 2)
+            } else if (dayOfWeek === SUNDAY) {
+                return dateAdapter.addDays(date, 1)
+            }
+        }
+        return date
+    }
+
+    /**
+     * Get the dates of a holiday rule in a given year, before observance
+     * Rule types (months are 1-12, weekdays 0=Sunday ... 6=Saturday):
+     * - fixed: {month, day}
+     * - nthWeekday: {month, weekday, occurrence}, e.g. 4th Thursday of November
+     * - lastWeekday: {month, weekday}, e.g. last Monday of May
+     * - explicit: {dates: ['YYYY-MM-DD', ...]}
+     * @param {Object} rule - Holiday rule
+     * @param {number} year - The year
+     * @returns {Array} Adapter dates
+     */
+    function getRuleDates(rule, year) {
+        switch (rule.type) {
+            case 'fixed':
+                return [dateAdapter.create(year, rule.month - 1, rule.day)]
+            case 'nthWeekday':
+                return [getNthWeekdayOfMonth(year, rule.month - 1, rule.weekday, rule.occurrence)]
+            case 'lastWeekday':
+                return [getLastWeekdayOfMonth(year, rule.month - 1, rule.weekday)]
+            case 'explicit':
+                return (rule.dates || [])
+                    .filter(function (dateString) {
+                        return dateString.indexOf(year + '-') === 0
+                    })
+                    .map(parseDateString)
+            default:
+                return []
+        }
+    }
+
+    /**
+     * Calculate the observed holidays of every rule for a given year
+     * Rules only apply between their startYear and endYear (inclusive). A holiday
+     * observed in the previous year (New Year's Day on a Saturday) is listed there.
+     * @param {number} year - The year to calculate holidays for
+     * @returns {Object[]} Holidays ({id, date}) with dates in YYYY-MM-DD format
+     */
+    function calculateHolidaysForYear(year) {
+        var holidays = []
+        for (var ruleYear = year; ruleYear <= year + 1; ruleYear++) {
+            HOLIDAY_RULES.forEach(function (rule) {
+                if (!isRuleInEffect(rule, ruleYear)) {
+                    return
+                }
+                getRuleDates(rule, ruleYear).forEach(function (date) {
+                    var observedDate = getObservedDate(date, rule.observance)
+                    if (dateAdapter.getYear(observedDate) === year) {
+                        holidays.push({id: rule.id, date: formatDateString(observedDate)})
+                    }
+                })
+            })
+        }
+        return holidays
+    }
+
+    /**
+     * Get the holiday IDs falling on each date of a year (with caching)
+     * @param {number} year - The year
+     * @returns {Object} Holiday IDs keyed by YYYY-MM-DD date
+     */
+    function getHolidayIdsByDate(year) {
+        if (!holidayCache[year]) {
+            var holidayIdsByDate = {}
+            calculateHolidaysForYear(year).forEach(function (holiday) {
+                if (!holidayIdsByDate[holiday.date]) {
+                    holidayIdsByDate[holiday.date] = []
+                }
+                holidayIdsByDate[holiday.date].push(holiday.id)
+            })
+            holidayCache[year] = holidayIdsByDate
+        }
+        return holidayCache[year]
+    }
+
+    /**
+     * Get holidays for a specific year
+     * @param {number} year - The year
+     * @returns {string[]} Array of holiday dates in YYYY-MM-DD format
+     */
+    function getHolidaysForYear(year) {
+        return Object.keys(getHolidayIdsByDate(year))
+    }
+
+    /**
+     * Check if a date is a holiday of a calendar
+     * @param {*} date - Adapter date to check
+     * @param {Object} [calendar] - Calendar ({workDays, holidays}), defaults to DEFAULT_CALENDAR
+     * @returns {boolean} True if the date is a holiday the calendar observes
+     */
+    function isHoliday(date, calendar) {
+        var holidays = (calendar || DEFAULT_CALENDAR).holidays
+        var holidayIds =
+            getHolidayIdsByDate(dateAdapter.getYear(date))[formatDateString(date)] || []
+        return holidayIds.some(function (holidayId) {
+            return holidays.indexOf(holidayId) !== -1
+        })
+    }
+
+    /**
+     * Get the merchant closures falling on each date of a year (with caching)
+     * @param {number} year - The year
+     * @returns {Object} Closures keyed by YYYY-MM-DD date
+     */
+    function getClosuresByDate(year) {
+        if (!closureCache[year]) {
+            var closuresByDate = {}
+            ;(closureLookup ? closureLookup(year) || [] : []).forEach(function (closure) {
+                if (!closuresByDate[closure.date]) {
+                    closuresByDate[closure.date] = []
+                }
+                closuresByDate[closure.date].push(closure)
+            })
+            closureCache[year] = closuresByDate
+        }
+        return closureCache[year]
+    }
+
+    /**
+     * Check if a calendar is closed on a date by a merchant closure
+     * A closure applies to calendars of its scope (warehouse, carrier or both, the
+     * default). fulfillmentLocationId limits it to the warehouse calendar of one
+     * location, carrierId to the calendars of one carrier.
+     * @param {*} date - Adapter date to check
+     * @param {Object} [calendar] - Calendar, defaults to DEFAULT_CALENDAR
+     * @returns {boolean} True if a closure applies to the calendar on that date
+     */
+    function isClosed(date, calendar) {
+        var closedCalendar = calendar || DEFAULT_CALENDAR
+        var closures = getClosuresByDate(dateAdapter.getYear(date))[formatDateString(date)] || []
+        return closures.some(function (closure) {
+            if (!isRuleInScope(closure, closedCalendar.scope)) {
+                return false
+            }
+            var ownerId = null
+            if (closedCalendar.scope === WAREHOUSE_SCOPE) {
+                ownerId = closure.fulfillmentLocationId
+            } else if (closedCalendar.scope === CARRIER_SCOPE) {
+                ownerId = closure.carrierId
+            }
+            return !ownerId || ownerId === closedCalendar.ownerId
+        })
+    }
+
+    /**
+     * Check if a date is a business day (a work day that is neither a holiday nor
+     * a merchant closure)
+     * @param {*} date - Adapter date to check
+     * @param {Object} [calendar] - Calendar, defaults to DEFAULT_CALENDAR
+     * @returns {boolean} True if the date is a business day
+     */
+    function isBusinessDay(date, calendar) {
+        var businessCalendar = calendar || DEFAULT_CALENDAR
+        if (businessCalendar.workDays.indexOf(dateAdapter.getDayOfWeek(date)) === -1) {
+            return false
+        }
+        return !isHoliday(date, businessCalendar) && !isClosed(date, businessCalendar)
+    }
+
+    /**
+     * Get the next business day from a given date
+     * @param {*} date - Starting adapter date
+     * @param {Object} [calendar] - Calendar ({workDays, holidays}), defaults to DEFAULT_CALENDAR
+     * @returns {*} Adapter date for next business day
+     */
+    function getNextBusinessDay(date, calendar) {
+        var nextDay = dateAdapter.addDays(date, 1)
+        while (!isBusinessDay(nextDay, calendar)) {
+            nextDay = dateAdapter.addDays(nextDay, 1)
+        }
+        return nextDay
+    }
+
+    /**
+     * Add business days to a date
+     * @param {*} startDate - Starting adapter date
+     * @param {number} businessDays - Number of business days to add
+     * @param {Object} [calendar] - Calendar ({workDays, holidays}), defaults to DEFAULT_CALENDAR
+     * @returns {*} Adapter date for the resulting date
+     */
+    function addBusinessDays(startDate, businessDays, calendar) {
+        var currentDate = startDate
+        var daysAdded = 0
+
+        while (daysAdded < businessDays) {
+            currentDate = dateAdapter.addDays(currentDate, 1)
+            if (isBusinessDay(currentDate, calendar)) {
+                daysAdded++
+            }
+        }
+
+        return currentDate
+    }
+
+    /**
+     * Get the transit days of a ZIP3 lane from the transit matrix
+     * The transitLookup provider is asked first, then the bundled matrix.
+     * @param {string} serviceId - Carrier service ID
+     * @param {Object} destination - Resolved destination ({postalCode, countryCode, zone})
+     * @param {string} originZip - Origin ZIP code
+     * @returns {number|null} Transit days, or null when the matrix has no entry
+     */
+    function getMatrixTransitDays(serviceId, destination, originZip) {
+        var originZip3 = postalCodes.getTransitZone(originZip)
+        if (!originZip3 || !destination.zone) {
+            return null
+        }
+
+        var transitDays = transitLookup
+            ? transitLookup(originZip3, destination.zone, serviceId)
+            : null
+        if (typeof transitDays !== 'number') {
+            var lanes = TRANSIT_MATRIX[serviceId] && TRANSIT_MATRIX[serviceId][originZip3]
+            transitDays = lanes ? lanes[destination.zone] : null
+        }
+        return typeof transitDays === 'number' ? transitDays : null
+    }
+
+    /**
+     * Get the promise shipping method a shipping method is promised as
+     * The promiseMethodLookup provider is asked first (e.g. a shipping method attribute),
+     * then PROMISE_METHODS. Other methods keep their ID, which SHIPPING_METHOD_SERVICES
+     * may map itself.
+     * @param {string} [shippingMethodId] - Shipping method ID
+     * @returns {string|undefined} Promise shipping method (a key of SHIPPING_METHOD_SERVICES
+     *     when mapped), or the shipping method ID
+     */
+    function getPromiseMethodId(shippingMethodId) {
+        var promiseMethodId = promiseMethodLookup ? promiseMethodLookup(shippingMethodId) : null
+        return (
+            promiseMethodId ||
+            (shippingMethodId && promiseMethods[shippingMethodId]) ||
+            shippingMethodId
+        )
+    }
+
+    /**
+     * Find the carrier service a shipping method is mapped to
+     * Methods are mapped with the service of their promise shipping method (see
+     * getPromiseMethodId). Unmapped methods, or methods mapped to an unknown service, use
+     * the service of the default shipping method. Destinations of a class listed in
+     * DESTINATION_CLASS_SERVICES use the service the class maps the method to, if any.
+     * @param {string} [shippingMethodId] - Shipping method ID
+     * @param {string|Object} [destination] - Destination ZIP code, or {postalCode, countryCode}
+     * @returns {Object} Carrier service ({carrier, id, name})
+     */
+    function findCarrierService(shippingMethodId, destination) {
+        var methodId = getPromiseMethodId(shippingMethodId)
+        if (!carrierServices[shippingMethodServices[methodId]]) {
+            methodId = config.DEFAULT_SHIPPING_METHOD
+        }
+        var destinationClass = destination
+            ? postalCodes.resolveDestination(destination).destinationClass
+            : null
+        var classServices = (destinationClass && destinationClassServices[destinationClass]) || {}
+        return (
+            carrierServices[classServices[methodId]] ||
+            carrierServices[shippingMethodServices[methodId]] ||
+            carrierServices[CONFIG.SHIPPING_METHOD_SERVICES[CONFIG.DEFAULT_SHIPPING_METHOD]]
+        )
+    }
+
+    /**
+     * Get the transit spread of a carrier service
+     * Adapters without getTransitSpread, and guaranteed services, have no spread.
+     * @param {Object} service - Carrier service ({carrier, id, name})
+     * @returns {Object} Days added to the transit days for the earliest ({min}, zero or
+     *     negative) and latest ({max}, zero or positive) delivery date
+     */
+    function getTransitSpread(service) {
+        var spread = service.carrier.getTransitSpread
+            ? service.carrier.getTransitSpread(service.id)
+            : null
+        return {
+            min: Math.min(0, (spread && spread.min) || 0),
+            max: Math.max(0, (spread && spread.max) || 0)
+        }
+    }
+
+    /**
+     * Get the carrier service a shipping method ships with
+     * @param {string} [shippingMethodId] - Shipping method ID, defaults to DEFAULT_SHIPPING_METHOD
+     * @param {string|Object} [destination] - Destination ZIP code, or {postalCode, countryCode},
+     *     for the service of its destination class (see DESTINATION_CLASS_SERVICES)
+     * @returns {Object} Carrier service ({carrierId, carrierName, serviceId, serviceName,
+     *     deliveryDays, holidays, transitSpread})
+     */
+    function getCarrierService(shippingMethodId, destination) {
+        var service = findCarrierService(shippingMethodId, destination)
+        return {
+            carrierId: service.carrier.id,
+            carrierName: service.carrier.name,
+            serviceId: service.id,
+            serviceName: service.name,
+            deliveryDays: service.carrier.getDeliveryDays(service.id),
+            holidays: service.carrier.getHolidayCalendar(service.id),
+            transitSpread: getTransitSpread(service)
+        }
+    }
+
+    /**
+     * Get the delivery calendar of the carrier service a shipping method ships with
+     * Services deliver on the days of week they declare (weekends included), except
+     * on the holidays of their calendar.
+     * @param {string} [shippingMethodId] - Shipping method ID, defaults to DEFAULT_SHIPPING_METHOD
+     * @param {string|Object} [destination] - Destination ZIP code, or {postalCode, countryCode},
+     *     for the service of its destination class (see DESTINATION_CLASS_SERVICES)
+     * @returns {Object} Carrier calendar ({workDays, holidays})
+     */
+    function getCarrierCalendar(shippingMethodId, destination) {
+        var service = findCarrierService(shippingMethodId, destination)
+        var cacheKey = service.id
+        if (!carrierCalendarCache[cacheKey]) {
+            carrierCalendarCache[cacheKey] = resolveCalendar(
+                {
+                    workDays: service.carrier.getDeliveryDays(service.id),
+                    holidays: service.carrier.getHolidayCalendar(service.id)
+                },
+                DEFAULT_CALENDAR,
+                CARRIER_SCOPE,
+                service.carrier.id
+            )
+        }
+        return carrierCalendarCache[cacheKey]
+    }
+
+    /**
+     * Find the serviceability rule that keeps a carrier service from delivering to a destination
+     * Rules apply to destinations of their country (US by default) whose postal code,
+     * without spaces or hyphens, starts with one of their postalCodePrefixes, and to
+     * their services (every service when they list none).
+     * @param {Object} destination - Resolved destination ({postalCode, countryCode, zone})
+     * @param {string} serviceId - Carrier service ID
+     * @returns {Object|null} Matching rule, or null when no rule excludes the service
+     */
+    function findServiceabilityRule(destination, serviceId) {
+        if (!destination.zone) {
+            return null
+        }
+
+        var compactPostalCode = destination.postalCode.replace(/[\s-]/g, '')
+        for (var i = 0; i < serviceabilityRules.length; i++) {
+            var rule = serviceabilityRules[i]
+            var countryCode = (rule.countryCode || postalCodes.DEFAULT_COUNTRY_CODE).toUpperCase()
+            var isRuleForDestination =
+                countryCode === destination.countryCode &&
+                (rule.postalCodePrefixes || []).some(function (prefix) {
+                    var compactPrefix = String(prefix).toUpperCase().replace(/[\s-]/g, '')
+                    return compactPostalCode.indexOf(compactPrefix) === 0
+                })
+            var isRuleForService =
+                !rule.services ||
+                rule.services.length === 0 ||
+                rule.services.indexOf(serviceId) !== -1
+            if (isRuleForDestination && isRuleForService) {
+                return rule
+            }
+        }
+        return null
+    }
+
+    /**
+     * Check whether the carrier service of a shipping method delivers to a destination
+     * Adapters without deliversTo deliver everywhere, except where a serviceability
+     * rule excludes the service.
+     * @param {string} [shippingMethodId] - Shipping method ID, defaults to DEFAULT_SHIPPING_METHOD
+     * @param {string|Object} destination - Destination ZIP code, or {postalCode, countryCode}
+     * @returns {boolean} True if the shipping method can deliver to the destination
+     */
+    function isShippingMethodAvailable(shippingMethodId, destination) {
+        var resolvedDestination = postalCodes.resolveDestination(destination)
+        var service = findCarrierService(
+            shippingMethodId || config.DEFAULT_SHIPPING_METHOD,
+            resolvedDestination
+        )
+        var deliversTo =
+            !service.carrier.deliversTo ||
+            service.carrier.deliversTo(
+                service.id,
+                resolvedDestination.postalCode,
+                resolvedDestination.countryCode
+            ) !== false
+        return deliversTo && !findServiceabilityRule(resolvedDestination, service.id)
+    }
+
+    /**
+     * Get transit days for a specific shipping method
+     * Lanes of the method's carrier service in the transit matrix win, otherwise
+     * the carrier adapter estimates the transit days.
+     * @param {string} shippingMethodId - Shipping method ID
+     * @param {string|Object} destination - Destination ZIP code, or {postalCode, countryCode}
+     * @param {string} [originZip] - Origin ZIP code, defaults to ORIGIN_ZIP
+     * @returns {number} Number of transit days
+     */
+    function getTransitDaysForShippingMethod(shippingMethodId, destination, originZip) {
+        var origin = originZip || config.ORIGIN_ZIP
+        var resolvedDestination = postalCodes.resolveDestination(destination)
+        var service = findCarrierService(shippingMethodId, resolvedDestination)
+
+        var transitDays = getMatrixTransitDays(service.id, resolvedDestination, origin)
+        if (transitDays === null) {
+            transitDays = service.carrier.getTransitDays(
+                service.id,
+                origin,
+                resolvedDestination.postalCode,
+                resolvedDestination.countryCode
+            )
+        }
+        return typeof transitDays === 'number' ? transitDays : DEFAULT_TRANSIT_DAYS
+    }
+
+    /**
+     * Get transit days for the default shipping method
+     * With the local UPS Ground table, transit days grow by one per ZIP range
+     * between origin and destination, so from the default origin 10001 (NYC):
+     *
+     * | Destination ZIP | Transit Days |
+     * |-----------------|--------------|
+     * | 00000-19999     | 1            |
+     * | 20000-39999     | 2            |
+     * | 40000-59999     | 3            |
+     * | 60000-79999     | 4            |
+     * | 80000-99999     | 5            |
+     *
+     * @param {string|Object} destination - Destination ZIP code, or {postalCode, countryCode}
+     * @param {string} [originZip] - Origin ZIP code, defaults to ORIGIN_ZIP
+     * @returns {number} Number of transit days
+     */
+    function getTransitDays(destination, originZip) {
+        return getTransitDaysForShippingMethod(
+            config.DEFAULT_SHIPPING_METHOD,
+            destination,
+            originZip
+        )
+    }
+
+    /**
+     * Get the ship date of a fulfillment location and the cutoff orders must beat for it
+     * Today and the cutoff hour are evaluated in the timezone of the location, and
+     * business days follow its warehouse calendar. Once cutoffAt passes, orders ship
+     * a business day later.
+     * @param {Object} location - Fulfillment location
+     * @returns {Object} Schedule ({shipDate, cutoffAt, msUntilCutoff}), cutoffAt being a
+     *     timestamp in milliseconds since the epoch
+     */
+    function getShipSchedule(location) {
+        if (batchShipSchedules && batchShipSchedules[location.id]) {
+            return batchShipSchedules[location.id]
+        }
+
+        var localTime = dateAdapter.getLocalTime(location.timeZone)
+        var today = dateAdapter.create(localTime.year, localTime.month, localTime.day)
+
+        // If before the cutoff and today is a business day, ship today,
+        // otherwise ship next business day
+        var shipDate =
+            localTime.hour < location.cutoffHour && isBusinessDay(today, location.calendar)
+                ? today
+                : getNextBusinessDay(today, location.calendar)
+        var cutoffAt = dateAdapter.getTimestamp(shipDate, location.cutoffHour, location.timeZone)
+
+        var schedule = {
+            shipDate: shipDate,
+            cutoffAt: cutoffAt,
+            msUntilCutoff: Math.max(0, cutoffAt - localTime.timestamp)
+        }
+        if (batchShipSchedules) {
+            batchShipSchedules[location.id] = schedule
+        }
+        return schedule
+    }
+
+    /**
+     * Get the ship date based on current time and the cutoff of a fulfillment location
+     * @param {Object} [location] - Fulfillment location, defaults to the first one
+     * @returns {*} Adapter date for ship date
+     */
+    function getShipDate(location) {
+        return getShipSchedule(location || fulfillmentLocations[0]).shipDate
+    }
+
+    /**
+     * Get the handling days of a product
+     * A handlingDays value in the product context wins over the handlingDaysLookup provider.
+     * @param {Object} [productContext] - Product being promised ({productId, quantity,
+     *     handlingDays})
+     * @returns {number} Business days the product needs before it ships (0 without a product)
+     */
+    function getHandlingDays(productContext) {
+        if (!productContext) {
+            return 0
+        }
+
+        var handlingDays = productContext.handlingDays
+        if (typeof handlingDays !== 'number' && productContext.productId && handlingDaysLookup) {
+            handlingDays = handlingDaysLookup(productContext.productId)
+        }
+        return typeof handlingDays === 'number' && handlingDays > 0 ? Math.floor(handlingDays) : 0
+    }
+
+    /**
+     * Get the date a product is expected in stock at a fulfillment location
+     * An inStockDate in the product context wins over the inStockDateLookup provider.
+     * @param {Object} location - Fulfillment location
+     * @param {Object} [productContext] - Product being promised ({productId, quantity,
+     *     inStockDate})
+     * @returns {*} Adapter date, or null when the product is in stock
+     */
+    function getInStockDate(location, productContext) {
+        if (!productContext) {
+            return null
+        }
+
+        var inStockDate = productContext.inStockDate
+        if (!inStockDate && productContext.productId && inStockDateLookup) {
+            inStockDate = inStockDateLookup(
+                location,
+                productContext.productId,
+                productContext.quantity || 1,
+                productContext
+            )
+        }
+        return inStockDate ? parseDateString(inStockDate) : null
+    }
+
+    /**
+     * Get the fulfillment locations that can ship a product
+     * The stockedLocationIds of the product context win over the inventory lookup.
+     * Without a product, stock data, or when no location has stock, every location
+     * is a candidate.
+     * @param {Object} [productContext] - Product being promised ({productId, quantity,
+     *     stockedLocationIds})
+     * @returns {Object[]} Candidate fulfillment locations
+     */
+    function getCandidateLocations(productContext) {
+        var stockedLocationIds = productContext ? productContext.stockedLocationIds : null
+        var hasStockData =
+            stockedLocationIds || (productContext && productContext.productId && inventoryLookup)
+        if (!hasStockData) {
+            return fulfillmentLocations
+        }
+
+        var quantity = productContext.quantity || 1
+        var stockedLocations = fulfillmentLocations.filter(function (location) {
+            return stockedLocationIds
+                ? stockedLocationIds.indexOf(location.id) !== -1
+                : inventoryLookup(location, productContext.productId, quantity, productContext)
+        })
+        return stockedLocations.length > 0 ? stockedLocations : fulfillmentLocations
+    }
+
+    /**
+     * Pick the fulfillment location that can deliver soonest
+     * Ties go to the location listed first. A location does not ship a product
+     * before its in-stock date, and handling days are added to the ship date of
+     * each location on its warehouse calendar. The cutoff only moves the promise
+     * when the product is in stock, so backordered products have no cutoffAt.
+     * @param {string|Object} destination - Destination ZIP code, or {postalCode, countryCode}
+     * @param {string} shippingMethodId - Shipping method ID
+     * @param {Object} [productContext] - Product being promised ({productId, quantity,
+     *     handlingDays, inStockDate})
+     * @returns {Object} Selected location with its shipDate, inStockDate (null when in stock),
+     *     handlingDays, transitDays, deliveryDate, cutoffAt and msUntilCutoff (null when
+     *     backordered)
+     */
+    function selectFulfillmentLocation(destination, shippingMethodId, productContext) {
+        var carrierCalendar = getCarrierCalendar(shippingMethodId, destination)
+        var handlingDays = getHandlingDays(productContext)
+        var best = null
+
+        getCandidateLocations(productContext).forEach(function (location) {
+            var schedule = getShipSchedule(location)
+            var readyDate = schedule.shipDate
+            var inStockDate = getInStockDate(location, productContext)
+            if (inStockDate && formatDateString(inStockDate) > formatDateString(readyDate)) {
+                readyDate = isBusinessDay(inStockDate, location.calendar)
+                    ? inStockDate
+                    : getNextBusinessDay(inStockDate, location.calendar)
+                schedule = {cutoffAt: null, msUntilCutoff: null}
+            } else {
+                inStockDate = null
+            }
+            var shipDate = addBusinessDays(readyDate, handlingDays, location.calendar)
+            var transitDays = getTransitDaysForShippingMethod(
+                shippingMethodId,
+                destination,
+                location.zipCode
+            )
+            var deliveryDate = addBusinessDays(shipDate, transitDays, carrierCalendar)
+
+            if (!best || formatDateString(deliveryDate) < formatDateString(best.deliveryDate)) {
+                best = {
+                    location: location,
+                    shipDate: shipDate,
+                    inStockDate: inStockDate,
+                    handlingDays: handlingDays,
+                    transitDays: transitDays,
+                    deliveryDate: deliveryDate,
+                    cutoffAt: schedule.cutoffAt,
+                    msUntilCutoff: schedule.msUntilCutoff
+                }
+            }
+        })
+
+        return best
+    }
+
+    /**
+     * Calculate the promise delivery date
+     * Promise Date = Ship Date + Handling Days + Transit Days (business days only)
+     *
+     * Backordered and pre-order products ship on or after their inStockDate and
+     * say so in the display message ("Ships after March 3rd, arrives by March 7th").
+     *
+     * The delivery window runs from earliestDate to latestDate, the transit days
+     * widened by the transit spread of the carrier service (never below one day
+     * unless the transit days are zero).
+     *
+     * Every date is also returned as a date-only YYYY-MM-DD string (deliveryDateISO,
+     * shipDateISO...) for responses and storage.
+     *
+     * cutoffAt (milliseconds since the epoch) is when the promise expires: orders
+     * placed later ship a business day later. msUntilCutoff is the time left when
+     * the promise was calculated, for "Order within 2 hrs 15 mins" countdowns.
+     *
+     * @param {string|Object} destination - Destination ZIP code, or {postalCode, countryCode}
+     * @param {string} [shippingMethodId] - Shipping method ID, defaults to DEFAULT_SHIPPING_METHOD
+     * @param {Object} [productContext] - Product being promised ({productId, quantity,
+     *     handlingDays, inStockDate, stockedLocationIds}), used to ship from a location that
+     *     has it in stock after its handling days
+     * @returns {Object|null} Object containing deliveryDate, the delivery window and formatted
+     *     strings, or null when the shipping method does not deliver to the destination
+     */
+    function calculateDeliveryDate(destination, shippingMethodId, productContext) {
+        var methodId = shippingMethodId || config.DEFAULT_SHIPPING_METHOD
+        if (!isShippingMethodAvailable(methodId, destination)) {
+            return null
+        }
+
+        var selection = selectFulfillmentLocation(destination, methodId, productContext)
+        var carrierService = getCarrierService(methodId, destination)
+        var carrierCalendar = getCarrierCalendar(methodId, destination)
+        var shipDate = selection.shipDate
+        var transitDays = selection.transitDays
+        var deliveryDate = selection.deliveryDate
+
+        var minTransitDays = Math.max(
+            Math.min(transitDays, 1),
+            transitDays + carrierService.transitSpread.min
+        )
+        var maxTransitDays = transitDays + carrierService.transitSpread.max
+        var earliestDate = addBusinessDays(shipDate, minTransitDays, carrierCalendar)
+        var latestDate = addBusinessDays(shipDate, maxTransitDays, carrierCalendar)
+        var formattedDateRange = formatDateRange(earliestDate, latestDate)
+
+        var dayOfWeek = DAY_NAMES[dateAdapter.getDayOfWeek(deliveryDate)]
+        var month = MONTH_NAMES[dateAdapter.getMonth(deliveryDate)]
+        var dayOfMonth = dateAdapter.getDate(deliveryDate)
+        var suffix = getOrdinalSuffix(dayOfMonth)
+        var formattedDate = month + ' ' + dayOfMonth + suffix
+        var formattedInStockDate = selection.inStockDate
+            ? formatMonthDay(selection.inStockDate)
+            : null
+
+        return {
+            deliveryDate: deliveryDate,
+            shipDate: shipDate,
+            inStockDate: selection.inStockDate,
+            handlingDays: selection.handlingDays,
+            transitDays: transitDays,
+            fulfillmentLocationId: selection.location.id,
+            originZip: selection.location.zipCode,
+            carrierId: carrierService.carrierId,
+            carrierServiceId: carrierService.serviceId,
+            carrierServiceName: carrierService.serviceName,
+            formattedDate: formattedDate,
+            formattedDateFull: dayOfWeek + ', ' + formattedDate,
+            formattedInStockDate: formattedInStockDate,
+            displayMessage: formattedInStockDate
+                ? 'Ships after ' + formattedInStockDate + ', arrives by ' + formattedDate
+                : 'Get it by ' + formattedDate,
+            earliestDate: earliestDate,
+            latestDate: latestDate,
+            deliveryDateISO: formatDateString(deliveryDate),
+            shipDateISO: formatDateString(shipDate),
+            inStockDateISO: selection.inStockDate ? formatDateString(selection.inStockDate) : null,
+            earliestDateISO: formatDateString(earliestDate),
+            latestDateISO: formatDateString(latestDate),
+            cutoffAt: selection.cutoffAt,
+            msUntilCutoff: selection.msUntilCutoff,
+            minTransitDays: minTransitDays,
+            maxTransitDays: maxTransitDays,
+            formattedEarliestDate: formatMonthDay(earliestDate),
+            formattedLatestDate: formatMonthDay(latestDate),
+            formattedDateRange: formattedDateRange,
+            rangeDisplayMessage: 'Arrives ' + formattedDateRange
+        }
+    }
+
+    /**
+     * Get the shipping methods offered to a destination
+     * @param {string|Object} destination - Destination ZIP code, or {postalCode, countryCode}
+     * @returns {Array} Shipping methods ({id, name, price, currencyCode})
+     */
+    function getShippingMethods(destination) {
+        var shippingMethods = shippingMethodsLookup
+            ? shippingMethodsLookup(postalCodes.resolveDestination(destination))
+            : null
+        return shippingMethods || SHIPPING_METHODS
+    }
+
+    /**
+     * Get delivery estimates for all shipping methods that deliver to a destination
+     * Each method is promised with the carrier service SHIPPING_METHOD_SERVICES maps it to.
+     * @param {string|Object} destination - Destination ZIP code, or {postalCode, countryCode}
+     * @param {Object} [productContext] - Product being promised ({productId, quantity,
+     *     handlingDays, inStockDate})
+     * @returns {Array} Array of shipping method delivery estimates
+     */
+    function getDeliveryEstimatesForAllMethods(destination, productContext) {
+        var shippingMethods = getShippingMethods(destination).filter(function (method) {
+            return isShippingMethodAvailable(method.id, destination)
+        })
+        return shippingMethods.map(function (method) {
+            var estimate = calculateDeliveryDate(destination, method.id, productContext)
+            return {
+                shippingMethodId: method.id,
+                shippingMethodName: method.name,
+                price: method.price,
+                currencyCode: method.currencyCode || null,
+                inStockDate: estimate.formattedInStockDate,
+                handlingDays: estimate.handlingDays,
+                transitDays: estimate.transitDays,
+                fulfillmentLocationId: estimate.fulfillmentLocationId,
+                carrierServiceId: estimate.carrierServiceId,
+                carrierServiceName: estimate.carrierServiceName,
+                deliveryDate: estimate.formattedDate,
+                displayMessage: estimate.displayMessage,
+                earliestDate: estimate.formattedEarliestDate,
+                latestDate: estimate.formattedLatestDate,
+                deliveryDateRange: estimate.formattedDateRange,
+                rangeDisplayMessage: estimate.rangeDisplayMessage,
+                deliveryDateISO: estimate.deliveryDateISO,
+                shipDateISO: estimate.shipDateISO,
+                inStockDateISO: estimate.inStockDateISO,
+                earliestDateISO: estimate.earliestDateISO,
+                latestDateISO: estimate.latestDateISO,
+                cutoffAt: estimate.cutoffAt,
+                msUntilCutoff: estimate.msUntilCutoff
+            }
+        })
+    }
+
+    /**
+     * Calculate the promise delivery dates of several requests at once
+     * The requests share one ship schedule per fulfillment location, so every promise
+     * of the batch is calculated for the same moment, on top of the holidays, closures
+     * and carrier calendars the engine caches anyway. A request that fails does not
+     * fail the batch.
+     * @param {Object[]} requests - Requests ({destination, shippingMethodId, productContext}),
+     *     see calculateDeliveryDate
+     * @returns {Object[]} Outcome of each request, in order ({estimate, error}): estimate is
+     *     null when the shipping method does not deliver to the destination or when the
+     *     calculation failed with error
+     */
+    function calculateDeliveryDates(requests) {
+        batchShipSchedules = {}
+        try {
+            return requests.map(function (request) {
+                try {
+                    return {
+                        estimate: calculateDeliveryDate(
+                            request.destination,
+                            request.shippingMethodId,
+                            request.productContext
+                        ),
+                        error: null
+                    }
+                } catch (e) {
+                    return {estimate: null, error: e}
+                }
+            })
+        } finally {
+            batchShipSchedules = null
+        }
+    }
+
+    /**
+     * Calculate the promise of a basket shipment whose items may ship separately
+     * Items shipping from the same fulfillment location on the same day travel in one
+     * package. Items stocked at another location, or held back by their handling days
+     * or in-stock date, ship in packages of their own and arrive on their own dates.
+     * @param {string|Object} destination - Destination ZIP code, or {postalCode, countryCode}
+     * @param {string} [shippingMethodId] - Shipping method ID, defaults to DEFAULT_SHIPPING_METHOD
+     * @param {Object[]} items - Items of the shipment ({itemId, productId, quantity,
+     *     handlingDays, inStockDate}), each promised like the productContext of
+     *     calculateDeliveryDate
+     * @returns {Object|null} Basket promise, or null when the shipping method does not deliver
+     *     to the destination: packages by delivery date ({fulfillmentLocationId, items, shipDate,
+     *     deliveryDate, transitDays, the *ISO dates, formattedDate, displayMessage, cutoffAt}),
+     *     and the date all items arrive by (deliveryDate, deliveryDateISO, latestDateISO,
+     *     formattedDate, formattedDateFull, displayMessage), cutoffAt being the first cutoff of
+     *     a package
+     */
+    function calculateBasketPromise(destination, shippingMethodId, items) {
+        var basketItems = items && items.length > 0 ? items : [null]
+        var outcomes = calculateDeliveryDates(
+            basketItems.map(function (item) {
+                return {
+                    destination: destination,
+                    shippingMethodId: shippingMethodId,
+                    productContext: item
+                }
+            })
+        )
+
+        var packagesByKey = {}
+        var packages = []
+        for (var i = 0; i < outcomes.length; i++) {
+            if (outcomes[i].error) {
+                throw outcomes[i].error
+            }
+            var estimate = outcomes[i].estimate
+            if (!estimate) {
+                return null
+            }
+
+            var key = estimate.fulfillmentLocationId + '|' + estimate.shipDateISO
+            if (!packagesByKey[key]) {
+                packagesByKey[key] = {
+                    fulfillmentLocationId: estimate.fulfillmentLocationId,
+                    items: [],
+                    shipDate: estimate.shipDate,
+                    deliveryDate: estimate.deliveryDate,
+                    transitDays: estimate.transitDays,
+                    shipDateISO: estimate.shipDateISO,
+                    deliveryDateISO: estimate.deliveryDateISO,
+                    earliestDateISO: estimate.earliestDateISO,
+                    latestDateISO: estimate.latestDateISO,
+                    formattedDate: estimate.formattedDate,
+                    formattedDateRange: estimate.formattedDateRange,
+                    displayMessage: estimate.displayMessage,
+                    cutoffAt: estimate.cutoffAt
+                }
+                packages.push(packagesByKey[key])
+            }
+            if (basketItems[i]) {
+                packagesByKey[key].items.push({
+                    itemId: basketItems[i].itemId || null,
+                    productId: basketItems[i].productId || null,
+                    quantity: basketItems[i].quantity || 1
+                })
+            }
+        }
+
+        // Date-only strings sort chronologically: by delivery date, then ship date
+        packages.sort(function (a, b) {
+            var keyA = a.deliveryDateISO + a.shipDateISO
+            var keyB = b.deliveryDateISO + b.shipDateISO
+            return keyA < keyB ? -1 : keyA > keyB ? 1 : 0
+        })
+
+        var lastPackage = packages[packages.length - 1]
+        var latestDateISO = packages.reduce(function (latest, pkg) {
+            return pkg.latestDateISO > latest ? pkg.latestDateISO : latest
+        }, lastPackage.latestDateISO)
+        var cutoffs = packages
+            .map(function (pkg) {
+                return pkg.cutoffAt
+            })
+            .filter(function (cutoffAt) {
+                return cutoffAt !== null
+            })
+        var deliveryDate = lastPackage.deliveryDate
+        var formattedDate = lastPackage.formattedDate
+
+        return {
+            shippingMethodId: shippingMethodId || config.DEFAULT_SHIPPING_METHOD,
+            packages: packages,
+            packageCount: packages.length,
+            deliveryDate: deliveryDate,
+            deliveryDateISO: lastPackage.deliveryDateISO,
+            latestDateISO: latestDateISO,
+            formattedDate: formattedDate,
+            formattedDateFull:
+                DAY_NAMES[dateAdapter.getDayOfWeek(deliveryDate)] + ', ' + formattedDate,
+            displayMessage:
+                packages.length > 1
+                    ? 'Arrives in ' + packages.length + ' shipments, all items by ' + formattedDate
+                    : lastPackage.displayMessage,
+            cutoffAt: cutoffs.length > 0 ? Math.min.apply(null, cutoffs) : null
+        }
+    }
+
+    return {
+        calculateDeliveryDate: calculateDeliveryDate,
+        calculateDeliveryDates: calculateDeliveryDates,
+        calculateBasketPromise: calculateBasketPromise,
+        getTransitDays: getTransitDays,
+        getTransitDaysForShippingMethod: getTransitDaysForShippingMethod,
+        getCarrierService: getCarrierService,
+        getPromiseMethodId: getPromiseMethodId,
+        isShippingMethodAvailable: isShippingMethodAvailable,
+        getCarrierCalendar: getCarrierCalendar,
+        getShipDate: getShipDate,
+        selectFulfillmentLocation: selectFulfillmentLocation,
+        isBusinessDay: isBusinessDay,
+        isHoliday: isHoliday,
+        isClosed: isClosed,
+        isValidZipCode: isValidZipCode,
+        getDeliveryEstimatesForAllMethods: getDeliveryEstimatesForAllMethods,
+        getNextBusinessDay: getNextBusinessDay,
+        addBusinessDays: addBusinessDays,
+        getHolidaysForYear: getHolidaysForYear,
+        formatDateString: formatDateString,
+        parseDateString: parseDateString,
+        fulfillmentLocations: fulfillmentLocations,
+        config: config
+    }
+}
+
+module.exports = {
+    createEngine: createEngine,
+    CONFIG: CONFIG,
+    DEFAULT_CALENDAR: DEFAULT_CALENDAR
+}
@@ -0,0 +1,68 @@
+'use strict'
+
+/**
+ * Promise Delivery Closures
+ *
+ * Closure lookup provider for the promise delivery engine, backed by
+ * PromiseDeliveryClosure custom objects (see metadata/). Business Manager users
+ * add the dates a warehouse or carrier does not work on, e.g. inventory counts
+ * or Christmas Eve. The engine asks for a whole year at once and caches it, so
+ * iterating over days does not query the database each time.
+ */
+
+var Calendar = require('dw/util/Calendar')
+var CustomObjectMgr = require('dw/object/CustomObjectMgr')
+var StringUtils = require('dw/util/StringUtils')
+
+var CUSTOM_OBJECT_TYPE = 'PromiseDeliveryClosure'
+
+/**
+ * Read the value of an optional enum or string attribute
+ * @param {*} value - Attribute value (dw.value.EnumValue or string)
+ * @returns {string|null} String value, or null when empty
+ */
+function getStringValue(value) {
+    if (value && value.value !== undefined) {
+        return value.value || null
+    }
+    return value || null
+}
+
+/**
+ * Get the closures of a year
+ * @param {number} year - The year
+ * @returns {Object[]} Closures ({date, scope, fulfillmentLocationId, carrierId}),
+ *     dates in YYYY-MM-DD format
+ */
+function getClosures(year) {
+    var closures = []
+    var iterator = CustomObjectMgr.queryCustomObjects(
+        CUSTOM_OBJECT_TYPE,
+        'custom.date >= {0} AND custom.date < {1}',
+        'custom.date asc',
+        new Date(Date.UTC(year, 0, 1)),
+        new Date(Date.UTC(year + 1, 0, 1))
+    )
+
+    try {
+        while (iterator.hasNext()) {
+            var closure = iterator.next().custom
+            closures.push({
+                // Date attributes are stored as midnight GMT, the Calendar default
+                date: StringUtils.formatCalendar(new Calendar(closure.date), 'yyyy-MM-dd'),
+                scope: getStringValue(closure.scope),
+                fulfillmentLocationId: getStringValue(closure.fulfillmentLocationId),
+                carrierId: getStringValue(closure.carrierId)
+            })
+        }
+    } finally {
+        iterator.close()
+    }
+
+    return closures
+}
+
+module.exports = {
+    getClosures: getClosures,
+    CUSTOM_OBJECT_TYPE: CUSTOM_OBJECT_TYPE
+}
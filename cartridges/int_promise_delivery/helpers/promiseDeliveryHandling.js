@@ -0,0 +1,78 @@
+'use strict'
+
+/**
+ * Promise Delivery Handling Time
+ *
+ * Handling days lookup provider for the promise delivery engine. Engraved,
+ * personalized and made-to-order products need extra business days before they
+ * ship, read from the promiseDeliveryHandlingDays attribute of the product.
+ * Products without a value use the attribute of their primary category, or of
+ * its closest parent category that has one.
+ */
+
+var ProductMgr = require('dw/catalog/ProductMgr')
+
+var HANDLING_DAYS_ATTRIBUTE = 'promiseDeliveryHandlingDays'
+
+// Handling days already read during this request, by product ID
+var handlingDaysCache = {}
+
+/**
+ * Read the handling days attribute of a product or category
+ * @param {dw.object.ExtensibleObject} object - Product or category
+ * @returns {number|null} Handling days, or null when the attribute is not set
+ */
+function readHandlingDays(object) {
+    var handlingDays = object.custom[HANDLING_DAYS_ATTRIBUTE]
+    return typeof handlingDays === 'number' ? handlingDays : null
+}
+
+/**
+ * Get the default handling days of a category, walking up to the root category
+ * @param {dw.catalog.Category} category - Category
+ * @returns {number|null} Handling days, or null when no category sets them
+ */
+function getCategoryHandlingDays(category) {
+    for (var current = category; current; current = current.parent) {
+        var handlingDays = readHandlingDays(current)
+        if (handlingDays !== null) {
+            return handlingDays
+        }
+    }
+    return null
+}
+
+/**
+ * Get the handling days of a product
+ * Variants without their own value use the value and category of their master.
+ * @param {string} productId - Product ID
+ * @returns {number|null} Handling days, or null for none
+ */
+function getHandlingDays(productId) {
+    if (productId in handlingDaysCache) {
+        return handlingDaysCache[productId]
+    }
+
+    var product = ProductMgr.getProduct(productId)
+    var handlingDays = null
+    if (product) {
+        var master = product.variant ? product.masterProduct : null
+        handlingDays = readHandlingDays(product)
+        if (handlingDays === null && master) {
+            handlingDays = readHandlingDays(master)
+        }
+        if (handlingDays === null) {
+            handlingDays = getCategoryHandlingDays(
+                product.primaryCategory || (master && master.primaryCategory)
+            )
+        }
+    }
+
+    handlingDaysCache[productId] = handlingDays
+    return handlingDays
+}
+
+module.exports = {
+    getHandlingDays: getHandlingDays,
+    HANDLING_DAYS_ATTRIBUTE: HANDLING_DAYS_ATTRIBUTE
+}
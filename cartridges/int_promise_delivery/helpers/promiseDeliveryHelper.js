@@ -1,447 +1,67 @@
-'use strict'
-
-/**
- * Promise Delivery Date Helper
- *
- * This module contains the business logic for calculating estimated delivery dates.
- *
- * Calculation Logic:
- * Promise Date = Ship Date + Transit Days (business days only)
- *
- * - Ship Date: Today if before 2 PM EST cutoff, else next business day
- * - Transit Days: Based on origin→destination ZIP range
- * - Business Days: Excludes weekends and US federal holidays
- */
-
-var Calendar = require('dw/util/Calendar')
-
-// Configuration constants
-var CONFIG = {
-    CUTOFF_HOUR_EST: 14, // 2 PM EST cutoff
-    ORIGIN_ZIP: '10001', // NYC origin
-    EST_OFFSET: -5 // EST timezone offset
-}
-
-// ============================================================================
-// DYNAMIC HOLIDAY CALCULATION
-// ============================================================================
-
-// Cache for calculated holidays (keyed by year)
-var holidayCache = {}
-
-/**
- * Get the Nth occurrence of a weekday in a given month
- * @param {number} year - The year
- * @param {number} month - The month (0-11)
- * @param {number} dayOfWeek - Day of week (1=Sunday, 2=Monday, etc. in Calendar)
- * @param {number} occurrence - Which occurrence (1=first, 2=second, etc.)
- * @returns {dw.util.Calendar} Calendar object for the Nth weekday
- */
-function getNthWeekdayOfMonth(year, month, dayOfWeek, occurrence) {
-    var cal = new Calendar()
-    cal.set(Calendar.YEAR, year)
-    cal.set(Calendar.MONTH, month)
-    cal.set(Calendar.DAY_OF_MONTH, 1)
-
-    var firstDayOfWeek = cal.get(Calendar.DAY_OF_WEEK)
-
-    // Calculate days until the first occurrence of the target weekday
-    var daysUntilFirst = dayOfWeek - firstDayOfWeek
-    if (daysUntilFirst < 0) {
-        daysUntilFirst += 7
-    }
-
-    // Calculate the date of the Nth occurrence
-    var date = 1 + daysUntilFirst + (occurrence - 1) * 7
-    cal.set(Calendar.DAY_OF_MONTH, date)
-    return cal
-}
-
-/**
- * Get the last occurrence of a weekday in a given month
- * @param {number} year - The year
- * @param {number} month - The month (0-11)
- * @param {number} dayOfWeek - Day of week (1=Sunday, 2=Monday, etc. in Calendar)
- * @returns {dw.util.Calendar} Calendar object for the last weekday
- */
-function getLastWeekdayOfMonth(year, month, dayOfWeek) {
-    // Get the last day of the month
-    var cal = new Calendar()
-    cal.set(Calendar.YEAR, year)
-    cal.set(Calendar.MONTH, month + 1)
-    cal.set(Calendar.DAY_OF_MONTH, 0) // Last day of previous month
-
-    var lastDayOfWeek = cal.get(Calendar.DAY_OF_WEEK)
-
-    // Calculate days to go back to reach the target weekday
-    var daysToSubtract = lastDayOfWeek - dayOfWeek
-    if (daysToSubtract < 0) {
-        daysToSubtract += 7
-    }
-
-    cal.add(Calendar.DAY_OF_MONTH, -daysToSubtract)
-    return cal
-}
-
-/**
- * Get observed date for a holiday (handles weekend observance)
- * If holiday falls on Saturday, observed on Friday
- * If holiday falls on Sunday, observed on Monday
- * @param {dw.util.Calendar} cal - The actual holiday calendar
- * @returns {dw.util.Calendar} The observed date calendar
- */
-function getObservedDate(cal) {
-    var dayOfWeek = cal.get(Calendar.DAY_OF_WEEK)
-    if (dayOfWeek === Calendar.SATURDAY) {
-        // Saturday -> observe on Friday
-        cal.add(Calendar.DAY_OF_MONTH, -1)
-    } else if (dayOfWeek === Calendar.SUNDAY) {
-        // Sunday -> observe on Monday
-        cal.add(Calendar.DAY_OF_MONTH, 1)
-    }
-    return cal
-}
-
-/**
- * Format a Calendar date as YYYY-MM-DD string (internal use)
- * @param {dw.util.Calendar} calendar - Calendar object
- * @returns {string} Date string in YYYY-MM-DD format
- */
-function formatDateStringInternal(calendar) {
-    var year = calendar.get(Calendar.YEAR)
-    var month = String(calendar.get(Calendar.MONTH) + 1).padStart(2, '0')
-    var day = String(calendar.get(Calendar.DAY_OF_MONTH)).padStart(2, '0')
-    return year + '-' + month + '-' + day
-}
-
-/**
- * Calculate all US federal holidays for a given year
- * @param {number} year - The year to calculate holidays for
- * @returns {Array} Array of holiday dates in YYYY-MM-DD format
- */
-function calculateHolidaysForYear(year) {
-    var holidays = []
-
-    // New Year's Day - January 1 (observed)
-    var newYears = new Calendar()
-    newYears.set(Calendar.YEAR, year)
-    newYears.set(Calendar.MONTH, 0)
-    newYears.set(Calendar.DAY_OF_MONTH, 1)
-    holidays.push(formatDateStringInternal(getObservedDate(newYears)))
-
-    // Martin Luther King Jr. Day - 3rd Monday of January
-    // Calendar.MONDAY = 2
-    var mlkDay = getNthWeekdayOfMonth(year, 0, Calendar.MONDAY, 3)
-    holidays.push(formatDateStringInternal(mlkDay))
-
-    // Presidents Day - 3rd Monday of February
-    var presidentsDay = getNthWeekdayOfMonth(year, 1, Calendar.MONDAY, 3)
-    holidays.push(formatDateStringInternal(presidentsDay))
-
-    // Memorial Day - Last Monday of May
-    var memorialDay = getLastWeekdayOfMonth(year, 4, Calendar.MONDAY)
-    holidays.push(formatDateStringInternal(memorialDay))
-
-    // Independence Day - July 4 (observed)
-    var independenceDay = new Calendar()
-    independenceDay.set(Calendar.YEAR, year)
-    independenceDay.set(Calendar.MONTH, 6)
-    independenceDay.set(Calendar.DAY_OF_MONTH, 4)
-    holidays.push(formatDateStringInternal(getObservedDate(independenceDay)))
-
-    // Labor Day - 1st Monday of September
-    var laborDay = getNthWeekdayOfMonth(year, 8, Calendar.MONDAY, 1)
-    holidays.push(formatDateStringInternal(laborDay))
-
-    // Columbus Day - 2nd Monday of October
-    var columbusDay = getNthWeekdayOfMonth(year, 9, Calendar.MONDAY, 2)
-    holidays.push(formatDateStringInternal(columbusDay))
-
-    // Veterans Day - November 11 (observed)
-    var veteransDay = new Calendar()
-    veteransDay.set(Calendar.YEAR, year)
-    veteransDay.set(Calendar.MONTH, 10)
-    veteransDay.set(Calendar.DAY_OF_MONTH, 11)
-    holidays.push(formatDateStringInternal(getObservedDate(veteransDay)))
-
-    // Thanksgiving - 4th Thursday of November
-    // Calendar.THURSDAY = 5
-    var thanksgiving = getNthWeekdayOfMonth(year, 10, Calendar.THURSDAY, 4)
-    holidays.push(formatDateStringInternal(thanksgiving))
-
-    // Christmas Day - December 25 (observed)
-    var christmas = new Calendar()
-    christmas.set(Calendar.YEAR, year)
-    christmas.set(Calendar.MONTH, 11)
-    christmas.set(Calendar.DAY_OF_MONTH, 25)
-    holidays.push(formatDateStringInternal(getObservedDate(christmas)))
-
-    return holidays
-}
-
-/**
- * Get holidays for a specific year (with caching)
- * @param {number} year - The year
- * @returns {Array} Array of holiday dates
- */
-function getHolidaysForYear(year) {
-    if (!holidayCache[year]) {
-        holidayCache[year] = calculateHolidaysForYear(year)
-    }
-    return holidayCache[year]
-}
-
-/**
- * Check if a date is a US federal holiday (dynamically calculated)
- * @param {dw.util.Calendar} calendar - Calendar object to check
- * @returns {boolean} True if the date is a holiday
- */
-function isHolidayDynamic(calendar) {
-    var year = calendar.get(Calendar.YEAR)
-    var dateStr = formatDateStringInternal(calendar)
-    var holidays = getHolidaysForYear(year)
-    return holidays.indexOf(dateStr) !== -1
-}
-
-/**
- * Check if a date is a US federal holiday
- * Uses dynamic calculation - no need to maintain static holiday lists
- * @param {dw.util.Calendar} calendar - Calendar object to check
- * @returns {boolean} True if the date is a holiday
- */
-function isHoliday(calendar) {
-    return isHolidayDynamic(calendar)
-}
-
-/**
- * Check if a date is a business day (not weekend, not holiday)
- * @param {dw.util.Calendar} calendar - Calendar object to check
- * @returns {boolean} True if the date is a business day
- */
-function isBusinessDay(calendar) {
-    var dayOfWeek = calendar.get(Calendar.DAY_OF_WEEK)
-    // Check if weekend (1 = Sunday, 7 = Saturday in dw.util.Calendar)
-    if (dayOfWeek === Calendar.SUNDAY || dayOfWeek === Calendar.SATURDAY) {
-        return false
-    }
-    // Check if holiday
-    return !isHoliday(calendar)
-}
-
-/**
- * Get the next business day from a given date
- * @param {dw.util.Calendar} calendar - Starting calendar object
- * @returns {dw.util.Calendar} Calendar object for next business day
- */
-function getNextBusinessDay(calendar) {
-    var nextDay = new Calendar(calendar.getTime())
-    nextDay.add(Calendar.DAY_OF_MONTH, 1)
-    while (!isBusinessDay(nextDay)) {
-        nextDay.add(Calendar.DAY_OF_MONTH, 1)
-    }
-    return nextDay
-}
-
-/**
- * Add business days to a date
- * @param {dw.util.Calendar} startDate - Starting calendar object
- * @param {number} businessDays - Number of business days to add
- * @returns {dw.util.Calendar} Calendar object for the resulting date
- */
-function addBusinessDays(startDate, businessDays) {
-    var currentDate = new Calendar(startDate.getTime())
-    var daysAdded = 0
-
-    while (daysAdded < businessDays) {
-        currentDate.add(Calendar.DAY_OF_MONTH, 1)
-        if (isBusinessDay(currentDate)) {
-            daysAdded++
-        }
-    }
-
-    return currentDate
-}
-
-/**
- * Get transit days based on destination ZIP range
- * Origin: 10001 (NYC)
- *
- * | Destination ZIP | Transit Days |
- * |-----------------|--------------|
- * | 00000-19999     | 1            |
- * | 20000-39999     | 2            |
- * | 40000-59999     | 3            |
- * | 60000-79999     | 4            |
- * | 80000-99999     | 5            |
- *
- * @param {string} destinationZip - Destination ZIP code
- * @returns {number} Number of transit days
- */
-function getTransitDays(destinationZip) {
-    var zipNum = parseInt(destinationZip, 10)
-
-    if (isNaN(zipNum)) {
-        return 5 // Default to 5 days for invalid ZIPs
-    }
-
-    if (zipNum >= 0 && zipNum <= 19999) return 1
-    if (zipNum >= 20000 && zipNum <= 39999) return 2
-    if (zipNum >= 40000 && zipNum <= 59999) return 3
-    if (zipNum >= 60000 && zipNum <= 79999) return 4
-    if (zipNum >= 80000 && zipNum <= 99999) return 5
-
-    return 5 // Default to 5 days for unknown ZIPs
-}
-
-/**
- * Get transit days for a specific shipping method
- * @param {string} shippingMethodId - Shipping method ID
- * @param {string} destinationZip - Destination ZIP code
- * @returns {number} Number of transit days
- */
-function getTransitDaysForShippingMethod(shippingMethodId, destinationZip) {
-    var baseTransitDays = getTransitDays(destinationZip)
-
-    // Adjust transit days based on shipping method
-    switch (shippingMethodId) {
-        case 'overnight':
-        case 'express-overnight':
-            return 1 // Overnight shipping
-        case 'express':
-        case '2-day':
-            return Math.min(2, baseTransitDays) // Express - max 2 days
-        case 'standard':
-        default:
-            return baseTransitDays // Standard shipping uses base transit days
-    }
-}
-
-/**
- * Get the ship date based on current time and 2 PM EST cutoff
- * @returns {dw.util.Calendar} Calendar object for ship date
- */
-function getShipDate() {
-    // Get current hour in EST
-    // Note: In production, use Site timezone configuration
-    var estCalendar = new Calendar()
-    estCalendar.setTimeZone('America/New_York')
-    var estHour = estCalendar.get(Calendar.HOUR_OF_DAY)
-
-    // Create today's date
-    var today = new Calendar()
-    today.set(Calendar.HOUR_OF_DAY, 0)
-    today.set(Calendar.MINUTE, 0)
-    today.set(Calendar.SECOND, 0)
-    today.set(Calendar.MILLISECOND, 0)
-
-    // If before 2 PM EST and today is a business day, ship today
-    if (estHour < CONFIG.CUTOFF_HOUR_EST && isBusinessDay(today)) {
-        return today
-    }
-
-    // Otherwise, ship next business day
-    return getNextBusinessDay(today)
-}
-
-/**
- * Calculate the promise delivery date
- * Promise Date = Ship Date + Transit Days (business days only)
- *
- * @param {string} destinationZip - Destination ZIP code
- * @param {string} [shippingMethodId] - Optional shipping method ID
- * @returns {Object} Object containing deliveryDate and formatted string
- */
-function calculateDeliveryDate(destinationZip, shippingMethodId) {
-    var shipDate = getShipDate()
-    var transitDays = shippingMethodId
-        ? getTransitDaysForShippingMethod(shippingMethodId, destinationZip)
-        : getTransitDays(destinationZip)
-    var deliveryDate = addBusinessDays(shipDate, transitDays)
-
-    // Format the date for display
-    var months = [
-        'January',
-        'February',
-        'March',
-        'April',
-        'May',
-        'June',
-        'July',
-        'August',
-        'September',
-        'October',
-        'November',
-        'December'
-    ]
-    var days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
-
-    var dayOfWeek = days[deliveryDate.get(Calendar.DAY_OF_WEEK) - 1]
-    var month = months[deliveryDate.get(Calendar.MONTH)]
-    var dayOfMonth = deliveryDate.get(Calendar.DAY_OF_MONTH)
-
-    // Add ordinal suffix
-    var suffix = 'th'
-    if (dayOfMonth === 1 || dayOfMonth === 21 || dayOfMonth === 31) suffix = 'st'
-    else if (dayOfMonth === 2 || dayOfMonth === 22) suffix = 'nd'
-    else if (dayOfMonth === 3 || dayOfMonth === 23) suffix = 'rd'
-
-    return {
-        deliveryDate: deliveryDate,
-        shipDate: shipDate,
-        transitDays: transitDays,
-        formattedDate: month + ' ' + dayOfMonth + suffix,
-        formattedDateFull: dayOfWeek + ', ' + month + ' ' + dayOfMonth + suffix,
-        displayMessage: 'Get it by ' + month + ' ' + dayOfMonth + suffix
-    }
-}
-
-/**
- * Validate a US ZIP code
- * @param {string} zipCode - ZIP code to validate
- * @returns {boolean} True if valid 5-digit US ZIP code
- */
-function isValidZipCode(zipCode) {
-    if (!zipCode || typeof zipCode !== 'string') {
-        return false
-    }
-    var cleaned = zipCode.replace(/\D/g, '')
-    return cleaned.length === 5
-}
-
-/**
- * Get delivery estimates for all shipping methods
- * @param {string} destinationZip - Destination ZIP code
- * @returns {Array} Array of shipping method delivery estimates
- */
-function getDeliveryEstimatesForAllMethods(destinationZip) {
-    var shippingMethods = [
-        {id: 'standard', name: 'Standard Shipping', price: 5.99},
-        {id: 'express', name: 'Express Shipping', price: 12.99},
-        {id: 'overnight', name: 'Overnight', price: 24.99}
-    ]
-
-    return shippingMethods.map(function (method) {
-        var estimate = calculateDeliveryDate(destinationZip, method.id)
-        return {
-            shippingMethodId: method.id,
-            shippingMethodName: method.name,
-            price: method.price,
-            transitDays: estimate.transitDays,
-            deliveryDate: estimate.formattedDate,
-            displayMessage: estimate.displayMessage
-        }
-    })
-}
-
-module.exports = {
-    calculateDeliveryDate: calculateDeliveryDate,
-    getTransitDays: getTransitDays,
-    getTransitDaysForShippingMethod: getTransitDaysForShippingMethod,
-    getShipDate: getShipDate,
-    isBusinessDay: isBusinessDay,
-    isValidZipCode: isValidZipCode,
-    getDeliveryEstimatesForAllMethods: getDeliveryEstimatesForAllMethods,
-    addBusinessDays: addBusinessDays,
-    CONFIG: CONFIG
-}
-
+'use strict'
+
+/**
+ * Promise Delivery Date Helper
+ *
+ * This module exposes the business logic for calculating estimated delivery dates.
+ * The logic itself lives in the shared promise delivery engine, which the PWA-Kit
+ * utility runs as well; this helper binds it to dw.util.Calendar and to the
+ * promise delivery Site Preferences.
+ *
+ * Calculation Logic:
+ * Promise Date = Ship Date + Handling Days + Transit Days (business days only)
+ *
+ * - Ship Date: Today if before the cutoff (default 2 PM EST), else next business day,
+ *   never before the in-stock date of a backordered or pre-order product
+ * - Handling Days: From the product, else its category (promiseDeliveryHandlingDays)
+ * - Transit Days: From the ZIP3 transit matrix, else the carrier service of the shipping method
+ * - Origin: The fulfillment location with inventory that can deliver soonest
+ * - Business Days: Warehouse calendar for the ship date, carrier calendar for transit days,
+ *   each closed on the holidays it observes (engine/data/holidayRules.json) and on the
+ *   closure dates merchants add in Business Manager (PromiseDeliveryClosure custom objects)
+ * - Shipping Methods: The site's shipping methods (ShippingMgr), priced for the current basket
+ */
+
+var promiseDeliveryEngine = require('../engine/promiseDeliveryEngine')
+var calendarDateAdapter = require('../engine/calendarDateAdapter')
+var postalCodes = require('../engine/postalCodes')
+var promiseDeliveryPreferences = require('./promiseDeliveryPreferences')
+var promiseDeliveryInventory = require('./promiseDeliveryInventory')
+var promiseDeliveryTransit = require('./promiseDeliveryTransit')
+var promiseDeliveryClosures = require('./promiseDeliveryClosures')
+var promiseDeliveryHandling = require('./promiseDeliveryHandling')
+var promiseDeliveryShippingMethods = require('./promiseDeliveryShippingMethods')
+
+var engine = promiseDeliveryEngine.createEngine(
+    calendarDateAdapter,
+    promiseDeliveryPreferences.getConfig(),
+    {
+        inventoryLookup: promiseDeliveryInventory.isAvailable,
+        inStockDateLookup: promiseDeliveryInventory.getInStockDate,
+        transitLookup: promiseDeliveryTransit.getTransitDays,
+        closureLookup: promiseDeliveryClosures.getClosures,
+        handlingDaysLookup: promiseDeliveryHandling.getHandlingDays,
+        shippingMethodsLookup: promiseDeliveryShippingMethods.getShippingMethods,
+        promiseMethodLookup: promiseDeliveryShippingMethods.getPromiseMethodId
+    }
+)
+
+module.exports = {
+    calculateDeliveryDate: engine.calculateDeliveryDate,
+    calculateDeliveryDates: engine.calculateDeliveryDates,
+    calculateBasketPromise: engine.calculateBasketPromise,
+    getTransitDays: engine.getTransitDays,
+    getTransitDaysForShippingMethod: engine.getTransitDaysForShippingMethod,
+    getCarrierService: engine.getCarrierService,
+    getPromiseMethodId: engine.getPromiseMethodId,
+    isShippingMethodAvailable: engine.isShippingMethodAvailable,
+    getShipDate: engine.getShipDate,
+    selectFulfillmentLocation: engine.selectFulfillmentLocation,
+    isBusinessDay: engine.isBusinessDay,
+    isValidZipCode: engine.isValidZipCode,
+    isSupportedCountry: postalCodes.isSupportedCountry,
+    normalizePostalCode: postalCodes.normalizePostalCode,
+    getDeliveryEstimatesForAllMethods: engine.getDeliveryEstimatesForAllMethods,
+    addBusinessDays: engine.addBusinessDays,
+    CONFIG: engine.config
+}
@@ -0,0 +1,99 @@
+'use strict'
+
+/**
+ * Promise Delivery Inventory
+ *
+ * Inventory lookup providers for the promise delivery engine, backed by
+ * ProductInventoryMgr. Tell the engine whether a fulfillment location can
+ * ship a product so the promise is only made from locations with stock, and
+ * when a backordered or pre-order product is expected in stock.
+ */
+
+var Calendar = require('dw/util/Calendar')
+var ProductInventoryMgr = require('dw/catalog/ProductInventoryMgr')
+var StringUtils = require('dw/util/StringUtils')
+
+/**
+ * Get the inventory list a fulfillment location ships from
+ * Locations without an inventory list ID use the site's default inventory list.
+ * @param {Object} location - Fulfillment location ({inventoryListId})
+ * @returns {dw.catalog.ProductInventoryList|null} Inventory list
+ */
+function getInventoryList(location) {
+    return location.inventoryListId
+        ? ProductInventoryMgr.getInventoryList(location.inventoryListId)
+        : ProductInventoryMgr.getInventoryList()
+}
+
+/**
+ * Get the quantity of a product the order being promised reserved from an inventory list
+ * Orders reserve their inventory when they are created, before their promise is stamped
+ * (see promiseDeliveryOrder), so their own units are counted back as in stock.
+ * @param {dw.catalog.ProductInventoryList} inventoryList - Inventory list of the location
+ * @param {Object} [productContext] - Product being promised; its reservation
+ *     ({inventoryListId, quantity}) is the line item of a created order, an empty
+ *     inventoryListId standing for the site's default inventory list
+ * @returns {number} Reserved quantity, 0 when the order did not reserve from the list
+ */
+function getReservedQuantity(inventoryList, productContext) {
+    var reservation = productContext ? productContext.reservation : null
+    if (!reservation) {
+        return 0
+    }
+
+    var reservedList = reservation.inventoryListId
+        ? {ID: reservation.inventoryListId}
+        : ProductInventoryMgr.getInventoryList()
+    return reservedList && reservedList.ID === inventoryList.ID ? reservation.quantity : 0
+}
+
+/**
+ * Check whether a fulfillment location has a product available to sell
+ * @param {Object} location - Fulfillment location ({inventoryListId})
+ * @param {string} productId - Product ID
+ * @param {number} quantity - Quantity to ship
+ * @param {Object} [productContext] - Product being promised ({reservation})
+ * @returns {boolean} True if the available-to-sell quantity covers the request
+ */
+function isAvailable(location, productId, quantity, productContext) {
+    var inventoryList = getInventoryList(location)
+    var record = inventoryList ? inventoryList.getRecord(productId) : null
+    if (!record) {
+        return false
+    }
+
+    var reservedQuantity = getReservedQuantity(inventoryList, productContext)
+    return record.getATS().getValue() + reservedQuantity >= quantity
+}
+
+/**
+ * Get the date a product is expected in stock at a fulfillment location
+ * Products whose stock level does not cover the quantity sell on backorder or
+ * pre-order, and ship once the in-stock date of their inventory record is reached.
+ * @param {Object} location - Fulfillment location ({inventoryListId})
+ * @param {string} productId - Product ID
+ * @param {number} quantity - Quantity to ship
+ * @param {Object} [productContext] - Product being promised ({reservation})
+ * @returns {string|null} In-stock date in YYYY-MM-DD format, or null when in stock
+ *     (or no date is known)
+ */
+function getInStockDate(location, productId, quantity, productContext) {
+    var inventoryList = getInventoryList(location)
+    var record = inventoryList ? inventoryList.getRecord(productId) : null
+    if (!record) {
+        return null
+    }
+
+    var reservedQuantity = getReservedQuantity(inventoryList, productContext)
+    if (record.getStockLevel().getValue() + reservedQuantity >= quantity) {
+        return null
+    }
+
+    var inStockDate = record.getInStockDate()
+    return inStockDate ? StringUtils.formatCalendar(new Calendar(inStockDate), 'yyyy-MM-dd') : null
+}
+
+module.exports = {
+    isAvailable: isAvailable,
+    getInStockDate: getInStockDate
+}
@@ -0,0 +1,145 @@
+'use strict'
+
+/**
+ * Promise Delivery Order Stamping
+ *
+ * Recomputes the promise of each delivery shipment when an order is placed, so the
+ * dates the order carries to the OMS do not rest on the client: the date the checkout
+ * stored (customerSelectedDeliveryDate) can be stale, e.g. when the cutoff passed while
+ * the shopper was paying, or tampered with. The recomputed date is written to the
+ * promiseDeliveryDate attribute of the order and its shipments, along with the promise
+ * method, ship date and transit days of each shipment. When a shipment now arrives after
+ * the day the shopper saw, or can no longer be delivered, the order is flagged
+ * (promiseDeliveryMismatch) and a note tells customer service which shipments moved.
+ * Earlier dates are not flagged: the server knows what the checkout may not (closures,
+ * fulfillment locations and Site Preferences), and arriving early keeps the promise.
+ */
+
+var promiseDeliveryHelper = require('./promiseDeliveryHelper')
+
+var NOTE_SUBJECT = 'Promise Delivery'
+
+/**
+ * Check whether a shipment is delivered to an address
+ * @param {dw.order.Shipment} shipment - Order shipment
+ * @returns {boolean} False for store pickup shipments and shipments without products
+ */
+function isDeliveryShipment(shipment) {
+    var shippingMethod = shipment.shippingMethod
+    return Boolean(
+        shipment.shippingAddress &&
+            shipment.shippingAddress.postalCode &&
+            !shipment.productLineItems.empty &&
+            !(shippingMethod && shippingMethod.custom.storePickupEnabled)
+    )
+}
+
+/**
+ * Recompute the promise of an order shipment, as the checkout calculated it
+ * The order reserved its inventory when it was created, so each item carries its line
+ * item's reservation: the inventory lookups count those units back, as they were in stock
+ * when the shopper saw the date (see promiseDeliveryInventory).
+ * @param {dw.order.Shipment} shipment - Order shipment
+ * @returns {Object|null} Basket promise, or null when the shipping method does not deliver
+ *     to the address
+ */
+function calculateShipmentPromise(shipment) {
+    var address = shipment.shippingAddress
+    var items = shipment.productLineItems.toArray().map(function (lineItem) {
+        return {
+            itemId: lineItem.UUID,
+            productId: lineItem.productID,
+            quantity: lineItem.quantityValue,
+            reservation: {
+                inventoryListId: lineItem.productInventoryListID || null,
+                quantity: lineItem.quantityValue
+            }
+        }
+    })
+
+    return promiseDeliveryHelper.calculateBasketPromise(
+        {
+            postalCode: address.postalCode,
+            countryCode: address.countryCode ? address.countryCode.value : null
+        },
+        shipment.shippingMethodID,
+        items
+    )
+}
+
+/**
+ * Describe a shipment whose promise changed since the shopper saw it
+ * @param {Object} mismatch - Mismatch ({shipmentId, shopperDate, promiseDate})
+ * @returns {string} Note line
+ */
+function describeMismatch(mismatch) {
+    return (
+        'Shipment ' +
+        mismatch.shipmentId +
+        ' was shown delivery by ' +
+        mismatch.shopperDate +
+        (mismatch.promiseDate
+            ? ', promised by ' + mismatch.promiseDate + ' at order placement'
+            : ', its shipping method no longer delivers to the address')
+    )
+}
+
+/**
+ * Stamp the authoritative promise of an order and its delivery shipments
+ * Call within the transaction that places the order.
+ * @param {dw.order.Order} order - Order being placed
+ * @returns {Object} Stamped promise: promiseDeliveryDate (the date the last shipment arrives
+ *     by, or null when no shipment can be promised) and mismatches ({shipmentId, shopperDate,
+ *     promiseDate}), the shipments arriving later than the shopper saw
+ */
+function stampOrderPromise(order) {
+    var promiseDates = []
+    var mismatches = []
+
+    order.shipments
+        .toArray()
+        .filter(isDeliveryShipment)
+        .forEach(function (shipment) {
+            var promise = calculateShipmentPromise(shipment)
+            var promiseDate = promise ? promise.deliveryDateISO : null
+            var shopperDate = shipment.custom.customerSelectedDeliveryDate || null
+
+            shipment.custom.promiseDeliveryDate = promiseDate
+            if (promise) {
+                var lastPackage = promise.packages[promise.packages.length - 1]
+                shipment.custom.promiseDeliveryMethod = promiseDeliveryHelper.getPromiseMethodId(
+                    shipment.shippingMethodID
+                )
+                shipment.custom.promiseDeliveryShipDate = lastPackage.shipDateISO
+                shipment.custom.promiseDeliveryTransitDays = lastPackage.transitDays
+                promiseDates.push(promiseDate)
+            }
+
+            // Shipments the checkout did not store a date for were not promised to the shopper.
+            // Date-only strings compare chronologically.
+            if (shopperDate && (!promiseDate || promiseDate > shopperDate)) {
+                mismatches.push({
+                    shipmentId: shipment.ID,
+                    shopperDate: shopperDate,
+                    promiseDate: promiseDate
+                })
+            }
+        })
+
+    // Date-only strings sort chronologically
+    var promiseDeliveryDate = promiseDates.sort()[promiseDates.length - 1] || null
+    order.custom.promiseDeliveryDate = promiseDeliveryDate
+    order.custom.promiseDeliveryMismatch = mismatches.length > 0
+    if (mismatches.length > 0) {
+        order.addNote(NOTE_SUBJECT, mismatches.map(describeMismatch).join('\n'))
+    }
+
+    return {
+        promiseDeliveryDate: promiseDeliveryDate,
+        mismatches: mismatches
+    }
+}
+
+module.exports = {
+    stampOrderPromise: stampOrderPromise
+}
@@ -0,0 +1,88 @@
+'use strict'
+
+/**
+ * Promise Delivery Site Preferences
+ *
+ * Reads the promise delivery configuration from the custom Site Preferences of
+ * the "PromiseDelivery" preference group (see metadata/). Preferences that are
+ * not set are left out, so the engine falls back to its defaults.
+ */
+
+var Site = require('dw/system/Site')
+var Logger = require('dw/system/Logger')
+
+// Engine configuration key -> custom Site Preference ID
+var PREFERENCE_IDS = {
+    CUTOFF_HOUR_EST: 'promiseDeliveryCutoffHour',
+    ORIGIN_ZIP: 'promiseDeliveryOriginZip',
+    TIMEZONE: 'promiseDeliveryTimezone',
+    DEFAULT_SHIPPING_METHOD: 'promiseDeliveryDefaultShippingMethod',
+    FULFILLMENT_LOCATIONS: 'promiseDeliveryFulfillmentLocations',
+    SHIPPING_METHOD_SERVICES: 'promiseDeliveryShippingMethodServices',
+    PROMISE_METHODS: 'promiseDeliveryPromiseMethods',
+    WAREHOUSE_CALENDAR: 'promiseDeliveryWarehouseCalendar',
+    SERVICEABILITY_RULES: 'promiseDeliveryServiceabilityRules'
+}
+
+// Preferences stored as JSON text
+var JSON_PREFERENCES = [
+    'FULFILLMENT_LOCATIONS',
+    'SHIPPING_METHOD_SERVICES',
+    'PROMISE_METHODS',
+    'WAREHOUSE_CALENDAR',
+    'SERVICEABILITY_RULES'
+]
+
+/**
+ * Check whether a Site Preference has a value
+ * @param {*} value - Preference value
+ * @returns {boolean} True if set
+ */
+function isSet(value) {
+    return value !== null && value !== undefined && value !== ''
+}
+
+/**
+ * Parse a JSON Site Preference
+ * @param {string} preferenceId - Site Preference ID (for logging)
+ * @param {string} value - Raw preference value
+ * @returns {*} Parsed value, or null when the JSON is invalid
+ */
+function parseJsonPreference(preferenceId, value) {
+    try {
+        return JSON.parse(value)
+    } catch (e) {
+        Logger.getLogger('promiseDelivery').warn(
+            'Ignoring Site Preference {0}: invalid JSON ({1})',
+            preferenceId,
+            e.message
+        )
+        return null
+    }
+}
+
+/**
+ * Get the engine configuration overrides set in Business Manager
+ * @returns {Object} Configuration values keyed like the engine CONFIG
+ */
+function getConfig() {
+    var site = Site.getCurrent()
+    var config = {}
+
+    Object.keys(PREFERENCE_IDS).forEach(function (key) {
+        var value = site.getCustomPreferenceValue(PREFERENCE_IDS[key])
+        if (isSet(value) && JSON_PREFERENCES.indexOf(key) !== -1) {
+            value = parseJsonPreference(PREFERENCE_IDS[key], value)
+        }
+        if (isSet(value)) {
+            config[key] = value
+        }
+    })
+
+    return config
+}
+
+module.exports = {
+    getConfig: getConfig,
+    PREFERENCE_IDS: PREFERENCE_IDS
+}
@@ -0,0 +1,135 @@
+'use strict'
+
+/**
+ * Promise Delivery Shipping Methods
+ *
+ * Shipping methods lookup provider for the promise delivery engine, backed by
+ * ShippingMgr, so estimates carry the names and prices of the shipping methods
+ * set up in Business Manager. With a basket, the methods applicable to its
+ * default shipment at the destination are listed with their cost for the basket;
+ * without one, every active method of the site with its cost for an empty order.
+ * Store pickup methods deliver nowhere and are left out.
+ *
+ * Also the promise method lookup provider: each method is promised as the promise
+ * shipping method of its promiseDeliveryMethod attribute (e.g. express), else with the
+ * carrier service promiseDeliveryShippingMethodServices maps its ID to, else with the
+ * service of the default shipping method.
+ */
+
+var BasketMgr = require('dw/order/BasketMgr')
+var ShippingMgr = require('dw/order/ShippingMgr')
+var Site = require('dw/system/Site')
+var Money = require('dw/value/Money')
+
+var PROMISE_METHOD_ATTRIBUTE = 'promiseDeliveryMethod'
+
+// Promise shipping methods already read during this request, by shipping method ID
+var promiseMethodCache = {}
+
+/**
+ * Convert a shipping method for the engine
+ * @param {dw.order.ShippingMethod} shippingMethod - Shipping method
+ * @param {dw.value.Money} cost - Shipping cost
+ * @returns {Object} Shipping method ({id, name, price, currencyCode})
+ */
+function toShippingMethod(shippingMethod, cost) {
+    return {
+        id: shippingMethod.ID,
+        name: shippingMethod.displayName || shippingMethod.ID,
+        price: cost && cost.available ? cost.value : null,
+        currencyCode: cost && cost.available ? cost.currencyCode : null
+    }
+}
+
+/**
+ * Check whether a shipping method delivers to an address
+ * @param {dw.order.ShippingMethod} shippingMethod - Shipping method
+ * @returns {boolean} False for store pickup methods
+ */
+function isDeliveryMethod(shippingMethod) {
+    return !shippingMethod.custom.storePickupEnabled
+}
+
+/**
+ * Get the shipping methods applicable to the default shipment of a basket, priced for the basket
+ * @param {dw.order.Basket} basket - Current basket
+ * @param {Object} destination - Resolved destination ({postalCode, countryCode})
+ * @returns {Array} Shipping methods ({id, name, price, currencyCode})
+ */
+function getBasketShippingMethods(basket, destination) {
+    var shippingModel = ShippingMgr.getShipmentShippingModel(basket.defaultShipment)
+    var address = {postalCode: destination.postalCode, countryCode: destination.countryCode}
+
+    return shippingModel
+        .getApplicableShippingMethods(address)
+        .toArray()
+        .filter(isDeliveryMethod)
+        .map(function (shippingMethod) {
+            return toShippingMethod(
+                shippingMethod,
+                shippingModel.getShippingCost(shippingMethod).amount
+            )
+        })
+}
+
+/**
+ * Get the active shipping methods of the site, priced for an empty order
+ * @returns {Array} Shipping methods ({id, name, price, currencyCode})
+ */
+function getSiteShippingMethods() {
+    var orderValue = new Money(0, Site.getCurrent().getDefaultCurrency())
+
+    return ShippingMgr.getAllShippingMethods()
+        .toArray()
+        .filter(isDeliveryMethod)
+        .map(function (shippingMethod) {
+            return toShippingMethod(
+                shippingMethod,
+                ShippingMgr.getShippingCost(shippingMethod, orderValue)
+            )
+        })
+}
+
+/**
+ * Get the shipping methods offered to a destination
+ * @param {Object} destination - Resolved destination ({postalCode, countryCode})
+ * @returns {Array} Shipping methods ({id, name, price, currencyCode})
+ */
+function getShippingMethods(destination) {
+    var basket = BasketMgr.getCurrentBasket()
+    return basket && basket.defaultShipment
+        ? getBasketShippingMethods(basket, destination)
+        : getSiteShippingMethods()
+}
+
+/**
+ * Get the promise shipping method a shipping method is promised as
+ * @param {string} [shippingMethodId] - Shipping method ID
+ * @returns {string|null} Promise shipping method (a key of SHIPPING_METHOD_SERVICES), or
+ *     null when the shipping method does not set one
+ */
+function getPromiseMethodId(shippingMethodId) {
+    if (!shippingMethodId) {
+        return null
+    }
+    if (shippingMethodId in promiseMethodCache) {
+        return promiseMethodCache[shippingMethodId]
+    }
+
+    var shippingMethod = ShippingMgr.getAllShippingMethods()
+        .toArray()
+        .filter(function (method) {
+            return method.ID === shippingMethodId
+        })[0]
+    var promiseMethodId =
+        (shippingMethod && shippingMethod.custom[PROMISE_METHOD_ATTRIBUTE]) || null
+
+    promiseMethodCache[shippingMethodId] = promiseMethodId
+    return promiseMethodId
+}
+
+module.exports = {
+    getShippingMethods: getShippingMethods,
+    getPromiseMethodId: getPromiseMethodId,
+    PROMISE_METHOD_ATTRIBUTE: PROMISE_METHOD_ATTRIBUTE
+}
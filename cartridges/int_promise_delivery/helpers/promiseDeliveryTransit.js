@@ -0,0 +1,78 @@
+'use strict'
+
+/**
+ * Promise Delivery Transit Times
+ *
+ * Transit lookup provider for the promise delivery engine, backed by
+ * PromiseDeliveryTransitTime custom objects (see metadata/). Each object is one
+ * lane of a carrier service, keyed "<originZip3>-<destinationZone>-<serviceId>",
+ * e.g. "100-006-ups-ground" or "100-CA-K1A-ups-ground" (destination zones are
+ * ZIP3 prefixes in the US, see engine/postalCodes). Lanes without a custom object
+ * fall back to the engine's bundled matrix and the carrier adapter. The custom objects
+ * override lanes, they are not meant to hold a whole matrix: getLanes reads them all.
+ */
+
+var CustomObjectMgr = require('dw/object/CustomObjectMgr')
+
+var CUSTOM_OBJECT_TYPE = 'PromiseDeliveryTransitTime'
+
+// Lanes already read during this request (a promise reads the same lane several times)
+var laneCache = {}
+
+/**
+ * Build the custom object key of a lane
+ * @param {string} originZip3 - Origin ZIP3
+ * @param {string} destinationZone - Destination transit zone (ZIP3 in the US)
+ * @param {string} serviceId - Carrier service ID
+ * @returns {string} Custom object key
+ */
+function getLaneKey(originZip3, destinationZone, serviceId) {
+    return originZip3 + '-' + destinationZone + '-' + serviceId
+}
+
+/**
+ * Look up the transit days of a lane
+ * @param {string} originZip3 - Origin ZIP3
+ * @param {string} destinationZone - Destination transit zone (ZIP3 in the US)
+ * @param {string} serviceId - Carrier service ID
+ * @returns {number|null} Transit days, or null when no custom object defines the lane
+ */
+function getTransitDays(originZip3, destinationZone, serviceId) {
+    var key = getLaneKey(originZip3, destinationZone, serviceId)
+    if (!(key in laneCache)) {
+        var lane = CustomObjectMgr.getCustomObject(CUSTOM_OBJECT_TYPE, key)
+        var transitDays = lane ? lane.custom.transitDays : null
+        laneCache[key] = typeof transitDays === 'number' ? transitDays : null
+    }
+    return laneCache[key]
+}
+
+/**
+ * Get every lane defined by a custom object
+ * For clients that run the engine themselves, see the PromiseDelivery-GetConfig controller.
+ * @returns {Object} Transit days keyed by lane key (see getLaneKey)
+ */
+function getLanes() {
+    var lanes = {}
+    var iterator = CustomObjectMgr.getAllCustomObjects(CUSTOM_OBJECT_TYPE)
+
+    try {
+        while (iterator.hasNext()) {
+            var lane = iterator.next()
+            if (typeof lane.custom.transitDays === 'number') {
+                lanes[lane.custom.ID] = lane.custom.transitDays
+            }
+        }
+    } finally {
+        iterator.close()
+    }
+
+    return lanes
+}
+
+module.exports = {
+    getTransitDays: getTransitDays,
+    getLanes: getLanes,
+    getLaneKey: getLaneKey,
+    CUSTOM_OBJECT_TYPE: CUSTOM_OBJECT_TYPE
+}
@@ -0,0 +1,35 @@
+'use strict'
+
+/**
+ * Promise Delivery Order Hooks
+ *
+ * Shop API order hooks, run when OCAPI or SCAPI (PWA-Kit) place an order from a basket.
+ * SFRA places orders without them: call promiseDeliveryOrder.stampOrderPromise(order) in
+ * the transaction of CheckoutServices-PlaceOrder instead.
+ */
+
+var Logger = require('dw/system/Logger')
+var Status = require('dw/system/Status')
+var promiseDeliveryOrder = require('../helpers/promiseDeliveryOrder')
+
+/**
+ * dw.ocapi.shop.order.afterPOST: stamp the promise of the order created from the basket
+ * @param {dw.order.Order} order - Created order
+ * @returns {dw.system.Status} OK, the promise never fails order placement
+ */
+function afterPOST(order) {
+    try {
+        promiseDeliveryOrder.stampOrderPromise(order)
+    } catch (e) {
+        Logger.getLogger('promiseDelivery').error(
+            'Could not stamp the promise of order {0}: {1}',
+            order.orderNo,
+            e.message
+        )
+    }
+    return new Status(Status.OK)
+}
+
+module.exports = {
+    afterPOST: afterPOST
+}
@@ -0,0 +1,31 @@
+'use strict'
+
+/**
+ * Promise Delivery Product Hooks
+ *
+ * Shopper Products API hooks, so PWA-Kit promises products with the handling days the
+ * cartridge resolves: the product's own value, else its master's, else the closest
+ * category's. PWA-Kit only sees the product attribute, not its categories.
+ */
+
+var Status = require('dw/system/Status')
+var promiseDeliveryHandling = require('../helpers/promiseDeliveryHandling')
+
+/**
+ * dw.ocapi.shop.product.modifyGETResponse: expose the resolved handling days as
+ * c_promiseDeliveryHandlingDays
+ * @param {dw.catalog.Product} product - Requested product
+ * @param {Object} productResponse - Product document returned to the client
+ * @returns {dw.system.Status} OK
+ */
+function modifyGETResponse(product, productResponse) {
+    var handlingDays = promiseDeliveryHandling.getHandlingDays(product.ID)
+    if (handlingDays !== null) {
+        productResponse.c_promiseDeliveryHandlingDays = handlingDays
+    }
+    return new Status(Status.OK)
+}
+
+module.exports = {
+    modifyGETResponse: modifyGETResponse
+}
@@ -114,6 +114,32 @@ module.exports = {
                 groupBonusProductsWithQualifyingProduct: true
             }
         },
+        // Promise delivery config
+        promiseDelivery: {
+            // Promise shipping method (standard, express, 2-day, overnight or express-overnight)
+            // of SFCC shipping method IDs, used when the shipping method does not set its
+            // c_promiseDeliveryMethod attribute. Merged over the engine PROMISE_METHODS
+            // (001: standard, 002: express, 003: overnight); mirror the cartridge's
+            // promiseDeliveryPromiseMethods Site Preference
+            shippingMethods: {},
+            // Fulfillment locations orders ship from, mirroring the cartridge's
+            // promiseDeliveryFulfillmentLocations Site Preference, e.g. [{id: 'nyc',
+            // zipCode: '10001', timeZone: 'America/New_York', cutoffHour: 14,
+            // inventoryListId: 'inventory_nyc'}], until configUrl loads the preference.
+            // Leave empty to ship from the single origin
+            fulfillmentLocations: [],
+            // PromiseDelivery-GetConfig controller of the cartridge, through the ocapi proxy
+            // of ssrParameters.proxyConfigs, e.g. '/mobify/proxy/ocapi/on/demandware.store/
+            // Sites-RefArch-Site/default/PromiseDelivery-GetConfig'; the promiseDelivery* Site
+            // Preferences and transit lanes the engine promises with, like the cartridge does.
+            // Leave empty to use the engine defaults
+            configUrl: '',
+            // PromiseDelivery-GetClosures controller of the cartridge, through the ocapi proxy
+            // of ssrParameters.proxyConfigs, e.g. '/mobify/proxy/ocapi/on/demandware.store/
+            // Sites-RefArch-Site/default/PromiseDelivery-GetClosures'; the merchant closures
+            // the engine skips like the cartridge does. Leave empty to ignore closures
+            closuresUrl: ''
+        },
         // Google Cloud api config
         googleCloudAPI: {
             apiKey: process.env.GOOGLE_CLOUD_API_KEY
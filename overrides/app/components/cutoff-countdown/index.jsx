@@ -0,0 +1,70 @@
+/*
+ * Copyright (c) 2024, Narvar, Inc.
+ * All rights reserved.
+ *
+ * Cutoff Countdown
+ *
+ * "Order within 2 hrs 15 mins" message for a promise delivery estimate. It ticks
+ * live and calls onCutoff once the cutoff passes, so the page can recalculate a
+ * promise that no longer holds.
+ */
+import React, {useEffect, useRef, useState} from 'react'
+import PropTypes from 'prop-types'
+import {FormattedMessage} from 'react-intl'
+import {Text} from '@salesforce/retail-react-app/app/components/shared/ui'
+
+const TICK_INTERVAL_MS = 1000
+const MS_PER_MINUTE = 60 * 1000
+// Cutoffs further away than this (e.g. over a weekend) are not worth a countdown
+const MAX_COUNTDOWN_MS = 24 * 60 * MS_PER_MINUTE
+
+const CutoffCountdown = ({cutoffAt, onCutoff, ...props}) => {
+    const [now, setNow] = useState(() => Date.now())
+    const onCutoffRef = useRef(onCutoff)
+    onCutoffRef.current = onCutoff
+
+    useEffect(() => {
+        if (!cutoffAt) {
+            return undefined
+        }
+        setNow(Date.now())
+        const interval = setInterval(() => {
+            const current = Date.now()
+            setNow(current)
+            if (current >= cutoffAt) {
+                clearInterval(interval)
+                onCutoffRef.current?.()
+            }
+        }, TICK_INTERVAL_MS)
+        return () => clearInterval(interval)
+    }, [cutoffAt])
+
+    const msUntilCutoff = cutoffAt ? cutoffAt - now : 0
+    if (msUntilCutoff <= 0 || msUntilCutoff > MAX_COUNTDOWN_MS) {
+        return null
+    }
+
+    // Round up so the countdown never shows 0 mins before the cutoff
+    const minutesLeft = Math.ceil(msUntilCutoff / MS_PER_MINUTE)
+    return (
+        <Text color="orange.600" fontSize="sm" {...props}>
+            <FormattedMessage
+                defaultMessage="Order within {hours, plural, =0 {} one {# hr } other {# hrs }}{minutes, plural, one {# min} other {# mins}}"
+                id="cutoff_countdown.message.order_within"
+                values={{
+                    hours: Math.floor(minutesLeft / 60),
+                    minutes: minutesLeft % 60
+                }}
+            />
+        </Text>
+    )
+}
+
+CutoffCountdown.propTypes = {
+    /** Cutoff timestamp (milliseconds since the epoch) of the estimate, see calculateDeliveryDate */
+    cutoffAt: PropTypes.number,
+    /** Called once the cutoff passes */
+    onCutoff: PropTypes.func
+}
+
+export default CutoffCountdown
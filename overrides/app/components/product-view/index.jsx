@@ -24,11 +24,24 @@ import {
     RadioGroup,
     useTheme,
     Input,
-    HStack
+    HStack,
+    Select
 } from '@salesforce/retail-react-app/app/components/shared/ui'
 
-// Import Promise Delivery utility from cartridge-mirrored module
-import {calculateDeliveryDate} from '../../utils/promise-delivery'
+// Import Promise Delivery utility (runs the cartridge promise delivery engine)
+import {
+    calculateDeliveryDate,
+    getProductHandlingDays,
+    getProductInStockDate,
+    getProductStockedLocationIds,
+    isValidPostalCode,
+    sanitizePostalCodeInput,
+    DEFAULT_COUNTRY_CODE,
+    SUPPORTED_COUNTRY_CODES
+} from '../../utils/promise-delivery'
+import {usePromiseDeliveryClosures} from '../../hooks/use-promise-delivery-closures'
+import {usePromiseDeliveryConfig} from '../../hooks/use-promise-delivery-config'
+import CutoffCountdown from '../cutoff-countdown'
 
 // Constants
 const DELIVERY_OPTIONS = {
@@ -183,24 +196,34 @@ const ProductView = forwardRef(
             }
             return ''
         })
+        // Country of the ZIP or postal code, else the region of the locale when supported
+        const [countryCode, setCountryCode] = useState(() => {
+            const storedCountryCode =
+                typeof window !== 'undefined' && localStorage.getItem('promiseDeliveryCountryCode')
+            const localeCountryCode = intl.locale?.split('-')[1]
+            return (
+                [storedCountryCode, localeCountryCode].find((code) =>
+                    SUPPORTED_COUNTRY_CODES.includes(code)
+                ) || DEFAULT_COUNTRY_CODE
+            )
+        })
         const [estimatedDelivery, setEstimatedDelivery] = useState(null)
+        // True when Ground shipping does not deliver to the entered ZIP code
+        const [isDeliveryUnavailable, setIsDeliveryUnavailable] = useState(false)
         const [isCalculatingDelivery, setIsCalculatingDelivery] = useState(false)
+        const isDeliveryPostalCodeValid = isValidPostalCode(zipCode, countryCode)
+        const promiseDeliveryClosures = usePromiseDeliveryClosures()
+        const promiseDeliveryConfig = usePromiseDeliveryConfig()
+        const deliveryDestination = {postalCode: zipCode, countryCode}
 
-        // Persist ZIP code to localStorage when it changes (5-digit only)
+        // Persist ZIP code and its country to localStorage when they change (valid codes only)
         useEffect(() => {
-            if (typeof window !== 'undefined' && zipCode.length === 5) {
+            if (typeof window !== 'undefined' && isDeliveryPostalCodeValid) {
                 localStorage.setItem('promiseDeliveryZipCode', zipCode)
+                localStorage.setItem('promiseDeliveryCountryCode', countryCode)
             }
-        }, [zipCode])
+        }, [zipCode, countryCode])
 
-        // Auto-calculate delivery date if ZIP was loaded from localStorage
-        useEffect(() => {
-            if (zipCode.length === 5 && !estimatedDelivery && !isCalculatingDelivery) {
-                // Use 'standard' (Ground) shipping as default for PDP estimate
-                const result = calculateDeliveryDate(zipCode, 'standard')
-                setEstimatedDelivery(result.formattedDateFull)
-            }
-        }, []) // Only run on mount
         const {
             showLoading,
             showInventoryMessage,
@@ -225,6 +248,52 @@ const ProductView = forwardRef(
             controlledVariationValues,
             onVariationChange
         )
+
+        // Engraved or made-to-order products ship after their handling days,
+        // backordered and pre-order products once they are in stock, from a
+        // fulfillment location that stocks them, all for the selected quantity
+        const deliveryProductContext = {
+            productId: product?.id,
+            quantity,
+            handlingDays: getProductHandlingDays(product),
+            inStockDate: getProductInStockDate(product, quantity),
+            stockedLocationIds: getProductStockedLocationIds(product, quantity)
+        }
+
+        // Calculate the delivery date with 'standard' (Ground) shipping, the default for
+        // PDP estimates; null when it does not deliver to the destination
+        const updateEstimatedDelivery = () => {
+            const result = calculateDeliveryDate(
+                deliveryDestination,
+                'standard',
+                deliveryProductContext
+            )
+            setEstimatedDelivery(result)
+            setIsDeliveryUnavailable(!result)
+        }
+
+        // Clear the estimate when the destination changes
+        const resetEstimatedDelivery = () => {
+            setEstimatedDelivery(null)
+            setIsDeliveryUnavailable(false)
+        }
+
+        // Auto-calculate delivery date if ZIP was loaded from localStorage
+        useEffect(() => {
+            if (isDeliveryPostalCodeValid && !estimatedDelivery && !isCalculatingDelivery) {
+                updateEstimatedDelivery()
+            }
+        }, []) // Only run on mount
+
+        // Recalculate the estimate shown when the product changes (a variant can have its own
+        // inventory and handling days), when the quantity changes (a backordered quantity ships
+        // later) or once the merchant closures or Business Manager configuration are loaded
+        useEffect(() => {
+            if (estimatedDelivery) {
+                updateEstimatedDelivery()
+            }
+        }, [product, quantity, promiseDeliveryClosures, promiseDeliveryConfig])
+
         const priceData = useMemo(() => {
             return getPriceData(product, {quantity})
         }, [product, quantity])
@@ -842,6 +911,32 @@ const ProductView = forwardRef(
                                                     />
                                                 </Text>
                                                 <HStack spacing={2} mb={2}>
+                                                    <Select
+                                                        aria-label={intl.formatMessage({
+                                                            defaultMessage: 'Country',
+                                                            id: 'product_view.label.delivery_country'
+                                                        })}
+                                                        value={countryCode}
+                                                        onChange={(e) => {
+                                                            setCountryCode(e.target.value)
+                                                            setZipCode(
+                                                                sanitizePostalCodeInput(
+                                                                    zipCode,
+                                                                    e.target.value
+                                                                )
+                                                            )
+                                                            resetEstimatedDelivery()
+                                                        }}
+                                                        size="md"
+                                                        bg="white"
+                                                        width="90px"
+                                                    >
+                                                        {SUPPORTED_COUNTRY_CODES.map((code) => (
+                                                            <option key={code} value={code}>
+                                                                {code}
+                                                            </option>
+                                                        ))}
+                                                    </Select>
                                                     <Input
                                                         placeholder={intl.formatMessage({
                                                             defaultMessage: 'ZIP code',
@@ -849,36 +944,29 @@ const ProductView = forwardRef(
                                                         })}
                                                         value={zipCode}
                                                         onChange={(e) => {
-                                                            // Only allow numeric input for US ZIP codes
-                                                            const value = e.target.value.replace(
-                                                                /\D/g,
-                                                                ''
+                                                            // Only allow the characters postal codes of the country use
+                                                            setZipCode(
+                                                                sanitizePostalCodeInput(
+                                                                    e.target.value,
+                                                                    countryCode
+                                                                )
                                                             )
-                                                            setZipCode(value)
-                                                            setEstimatedDelivery(null)
+                                                            resetEstimatedDelivery()
                                                         }}
-                                                        maxLength={5}
                                                         size="md"
                                                         bg="white"
-                                                        width="100px"
+                                                        width="110px"
                                                     />
                                                     <Button
                                                         size="md"
                                                         variant="outline"
                                                         isLoading={isCalculatingDelivery}
-                                                        isDisabled={!zipCode || zipCode.length < 5}
+                                                        isDisabled={!isDeliveryPostalCodeValid}
                                                         onClick={() => {
                                                             setIsCalculatingDelivery(true)
                                                             // Calculate delivery date using promise-delivery utility
-                                                            // Use 'standard' (Ground) shipping as default for PDP estimate
                                                             setTimeout(() => {
-                                                                const result = calculateDeliveryDate(
-                                                                    zipCode,
-                                                                    'standard'
-                                                                )
-                                                                setEstimatedDelivery(
-                                                                    result.formattedDateFull
-                                                                )
+                                                                updateEstimatedDelivery()
                                                                 setIsCalculatingDelivery(false)
                                                             }, 500)
                                                         }}
@@ -897,12 +985,32 @@ const ProductView = forwardRef(
                                                             fontSize="md"
                                                         >
                                                             📦{' '}
-                                                            <FormattedMessage
-                                                                defaultMessage="Get it by {date}"
-                                                                id="product_view.label.get_it_by"
-                                                                values={{date: estimatedDelivery}}
-                                                            />
+                                                            {estimatedDelivery.formattedInStockDate ? (
+                                                                <FormattedMessage
+                                                                    defaultMessage="Ships after {inStockDate}, arrives by {date}"
+                                                                    id="product_view.label.ships_after_arrives_by"
+                                                                    values={{
+                                                                        inStockDate:
+                                                                            estimatedDelivery.formattedInStockDate,
+                                                                        date: estimatedDelivery.formattedDate
+                                                                    }}
+                                                                />
+                                                            ) : (
+                                                                <FormattedMessage
+                                                                    defaultMessage="Get it by {date}"
+                                                                    id="product_view.label.get_it_by"
+                                                                    values={{
+                                                                        date: estimatedDelivery.formattedDateFull
+                                                                    }}
+                                                                />
+                                                            )}
                                                         </Text>
+                                                        <CutoffCountdown
+                                                            cutoffAt={estimatedDelivery.cutoffAt}
+                                                            // The promise moves a business day once the cutoff passes
+                                                            onCutoff={updateEstimatedDelivery}
+                                                            mt={0.5}
+                                                        />
                                                         <Text
                                                             color="gray.500"
                                                             fontSize="xs"
@@ -915,6 +1023,15 @@ const ProductView = forwardRef(
                                                         </Text>
                                                     </Box>
                                                 )}
+                                                {isDeliveryUnavailable && (
+                                                    <Text color="red.600" fontSize="sm">
+                                                        <FormattedMessage
+                                                            defaultMessage="Ground shipping is not available to {zipCode}"
+                                                            id="product_view.label.delivery_unavailable"
+                                                            values={{zipCode}}
+                                                        />
+                                                    </Text>
+                                                )}
                                             </Box>
                                         )}
 
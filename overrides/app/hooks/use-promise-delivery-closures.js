@@ -0,0 +1,47 @@
+/*
+ * Copyright (c) 2024, Narvar, Inc.
+ * All rights reserved.
+ *
+ * Promise Delivery Closures
+ *
+ * Loads the merchant closures (inventory counts, Christmas Eve...) from the
+ * PromiseDelivery-GetClosures controller of the cartridge into the promise delivery
+ * engine, so PWA-Kit dates skip the same closed days as the cartridge's.
+ */
+import {useQuery} from '@tanstack/react-query'
+import {getConfig} from '@salesforce/pwa-kit-runtime/utils/ssr-config'
+import {isServer} from '@salesforce/retail-react-app/app/utils/utils'
+import {setPromiseDeliveryClosures} from '../utils/promise-delivery'
+
+/**
+ * Load the merchant closures into the promise delivery engine
+ * Fetched once per session in the browser, from app.promiseDelivery.closuresUrl in
+ * config/default.js. Until they load, or when the URL is not set, dates ignore closures.
+ * @returns {Object[]|undefined} Closures once loaded; add them to the dependencies of
+ *     memoized dates so they are recalculated
+ */
+export const usePromiseDeliveryClosures = () => {
+    const closuresUrl = getConfig()?.app?.promiseDelivery?.closuresUrl
+    const year = new Date().getFullYear()
+    const {data: closures} = useQuery({
+        queryKey: ['promiseDeliveryClosures', closuresUrl, year],
+        queryFn: async () => {
+            const response = await fetch(`${closuresUrl}?year=${year}`)
+            if (!response.ok) {
+                throw new Error(
+                    `Could not load the promise delivery closures from ${closuresUrl}: ${response.status}`
+                )
+            }
+            const result = await response.json()
+            if (!result.success) {
+                throw new Error(result.error)
+            }
+            // Set before the closures reach components, so their dates use them
+            setPromiseDeliveryClosures(result.closures)
+            return result.closures
+        },
+        enabled: !isServer && Boolean(closuresUrl),
+        staleTime: Infinity
+    })
+    return closures
+}
@@ -0,0 +1,48 @@
+/*
+ * Copyright (c) 2024, Narvar, Inc.
+ * All rights reserved.
+ *
+ * Promise Delivery Configuration
+ *
+ * Loads the promise delivery configuration set in Business Manager (the promiseDelivery*
+ * Site Preferences and PromiseDeliveryTransitTime lanes) from the PromiseDelivery-GetConfig
+ * controller of the cartridge into the promise delivery engine, so PWA-Kit dates follow
+ * the same settings as the cartridge's without a code deploy.
+ */
+import {useQuery} from '@tanstack/react-query'
+import {getConfig} from '@salesforce/pwa-kit-runtime/utils/ssr-config'
+import {isServer} from '@salesforce/retail-react-app/app/utils/utils'
+import {setPromiseDeliveryConfig} from '../utils/promise-delivery'
+
+/**
+ * Load the Business Manager configuration into the promise delivery engine
+ * Fetched once per session in the browser, from app.promiseDelivery.configUrl in
+ * config/default.js. Until it loads, or when the URL is not set, dates use the defaults
+ * of the engine and app.promiseDelivery.fulfillmentLocations.
+ * @returns {Object|undefined} Configuration once loaded; add it to the dependencies of
+ *     memoized dates so they are recalculated
+ */
+export const usePromiseDeliveryConfig = () => {
+    const configUrl = getConfig()?.app?.promiseDelivery?.configUrl
+    const {data: config} = useQuery({
+        queryKey: ['promiseDeliveryConfig', configUrl],
+        queryFn: async () => {
+            const response = await fetch(configUrl)
+            if (!response.ok) {
+                throw new Error(
+                    `Could not load the promise delivery configuration from ${configUrl}: ${response.status}`
+                )
+            }
+            const result = await response.json()
+            if (!result.success) {
+                throw new Error(result.error)
+            }
+            // Set before the configuration reaches components, so their dates use it
+            setPromiseDeliveryConfig(result.config, result.transitLanes)
+            return result.config
+        },
+        enabled: !isServer && Boolean(configUrl),
+        staleTime: Infinity
+    })
+    return config
+}
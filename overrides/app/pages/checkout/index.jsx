@@ -92,19 +92,6 @@ const Checkout = () => {
                 body: {basketId: basket.basketId}
             })
 
-            // Log the selected delivery date that was stored during shipping method selection
-            if (typeof window !== 'undefined') {
-                const selectedDeliveryDate = localStorage.getItem('customerSelectedDeliveryDate')
-                if (selectedDeliveryDate) {
-                    console.log(
-                        '[Promise Delivery] Order placed with delivery date:',
-                        selectedDeliveryDate
-                    )
-                    // Note: In production, this would be stored as a custom attribute on the order
-                    // via a hook or by configuring SCAPI to include custom basket attributes
-                }
-            }
-
             navigate(`/checkout/confirmation/${order.orderNo}`)
         } catch (error) {
             const message = formatMessage({
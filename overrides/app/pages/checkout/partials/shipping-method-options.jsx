@@ -4,8 +4,8 @@
  * SPDX-License-Identifier: BSD-3-Clause
  * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
  */
-import React, {useMemo} from 'react'
-import {FormattedNumber, useIntl} from 'react-intl'
+import React, {useMemo, useState} from 'react'
+import {FormattedMessage, FormattedNumber, useIntl} from 'react-intl'
 import {
     Box,
     Flex,
@@ -23,51 +23,65 @@ import {STORE_LOCATOR_IS_ENABLED} from '@salesforce/retail-react-app/app/constan
 import {getConfig} from '@salesforce/pwa-kit-runtime/utils/ssr-config'
 
 // Import Promise Delivery utility for delivery date calculation
-import {calculateDeliveryDate} from '../../../utils/promise-delivery'
+import {
+    calculateBasketPromise,
+    calculateDeliveryDate,
+    getPromiseMethodId,
+    DEFAULT_COUNTRY_CODE
+} from '../../../utils/promise-delivery'
+import {usePromiseDeliveryClosures} from '../../../hooks/use-promise-delivery-closures'
+import {usePromiseDeliveryConfig} from '../../../hooks/use-promise-delivery-config'
+import CutoffCountdown from '../../../components/cutoff-countdown'
 
-/**
- * Get the shipping method ID that matches our delivery calculation
- * Maps SFCC shipping method IDs/names to our promise delivery calculation
- * @param {string} shippingMethodId - The shipping method ID (e.g., "001", "002")
- * @param {string} shippingMethodName - The shipping method name (e.g., "Ground", "2-Day Express")
- */
-const getPromiseMethodId = (shippingMethodId, shippingMethodName = '') => {
-    // Check both ID and name for matching
-    const idLower = shippingMethodId?.toLowerCase() || ''
-    const nameLower = shippingMethodName?.toLowerCase() || ''
+// "Arrives in 2 shipments" promise of a shipping option whose items ship separately,
+// with the date each package arrives by
+const SplitShipmentPromise = ({deliveryDate, packages}) => (
+    <Box mt={0.5}>
+        <Text fontSize="sm" color="green.600" fontWeight="semibold">
+            📦{' '}
+            <FormattedMessage
+                defaultMessage="Arrives in {count} shipments, all items by {date}"
+                id="shipping_options.label.split_shipment"
+                values={{count: packages.length, date: deliveryDate}}
+            />
+        </Text>
+        {packages.map((pkg, index) => (
+            <Text
+                key={`${pkg.fulfillmentLocationId}-${pkg.shipDateISO}`}
+                fontSize="xs"
+                color="gray.600"
+            >
+                <FormattedMessage
+                    defaultMessage="Shipment {number}: {itemCount, plural, one {# item} other {# items}} by {date}"
+                    id="shipping_options.label.split_shipment_package"
+                    values={{
+                        number: index + 1,
+                        itemCount: pkg.items.reduce((count, item) => count + item.quantity, 0),
+                        date: pkg.formattedDate
+                    }}
+                />
+            </Text>
+        ))}
+    </Box>
+)
 
-    // Check for overnight shipping
-    if (
-        idLower.includes('overnight') ||
-        idLower.includes('next-day') ||
-        nameLower.includes('overnight') ||
-        nameLower.includes('next-day') ||
-        nameLower.includes('next day')
-    ) {
-        return 'overnight'
-    }
-
-    // Check for express/2-day shipping
-    if (
-        idLower.includes('express') ||
-        idLower.includes('2-day') ||
-        idLower.includes('two-day') ||
-        nameLower.includes('express') ||
-        nameLower.includes('2-day') ||
-        nameLower.includes('two-day') ||
-        nameLower.includes('2 day')
-    ) {
-        return 'express'
-    }
-
-    // Default to standard (ground, standard, etc.)
-    return 'standard'
+SplitShipmentPromise.propTypes = {
+    deliveryDate: PropTypes.string.isRequired,
+    packages: PropTypes.arrayOf(
+        PropTypes.shape({
+            fulfillmentLocationId: PropTypes.string,
+            shipDateISO: PropTypes.string,
+            formattedDate: PropTypes.string,
+            items: PropTypes.arrayOf(PropTypes.shape({quantity: PropTypes.number}))
+        })
+    ).isRequired
 }
 
 // Component to handle shipping options for a single shipment (without product cards)
-const ShippingMethodOptions = ({shipment, basketId, currency, control}) => {
+const ShippingMethodOptions = ({shipment, basketId, currency, control, promiseItems}) => {
     const {formatMessage} = useIntl()
     const storeLocatorEnabled = getConfig()?.app?.storeLocatorEnabled ?? STORE_LOCATOR_IS_ENABLED
+    const shippingMethodMapping = getConfig()?.app?.promiseDelivery?.shippingMethods
     const {data: shippingMethods, isLoading: isShippingMethodsLoading} =
         useShippingMethodsForShipment(
             {
@@ -81,33 +95,78 @@ const ShippingMethodOptions = ({shipment, basketId, currency, control}) => {
             }
         )
 
-    // Get the destination ZIP code from the shipping address
+    // Get the destination ZIP or postal code and its country from the shipping address
     const destinationZip = shipment.shippingAddress?.postalCode
+    const destinationCountryCode = shipment.shippingAddress?.countryCode || DEFAULT_COUNTRY_CODE
 
-    // Calculate delivery dates for each shipping method
-    const deliveryDates = useMemo(() => {
+    // Bumped each time the cutoff passes, so the delivery dates are recalculated
+    const [cutoffsPassed, setCutoffsPassed] = useState(0)
+    // Merchant closures and Business Manager configuration, the delivery dates are
+    // recalculated once they are loaded
+    const promiseDeliveryClosures = usePromiseDeliveryClosures()
+    const promiseDeliveryConfig = usePromiseDeliveryConfig()
+
+    // Calculate delivery dates for the promise shipping method of each shipping method
+    // (the date all items of the shipment arrive by, null when its carrier service does not
+    // deliver to the address), the packages of the promise methods that split the shipment,
+    // and the first cutoff after which one of them moves
+    const {deliveryDates, splitPackages, cutoffAt} = useMemo(() => {
         if (!destinationZip) {
-            return {}
+            return {deliveryDates: {}, splitPackages: {}, cutoffAt: null}
         }
 
+        const destination = {postalCode: destinationZip, countryCode: destinationCountryCode}
         const dates = {}
-        const methods = ['standard', 'express', 'overnight']
+        const packages = {}
+        const cutoffs = []
+        const methods = new Set(
+            (shippingMethods?.applicableShippingMethods || []).map((method) =>
+                getPromiseMethodId(method, shippingMethodMapping)
+            )
+        )
 
         methods.forEach((methodId) => {
             try {
-                const result = calculateDeliveryDate(destinationZip, methodId)
+                const result =
+                    promiseItems?.length > 0
+                        ? calculateBasketPromise(destination, methodId, promiseItems)
+                        : calculateDeliveryDate(destination, methodId)
+                if (!result) {
+                    dates[methodId] = null
+                    return
+                }
                 dates[methodId] = result.formattedDate
+                if (result.packageCount > 1) {
+                    packages[methodId] = result.packages
+                }
+                if (result.cutoffAt) {
+                    cutoffs.push(result.cutoffAt)
+                }
             } catch (e) {
                 dates[methodId] = null
             }
         })
 
-        return dates
-    }, [destinationZip])
+        return {
+            deliveryDates: dates,
+            splitPackages: packages,
+            cutoffAt: cutoffs.length > 0 ? Math.min(...cutoffs) : null
+        }
+    }, [
+        destinationZip,
+        destinationCountryCode,
+        cutoffsPassed,
+        promiseDeliveryClosures,
+        promiseDeliveryConfig,
+        shippingMethods?.applicableShippingMethods,
+        shippingMethodMapping,
+        promiseItems
+    ])
 
     const fieldName = `shippingMethodId_${shipment.shipmentId}`
 
-    // Filter out pickup shipping methods only if store locator/BOPIS is enabled
+    // Filter out pickup shipping methods only if store locator/BOPIS is enabled. Methods
+    // the engine cannot promise to the address stay selectable, without a delivery date
     const baseShippingMethods = useMemo(() => {
         const methods = shippingMethods?.applicableShippingMethods || []
         if (storeLocatorEnabled) {
@@ -130,7 +189,7 @@ const ShippingMethodOptions = ({shipment, basketId, currency, control}) => {
         const sortedMethods = [...baseShippingMethods].sort((a, b) => a.price - b.price)
 
         sortedMethods.forEach((method) => {
-            const promiseMethodId = getPromiseMethodId(method.id, method.name)
+            const promiseMethodId = getPromiseMethodId(method, shippingMethodMapping)
             const deliveryDate = deliveryDates[promiseMethodId]
 
             if (deliveryDate) {
@@ -145,7 +204,7 @@ const ShippingMethodOptions = ({shipment, basketId, currency, control}) => {
         // Filter to only include methods that are the cheapest for their delivery date
         // Also include methods without a delivery date (fallback)
         return baseShippingMethods.filter((method) => {
-            const promiseMethodId = getPromiseMethodId(method.id, method.name)
+            const promiseMethodId = getPromiseMethodId(method, shippingMethodMapping)
             const deliveryDate = deliveryDates[promiseMethodId]
 
             // If no delivery date, include the method
@@ -156,7 +215,7 @@ const ShippingMethodOptions = ({shipment, basketId, currency, control}) => {
             // Include only if this method is the cheapest for its delivery date
             return dateToMethodMap.get(deliveryDate) === method.id
         })
-    }, [baseShippingMethods, deliveryDates, destinationZip])
+    }, [baseShippingMethods, deliveryDates, destinationZip, shippingMethodMapping])
 
     // Early return after all hooks
     if (!shipment.shippingAddress) {
@@ -174,6 +233,11 @@ const ShippingMethodOptions = ({shipment, basketId, currency, control}) => {
                 ) : (
                     applicableShippingMethods.length > 0 && (
                         <Box px={4}>
+                            <CutoffCountdown
+                                cutoffAt={cutoffAt}
+                                onCutoff={() => setCutoffsPassed((count) => count + 1)}
+                                mb={2}
+                            />
                             <Controller
                                 name={fieldName}
                                 control={control}
@@ -187,12 +251,12 @@ const ShippingMethodOptions = ({shipment, basketId, currency, control}) => {
                                         <Stack spacing={2}>
                                             {applicableShippingMethods.map((opt) => {
                                                 // Get the promise method ID for this shipping option
-                                                // Pass both ID and name for better matching
                                                 const promiseMethodId = getPromiseMethodId(
-                                                    opt.id,
-                                                    opt.name
+                                                    opt,
+                                                    shippingMethodMapping
                                                 )
                                                 const deliveryDate = deliveryDates[promiseMethodId]
+                                                const packages = splitPackages[promiseMethodId]
 
                                                 return (
                                                     <Radio value={opt.id} key={opt.id}>
@@ -211,7 +275,8 @@ const ShippingMethodOptions = ({shipment, basketId, currency, control}) => {
                                                                     </Text>
                                                                     {/* Show delivery date estimate */}
                                                                     {deliveryDate &&
-                                                                        destinationZip && (
+                                                                        destinationZip &&
+                                                                        !packages && (
                                                                             <Text
                                                                                 fontSize="sm"
                                                                                 color="green.600"
@@ -222,6 +287,17 @@ const ShippingMethodOptions = ({shipment, basketId, currency, control}) => {
                                                                                 {deliveryDate}
                                                                             </Text>
                                                                         )}
+                                                                    {/* Items shipping separately arrive on their own dates */}
+                                                                    {deliveryDate &&
+                                                                        destinationZip &&
+                                                                        packages && (
+                                                                            <SplitShipmentPromise
+                                                                                deliveryDate={
+                                                                                    deliveryDate
+                                                                                }
+                                                                                packages={packages}
+                                                                            />
+                                                                        )}
                                                                     <Text
                                                                         fontSize="xs"
                                                                         color="gray.600"
@@ -302,7 +378,8 @@ ShippingMethodOptions.propTypes = {
             address1: PropTypes.string,
             city: PropTypes.string,
             stateCode: PropTypes.string,
-            postalCode: PropTypes.string
+            postalCode: PropTypes.string,
+            countryCode: PropTypes.string
         }),
         shippingMethod: PropTypes.shape({
             id: PropTypes.string
@@ -310,7 +387,17 @@ ShippingMethodOptions.propTypes = {
     }).isRequired,
     basketId: PropTypes.string.isRequired,
     currency: PropTypes.string.isRequired,
-    control: PropTypes.object.isRequired
+    control: PropTypes.object.isRequired,
+    // Items of the shipment (see getBasketPromiseItems), promised as packages when they ship separately
+    promiseItems: PropTypes.arrayOf(
+        PropTypes.shape({
+            itemId: PropTypes.string,
+            productId: PropTypes.string,
+            quantity: PropTypes.number,
+            handlingDays: PropTypes.number,
+            inStockDate: PropTypes.string
+        })
+    )
 }
 
 export default ShippingMethodOptions
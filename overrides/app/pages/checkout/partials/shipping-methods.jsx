@@ -4,7 +4,7 @@
  * SPDX-License-Identifier: BSD-3-Clause
  * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
  */
-import React, {useEffect} from 'react'
+import React, {useEffect, useMemo} from 'react'
 import {FormattedMessage, FormattedNumber, useIntl} from 'react-intl'
 import {
     Box,
@@ -23,6 +23,9 @@ import {
     ToggleCardSummary
 } from '@salesforce/retail-react-app/app/components/toggle-card'
 import {
+    useAccessToken,
+    useCommerceApi,
+    useProducts,
     useShippingMethodsForShipment,
     useShopperBasketsMutation
 } from '@salesforce/commerce-sdk-react'
@@ -31,53 +34,32 @@ import {useCurrency} from '@salesforce/retail-react-app/app/hooks'
 import {isPickupShipment} from '@salesforce/retail-react-app/app/utils/shipment-utils'
 import LoadingSpinner from '@salesforce/retail-react-app/app/components/loading-spinner'
 import PropTypes from 'prop-types'
+import {getConfig} from '@salesforce/pwa-kit-runtime/utils/ssr-config'
 
 import ShippingProductCards from '@salesforce/retail-react-app/app/pages/checkout/partials/shipping-product-cards'
 // Use the overridden ShippingMethodOptions with delivery dates
 import ShippingMethodOptions from './shipping-method-options'
 
 // Import Promise Delivery utility for storing selected delivery date
-import {calculateDeliveryDate} from '../../../utils/promise-delivery'
-
-/**
- * Get the shipping method ID that matches our delivery calculation
- * @param {string} shippingMethodId - The shipping method ID (e.g., "001", "002")
- * @param {string} shippingMethodName - The shipping method name (e.g., "Ground", "2-Day Express")
- */
-const getPromiseMethodId = (shippingMethodId, shippingMethodName = '') => {
-    const idLower = shippingMethodId?.toLowerCase() || ''
-    const nameLower = shippingMethodName?.toLowerCase() || ''
-
-    // Check for overnight shipping
-    if (
-        idLower.includes('overnight') ||
-        idLower.includes('next-day') ||
-        nameLower.includes('overnight') ||
-        nameLower.includes('next-day') ||
-        nameLower.includes('next day')
-    ) {
-        return 'overnight'
-    }
-
-    // Check for express/2-day shipping
-    if (
-        idLower.includes('express') ||
-        idLower.includes('2-day') ||
-        idLower.includes('two-day') ||
-        nameLower.includes('express') ||
-        nameLower.includes('2-day') ||
-        nameLower.includes('two-day') ||
-        nameLower.includes('2 day')
-    ) {
-        return 'express'
-    }
-
-    // Default to standard
-    return 'standard'
-}
+import {
+    calculateShipmentPromise,
+    getBasketPromiseAttributes,
+    getBasketPromiseItems,
+    getFulfillmentInventoryIds,
+    getShipmentPromiseAttributes
+} from '../../../utils/promise-delivery'
+import {usePromiseDeliveryClosures} from '../../../hooks/use-promise-delivery-closures'
+import {usePromiseDeliveryConfig} from '../../../hooks/use-promise-delivery-config'
 
 // Component to handle combined product cards and shipping options for multiship
-const MultiAddressShipmentMethod = ({shipment, basketId, currency, control, basket}) => {
+const MultiAddressShipmentMethod = ({
+    shipment,
+    basketId,
+    currency,
+    control,
+    basket,
+    promiseItems
+}) => {
     const {formatMessage} = useIntl()
 
     if (!shipment.shippingAddress) {
@@ -125,6 +107,7 @@ const MultiAddressShipmentMethod = ({shipment, basketId, currency, control, bask
                         basketId={basketId}
                         currency={currency}
                         control={control}
+                        promiseItems={promiseItems}
                     />
                 </VStack>
             </Box>
@@ -165,7 +148,8 @@ MultiAddressShipmentMethod.propTypes = {
                 variations: PropTypes.object
             })
         )
-    }).isRequired
+    }).isRequired,
+    promiseItems: PropTypes.array
 }
 
 export default function ShippingMethods() {
@@ -178,6 +162,15 @@ export default function ShippingMethods() {
     } = useCurrentBasket()
     const {currency} = useCurrency()
     const updateShippingMethod = useShopperBasketsMutation('updateShippingMethodForShipment')
+    const updateShipment = useShopperBasketsMutation('updateShipmentForBasket')
+    const updateBasket = useShopperBasketsMutation('updateBasket')
+    const api = useCommerceApi()
+    const {getTokenWhenReady} = useAccessToken()
+    const shippingMethodMapping = getConfig()?.app?.promiseDelivery?.shippingMethods
+    // Merchant closures and Business Manager configuration; the shipment promises and
+    // fulfillment inventory lists below are recalculated on every render
+    usePromiseDeliveryClosures()
+    usePromiseDeliveryConfig()
 
     // Hook for shipping methods for the main shipment - we'll use this as a fallback
     const {data: shippingMethods} = useShippingMethodsForShipment(
@@ -202,6 +195,45 @@ export default function ShippingMethods() {
 
     const hasMultipleDeliveryShipments = deliveryShipments.length > 1
 
+    // Products of the basket, for the handling days, in-stock dates and fulfillment
+    // locations of the promise
+    const productIds = basket?.productItems?.map(({productId}) => productId).join(',') ?? ''
+    const inventoryIds = getFulfillmentInventoryIds().join(',')
+    const {data: products} = useProducts(
+        {parameters: {ids: productIds, ...(inventoryIds ? {inventoryIds} : {})}},
+        {enabled: Boolean(productIds) && step === STEPS.SHIPPING_OPTIONS}
+    )
+
+    // Items of each shipment, promised as packages when they ship separately
+    const promiseItemsByShipment = useMemo(
+        () =>
+            Object.fromEntries(
+                (basket?.shipments || []).map((shipment) => [
+                    shipment.shipmentId,
+                    getBasketPromiseItems(
+                        basket.productItems?.filter(
+                            (item) => item.shipmentId === shipment.shipmentId
+                        ),
+                        products?.data
+                    )
+                ])
+            ),
+        [basket?.shipments, basket?.productItems, products]
+    )
+
+    // Promise of each delivery shipment for the method set on it, for the summary
+    const shipmentPromises = Object.fromEntries(
+        deliveryShipments.map((shipment) => [
+            shipment.shipmentId,
+            calculateShipmentPromise(
+                shipment,
+                shipment.shippingMethod,
+                shippingMethodMapping,
+                promiseItemsByShipment[shipment.shipmentId]
+            )
+        ])
+    )
+
     // Build initial form values
     const getInitialValues = () => {
         const values = {}
@@ -261,6 +293,26 @@ export default function ShippingMethods() {
         }
     }, [deliveryShipments.length, shippingMethods?.defaultShippingMethodId])
 
+    // Applicable shipping methods of a delivery shipment, whose c_promiseDeliveryMethod
+    // attribute maps the selected method to its promise method. Only those of the main
+    // shipment are loaded here, so the other shipments of a multi-ship basket fetch their own
+    const getApplicableShippingMethods = async (shipment) => {
+        if (shipment.shipmentId === 'me' && shippingMethods) {
+            return shippingMethods.applicableShippingMethods
+        }
+        const token = await getTokenWhenReady()
+        const result = await api.shopperBaskets.getShippingMethodsForShipment({
+            parameters: {
+                basketId: basket.basketId,
+                shipmentId: shipment.shipmentId
+            },
+            headers: {
+                Authorization: `Bearer ${token}`
+            }
+        })
+        return result?.applicableShippingMethods
+    }
+
     const submitForm = async (formData) => {
         // Submit shipping method for each shipment and calculate delivery dates
         const promises = deliveryShipments.map(async (shipment) => {
@@ -280,43 +332,51 @@ export default function ShippingMethods() {
 
         await Promise.all(promises)
 
-        // Calculate and store the selected delivery date as a custom attribute on the basket
-        // This will be transferred to the order when it's placed
+        // Calculate the promise of each delivery shipment for the method selected for it.
+        // Multi-address (e.g. gift) shipments arrive on their own dates, so each promise is
+        // stored on its own shipment, and the date the last one arrives by on the basket.
+        // The order copies these custom attributes, carrying the promise to the OMS
         try {
-            // Get the first delivery shipment's details for the promise date
-            const primaryShipment = deliveryShipments[0]
-            if (primaryShipment?.shippingAddress?.postalCode) {
-                const selectedMethodId = formData[`shippingMethodId_${primaryShipment.shipmentId}`]
-                const promiseMethodId = getPromiseMethodId(selectedMethodId)
-                const deliveryResult = calculateDeliveryDate(
-                    primaryShipment.shippingAddress.postalCode,
-                    promiseMethodId
+            const selectedPromises = (
+                await Promise.all(
+                    deliveryShipments.map(async (shipment) => {
+                        const selectedMethodId = formData[`shippingMethodId_${shipment.shipmentId}`]
+                        const applicableShippingMethods = await getApplicableShippingMethods(
+                            shipment
+                        )
+                        const selectedMethod =
+                            applicableShippingMethods?.find(
+                                (method) => method.id === selectedMethodId
+                            ) || selectedMethodId
+                        return calculateShipmentPromise(
+                            shipment,
+                            selectedMethod,
+                            shippingMethodMapping,
+                            promiseItemsByShipment[shipment.shipmentId]
+                        )
+                    })
                 )
-
-                // Store the selected delivery date in localStorage for reference
-                // (basket custom attributes require OCAPI/SCAPI configuration)
-                if (typeof window !== 'undefined') {
-                    localStorage.setItem(
-                        'customerSelectedDeliveryDate',
-                        deliveryResult.formattedDateFull
-                    )
-                    localStorage.setItem(
-                        'customerSelectedDeliveryDateISO',
-                        deliveryResult.deliveryDate.toISOString()
-                    )
-                }
-
-                // Note: To store on the order, you would need to:
-                // 1. Configure a custom attribute 'c_customerSelectedDeliveryDate' on the Order object in Business Manager
-                // 2. Use updateBasket to set a custom attribute on the basket (if supported)
-                // 3. Or use a hook/job to transfer this from session to order
-                console.log(
-                    '[Promise Delivery] Selected delivery date:',
-                    deliveryResult.formattedDateFull
+            ).filter(Boolean)
+
+            await Promise.all(
+                selectedPromises.map((promise) =>
+                    updateShipment.mutateAsync({
+                        parameters: {
+                            basketId: basket.basketId,
+                            shipmentId: promise.shipmentId
+                        },
+                        body: getShipmentPromiseAttributes(promise)
+                    })
                 )
+            )
+            if (selectedPromises.length > 0) {
+                await updateBasket.mutateAsync({
+                    parameters: {basketId: basket.basketId},
+                    body: getBasketPromiseAttributes(selectedPromises)
+                })
             }
         } catch (error) {
-            console.warn('[Promise Delivery] Error storing delivery date:', error)
+            console.warn('[Promise Delivery] Error storing delivery dates:', error)
         }
 
         goToNextStep()
@@ -396,6 +456,7 @@ export default function ShippingMethods() {
                                         currency={currency}
                                         control={form.control}
                                         basket={basket}
+                                        promiseItems={promiseItemsByShipment[shipment.shipmentId]}
                                     />
                                 ) : (
                                     // Single ship: Show only shipping options
@@ -404,6 +465,7 @@ export default function ShippingMethods() {
                                         basketId={basket.basketId}
                                         currency={currency}
                                         control={form.control}
+                                        promiseItems={promiseItemsByShipment[shipment.shipmentId]}
                                     />
                                 )}
                             </Box>
@@ -448,21 +510,17 @@ export default function ShippingMethods() {
                                         {deliveryShipments[0].shippingMethod.description}
                                     </Text>
                                     {/* Show selected delivery date in summary */}
-                                    {deliveryShipments[0].shippingAddress?.postalCode && (
+                                    {shipmentPromises[deliveryShipments[0].shipmentId] && (
                                         <Text
                                             fontSize="sm"
                                             color="green.600"
                                             fontWeight="semibold"
                                             mt={1}
                                         >
-                                            📦 Get it by{' '}
+                                            📦{' '}
                                             {
-                                                calculateDeliveryDate(
-                                                    deliveryShipments[0].shippingAddress.postalCode,
-                                                    getPromiseMethodId(
-                                                        deliveryShipments[0].shippingMethod.id
-                                                    )
-                                                ).formattedDate
+                                                shipmentPromises[deliveryShipments[0].shipmentId]
+                                                    .displayMessage
                                             }
                                         </Text>
                                     )}
@@ -487,23 +545,18 @@ export default function ShippingMethods() {
                                                             {shipment.shippingMethod.description}
                                                         </Text>
                                                         {/* Show delivery date per shipment */}
-                                                        {shipment.shippingAddress?.postalCode && (
+                                                        {shipmentPromises[shipment.shipmentId] && (
                                                             <Text
                                                                 fontSize="sm"
                                                                 color="green.600"
                                                                 fontWeight="semibold"
                                                                 mt={0.5}
                                                             >
-                                                                📦 Get it by{' '}
+                                                                📦{' '}
                                                                 {
-                                                                    calculateDeliveryDate(
-                                                                        shipment.shippingAddress
-                                                                            .postalCode,
-                                                                        getPromiseMethodId(
-                                                                            shipment.shippingMethod
-                                                                                .id
-                                                                        )
-                                                                    ).formattedDate
+                                                                    shipmentPromises[
+                                                                        shipment.shipmentId
+                                                                    ].displayMessage
                                                                 }
                                                             </Text>
                                                         )}
@@ -40,6 +40,8 @@ import {getConfig} from '@salesforce/pwa-kit-runtime/utils/ssr-config'
 import RecommendedProducts from '@salesforce/retail-react-app/app/components/recommended-products'
 // Import ProductView from local override instead of node_modules
 import ProductView from '../../components/product-view'
+import {getFulfillmentInventoryIds} from '../../utils/promise-delivery'
+import {usePromiseDeliveryConfig} from '../../hooks/use-promise-delivery-config'
 import InformationAccordion from '@salesforce/retail-react-app/app/pages/product-detail/partials/information-accordion'
 import Island from '@salesforce/retail-react-app/app/components/island'
 
@@ -93,6 +95,12 @@ const ProductDetail = () => {
     /*************************** Pick up in Store ********************/
     const {selectedStore} = useSelectedStore()
     const selectedInventoryId = selectedStore?.inventoryId || null
+    // Inventory lists of the selected store and of the fulfillment locations the
+    // delivery date can ship from, those of Business Manager once they are loaded
+    usePromiseDeliveryConfig()
+    const inventoryIds = [selectedInventoryId, ...getFulfillmentInventoryIds()]
+        .filter(Boolean)
+        .join(',')
 
     const {addInventoryIdsToPickupItems, updateDefaultShipmentIfNeeded, hasPickupItems} =
         usePickupShipment(basket)
@@ -125,7 +133,7 @@ const ProductDetail = () => {
                     'page_meta_tags'
                 ],
                 allImages: true,
-                ...(selectedInventoryId ? {inventoryIds: selectedInventoryId} : {})
+                ...(inventoryIds ? {inventoryIds} : {})
             }
         },
         {
@@ -170,7 +178,7 @@ const ProductDetail = () => {
             parameters: {
                 ids: childVariantIds.join(','),
                 allImages: false,
-                ...(selectedInventoryId ? {inventoryIds: selectedInventoryId} : {}),
+                ...(inventoryIds ? {inventoryIds} : {}),
                 expand: ['availability', 'variations'],
                 select: '(data.(id,inventory,inventories,master))'
             }
@@ -4,404 +4,441 @@
  *
  * Promise Delivery Date Utility
  *
- * This module contains the business logic for calculating estimated delivery dates.
- * It mirrors the logic in the SFRA cartridge (int_promise_delivery) for consistency.
+ * This module exposes the business logic for calculating estimated delivery dates.
+ * The logic itself lives in the promise delivery engine of the SFRA cartridge
+ * (int_promise_delivery), so both storefronts run the exact same code. This module
+ * only binds the engine to native Date objects.
  *
  * Calculation Logic:
- * Promise Date = Ship Date + Transit Days (business days only)
+ * Promise Date = Ship Date + Handling Days + Transit Days (business days only)
  *
- * - Ship Date: Today if before 2 PM EST cutoff, else next business day
- * - Transit Days: Based on origin→destination ZIP range
- * - Business Days: Excludes weekends and US federal holidays
+ * - Ship Date: Today if before 2 PM EST cutoff, else next business day, both read in the
+ *   timezone of the fulfillment location whatever the browser timezone, never before
+ *   the in-stock date of a backordered or pre-order product (see getProductInStockDate)
+ * - Handling Days: From the product context, see getProductHandlingDays
+ * - Transit Days: From the transit matrix by ZIP3 (or postal code zone outside the US, see
+ *   postalCodes), else the carrier service of the shipping method
+ * - Origin: The fulfillment location with inventory that can deliver soonest
+ * - Business Days: Warehouse calendar for the ship date, carrier calendar for transit days,
+ *   each closed on the holidays it observes (engine/data/holidayRules.json)
  */
 
-// Configuration constants
-export const CONFIG = {
-    CUTOFF_HOUR_EST: 14, // 2 PM EST cutoff
-    ORIGIN_ZIP: '10001', // NYC origin
-    EST_OFFSET: -5 // EST timezone offset
-}
-
-// ============================================================================
-// DYNAMIC HOLIDAY CALCULATION
-// ============================================================================
+import promiseDeliveryEngine from '../../../cartridges/int_promise_delivery/engine/promiseDeliveryEngine'
+import postalCodes from '../../../cartridges/int_promise_delivery/engine/postalCodes'
+import {getConfig} from '@salesforce/pwa-kit-runtime/utils/ssr-config'
 
 /**
- * Get the Nth occurrence of a weekday in a given month
- * @param {number} year - The year
- * @param {number} month - The month (0-11)
- * @param {number} dayOfWeek - Day of week (0=Sunday, 1=Monday, etc.)
- * @param {number} occurrence - Which occurrence (1=first, 2=second, etc.)
- * @returns {Date} The date of the Nth weekday
+ * Read the wall clock time of an instant in an IANA timezone
+ * Intl applies the DST rules of the timezone, so the browser timezone never
+ * leaks into the result. hourCycle h23 keeps midnight at hour 0, where
+ * hour12: false reports 24 in some browsers.
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone ID
+ * @returns {Object} Local time ({year, month (0-11), day, hour (0-23), minute})
  */
-const getNthWeekdayOfMonth = (year, month, dayOfWeek, occurrence) => {
-    const firstDay = new Date(year, month, 1)
-    const firstDayOfWeek = firstDay.getDay()
-
-    // Calculate days until the first occurrence of the target weekday
-    let daysUntilFirst = dayOfWeek - firstDayOfWeek
-    if (daysUntilFirst < 0) {
-        daysUntilFirst += 7
+export const getZonedTime = (date, timeZone) => {
+    const fields = {}
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric'
+    })
+        .formatToParts(date)
+        .forEach(({type, value}) => {
+            fields[type] = parseInt(value, 10)
+        })
+    return {
+        year: fields.year,
+        month: fields.month - 1,
+        day: fields.day,
+        hour: fields.hour % 24,
+        minute: fields.minute
     }
-
-    // Calculate the date of the Nth occurrence
-    const date = 1 + daysUntilFirst + (occurrence - 1) * 7
-    return new Date(year, month, date)
 }
 
 /**
- * Get the last occurrence of a weekday in a given month
+ * Get the instant the wall clock of an IANA timezone reads a given time
  * @param {number} year - The year
  * @param {number} month - The month (0-11)
- * @param {number} dayOfWeek - Day of week (0=Sunday, 1=Monday, etc.)
- * @returns {Date} The date of the last weekday
+ * @param {number} day - Day of month
+ * @param {number} hour - Hour of day (0-23)
+ * @param {string} timeZone - IANA timezone ID
+ * @returns {number} Milliseconds since the epoch
  */
-const getLastWeekdayOfMonth = (year, month, dayOfWeek) => {
-    // Start from the last day of the month
-    const lastDay = new Date(year, month + 1, 0)
-    const lastDayOfWeek = lastDay.getDay()
-
-    // Calculate days to go back to reach the target weekday
-    let daysToSubtract = lastDayOfWeek - dayOfWeek
-    if (daysToSubtract < 0) {
-        daysToSubtract += 7
+export const getZonedTimestamp = (year, month, day, hour, timeZone) => {
+    const wallClock = Date.UTC(year, month, day, hour)
+    const getOffset = (timestamp) => {
+        const zoned = getZonedTime(new Date(timestamp), timeZone)
+        return Date.UTC(zoned.year, zoned.month, zoned.day, zoned.hour, zoned.minute) - timestamp
     }
-
-    return new Date(year, month + 1, -daysToSubtract)
+    // The offset at the wall clock time read as UTC may be on the other side of a
+    // DST transition, so correct the guess with the offset at the guess itself
+    const guess = wallClock - getOffset(wallClock)
+    return wallClock - getOffset(guess)
 }
 
 /**
- * Get observed date for a holiday (handles weekend observance)
- * If holiday falls on Saturday, observed on Friday
- * If holiday falls on Sunday, observed on Monday
- * @param {Date} date - The actual holiday date
- * @returns {Date} The observed date
+ * Date adapter binding the promise delivery engine to native Date objects.
+ * Dates are local-midnight Date instances; the current time is read in the
+ * timezone of the fulfillment location with getZonedTime.
  */
-const getObservedDate = (date) => {
-    const dayOfWeek = date.getDay()
-    if (dayOfWeek === 6) {
-        // Saturday -> observe on Friday
-        return new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1)
-    } else if (dayOfWeek === 0) {
-        // Sunday -> observe on Monday
-        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)
+export const nativeDateAdapter = {
+    create: (year, month, day) => new Date(year, month, day),
+    addDays: (date, days) => {
+        const result = new Date(date)
+        result.setDate(result.getDate() + days)
+        return result
+    },
+    getYear: (date) => date.getFullYear(),
+    getMonth: (date) => date.getMonth(),
+    getDate: (date) => date.getDate(),
+    getDayOfWeek: (date) => date.getDay(),
+    getLocalTime: (timeZone) => {
+        const now = new Date()
+        try {
+            return {...getZonedTime(now, timeZone), timestamp: now.getTime()}
+        } catch (e) {
+            // Fallback: assume local time if timezone API fails
+            return {
+                year: now.getFullYear(),
+                month: now.getMonth(),
+                day: now.getDate(),
+                hour: now.getHours(),
+                minute: now.getMinutes(),
+                timestamp: now.getTime()
+            }
+        }
+    },
+    getTimestamp: (date, hour, timeZone) => {
+        try {
+            return getZonedTimestamp(
+                date.getFullYear(),
+                date.getMonth(),
+                date.getDate(),
+                hour,
+                timeZone
+            )
+        } catch (e) {
+            // Fallback: assume local time if timezone API fails
+            return new Date(date.getFullYear(), date.getMonth(), date.getDate(), hour).getTime()
+        }
     }
-    return date
 }
 
 /**
- * Calculate all US federal holidays for a given year
- * @param {number} year - The year to calculate holidays for
- * @returns {string[]} Array of holiday dates in YYYY-MM-DD format
+ * Create a promise delivery engine bound to native Date objects
+ * @param {Object} [config] - Configuration values overriding CONFIG, e.g. FULFILLMENT_LOCATIONS
+ * @param {Object} [providers] - Runtime data providers, e.g. {inventoryLookup, carriers, closureLookup, handlingDaysLookup}
+ * @returns {Object} Engine with the same functions this module exports
  */
-const calculateHolidaysForYear = (year) => {
-    const holidays = []
-
-    // New Year's Day - January 1 (observed)
-    const newYears = getObservedDate(new Date(year, 0, 1))
-    holidays.push(formatDateStringInternal(newYears))
-
-    // Martin Luther King Jr. Day - 3rd Monday of January
-    const mlkDay = getNthWeekdayOfMonth(year, 0, 1, 3)
-    holidays.push(formatDateStringInternal(mlkDay))
-
-    // Presidents Day - 3rd Monday of February
-    const presidentsDay = getNthWeekdayOfMonth(year, 1, 1, 3)
-    holidays.push(formatDateStringInternal(presidentsDay))
-
-    // Memorial Day - Last Monday of May
-    const memorialDay = getLastWeekdayOfMonth(year, 4, 1)
-    holidays.push(formatDateStringInternal(memorialDay))
-
-    // Independence Day - July 4 (observed)
-    const independenceDay = getObservedDate(new Date(year, 6, 4))
-    holidays.push(formatDateStringInternal(independenceDay))
-
-    // Labor Day - 1st Monday of September
-    const laborDay = getNthWeekdayOfMonth(year, 8, 1, 1)
-    holidays.push(formatDateStringInternal(laborDay))
-
-    // Columbus Day - 2nd Monday of October
-    const columbusDay = getNthWeekdayOfMonth(year, 9, 1, 2)
-    holidays.push(formatDateStringInternal(columbusDay))
-
-    // Veterans Day - November 11 (observed)
-    const veteransDay = getObservedDate(new Date(year, 10, 11))
-    holidays.push(formatDateStringInternal(veteransDay))
-
-    // Thanksgiving - 4th Thursday of November
-    const thanksgiving = getNthWeekdayOfMonth(year, 10, 4, 4)
-    holidays.push(formatDateStringInternal(thanksgiving))
-
-    // Christmas Day - December 25 (observed)
-    const christmas = getObservedDate(new Date(year, 11, 25))
-    holidays.push(formatDateStringInternal(christmas))
-
-    return holidays
-}
+export const createPromiseDelivery = (config, providers) =>
+    promiseDeliveryEngine.createEngine(nativeDateAdapter, config, providers)
 
 /**
- * Internal format function (used before main formatDateString is defined)
+ * Create an inventory lookup from a Shopper Products API product
+ * Locations with an inventoryListId are matched against product.inventories
+ * (request the product with the matching inventoryIds), the others use product.inventory.
+ * @param {Object} product - Product with inventory data
+ * @returns {Function} Inventory lookup (location, productId, quantity) => boolean
  */
-const formatDateStringInternal = (date) => {
-    const year = date.getFullYear()
-    const month = String(date.getMonth() + 1).padStart(2, '0')
-    const day = String(date.getDate()).padStart(2, '0')
-    return `${year}-${month}-${day}`
+export const createProductInventoryLookup = (product) => (location, productId, quantity) => {
+    const inventory = location.inventoryListId
+        ? product?.inventories?.find((inv) => inv.id === location.inventoryListId)
+        : product?.inventory
+    return Boolean(inventory?.orderable) && (inventory.ats ?? inventory.stockLevel ?? 0) >= quantity
 }
 
-// Cache for calculated holidays (keyed by year)
-const holidayCache = new Map()
-
 /**
- * Get holidays for a specific year (with caching)
- * @param {number} year - The year
- * @returns {string[]} Array of holiday dates
+ * Get the fulfillment locations of the module engine that have a Shopper Products API
+ * product in stock, for the stockedLocationIds of its product context
+ * @param {Object} product - Product with inventory data, requested with the inventoryIds
+ *     of getFulfillmentInventoryIds
+ * @param {number} [quantity] - Quantity to ship
+ * @param {Object[]} [locations] - Fulfillment locations, defaults to those of the module
+ *     engine (see the fulfillmentLocations of an engine)
+ * @returns {string[]|undefined} IDs of the locations with stock, or undefined without a
+ *     product or with a single location
  */
-export const getHolidaysForYear = (year) => {
-    if (!holidayCache.has(year)) {
-        holidayCache.set(year, calculateHolidaysForYear(year))
+export const getProductStockedLocationIds = (
+    product,
+    quantity = 1,
+    locations = engine.fulfillmentLocations
+) => {
+    if (!product || locations.length < 2) {
+        return undefined
     }
-    return holidayCache.get(year)
+    const isAvailable = createProductInventoryLookup(product)
+    return locations
+        .filter((location) => isAvailable(location, product.id, quantity))
+        .map(({id}) => id)
 }
 
 /**
- * Check if a date is a US federal holiday
- * Uses dynamic calculation - no need to maintain static holiday lists
- * @param {Date} date - Date object to check
- * @returns {boolean} True if the date is a holiday
+ * Get the inventory lists of the fulfillment locations of the module engine
+ * @returns {string[]} Inventory list IDs, for the inventoryIds parameter of Shopper
+ *     Products API requests
  */
-export const isHoliday = (date) => {
-    const year = date.getFullYear()
-    const dateStr = formatDateStringInternal(date)
-    const holidays = getHolidaysForYear(year)
-    return holidays.includes(dateStr)
-}
+export const getFulfillmentInventoryIds = () =>
+    engine.fulfillmentLocations.map(({inventoryListId}) => inventoryListId).filter(Boolean)
 
 /**
- * Check if a date is a business day (not weekend, not holiday)
- * @param {Date} date - Date object to check
- * @returns {boolean} True if the date is a business day
+ * Get the handling days of a Shopper Products API product
+ * Reads the c_promiseDeliveryHandlingDays attribute of the product, which the product
+ * hook of the cartridge resolves from its master and categories as the cartridge
+ * promises it, else of the category passed in.
+ * @param {Object} product - Product
+ * @param {Object} [category] - Category default
+ * @returns {number} Handling days (0 when neither sets them)
  */
-export const isBusinessDay = (date) => {
-    const dayOfWeek = date.getDay()
-    // Check if weekend (0 = Sunday, 6 = Saturday)
-    if (dayOfWeek === 0 || dayOfWeek === 6) {
-        return false
-    }
-    // Check if holiday
-    return !isHoliday(date)
-}
+export const getProductHandlingDays = (product, category) =>
+    product?.c_promiseDeliveryHandlingDays ?? category?.c_promiseDeliveryHandlingDays ?? 0
 
 /**
- * Get the next business day from a given date
- * @param {Date} date - Starting date
- * @returns {Date} Date object for next business day
+ * Get the in-stock date of a backordered or pre-order Shopper Products API product
+ * @param {Object} product - Product with inventory data
+ * @param {number} [quantity] - Quantity to ship
+ * @returns {string|null} In-stock date (YYYY-MM-DD), or null when the stock level
+ *     covers the quantity or no date is known
  */
-export const getNextBusinessDay = (date) => {
-    const nextDay = new Date(date)
-    nextDay.setDate(nextDay.getDate() + 1)
-    while (!isBusinessDay(nextDay)) {
-        nextDay.setDate(nextDay.getDate() + 1)
+export const getProductInStockDate = (product, quantity = 1) => {
+    const inventory = product?.inventory
+    if (!inventory?.inStockDate || (inventory.stockLevel ?? 0) >= quantity) {
+        return null
     }
-    return nextDay
+    return inventory.inStockDate.slice(0, 10)
 }
 
 /**
- * Add business days to a date
- * @param {Date} startDate - Starting date
- * @param {number} businessDays - Number of business days to add
- * @returns {Date} Date object for the resulting date
+ * Get the promise shipping method a Shopper Baskets API shipping method is promised as
+ * Reads the c_promiseDeliveryMethod attribute of the shipping method, else the
+ * mapping of its ID (app.promiseDelivery.shippingMethods in config/default.js), else
+ * the engine PROMISE_METHODS the cartridge falls back to as well. Unmapped methods keep
+ * their ID, which the engine maps with SHIPPING_METHOD_SERVICES or promises like the
+ * default shipping method.
+ * @param {Object|string} shippingMethod - Shipping method ({id, c_promiseDeliveryMethod}) or its ID
+ * @param {Object} [shippingMethodMapping] - Promise shipping methods by shipping method ID
+ * @returns {string|undefined} Promise shipping method to pass to calculateDeliveryDate
  */
-export const addBusinessDays = (startDate, businessDays) => {
-    const currentDate = new Date(startDate)
-    let daysAdded = 0
-
-    while (daysAdded < businessDays) {
-        currentDate.setDate(currentDate.getDate() + 1)
-        if (isBusinessDay(currentDate)) {
-            daysAdded++
-        }
-    }
-
-    return currentDate
+export const getPromiseMethodId = (shippingMethod, shippingMethodMapping) => {
+    const shippingMethodId =
+        typeof shippingMethod === 'string' ? shippingMethod : shippingMethod?.id
+    return (
+        shippingMethod?.c_promiseDeliveryMethod ||
+        shippingMethodMapping?.[shippingMethodId] ||
+        engine.getPromiseMethodId(shippingMethodId)
+    )
 }
 
 /**
- * Get transit days based on destination ZIP range
- * Origin: 10001 (NYC)
- *
- * | Destination ZIP | Transit Days |
- * |-----------------|--------------|
- * | 00000-19999     | 1            |
- * | 20000-39999     | 2            |
- * | 40000-59999     | 3            |
- * | 60000-79999     | 4            |
- * | 80000-99999     | 5            |
- *
- * @param {string} destinationZip - Destination ZIP code
- * @returns {number} Number of transit days
+ * Build the items of calculateBasketPromise from Shopper Baskets API product items
+ * @param {Object[]} productItems - Product items of a shipment ({itemId, productId, quantity})
+ * @param {Object[]} [products] - Shopper Products API products of the items, with inventory
+ *     data, for their handling days, in-stock dates and the locations that stock them
+ * @returns {Object[]} Items ({itemId, productId, quantity, handlingDays, inStockDate,
+ *     stockedLocationIds})
  */
-export const getTransitDays = (destinationZip) => {
-    const zipNum = parseInt(destinationZip, 10)
-
-    if (isNaN(zipNum)) {
-        return 5 // Default to 5 days for invalid ZIPs
-    }
-
-    if (zipNum >= 0 && zipNum <= 19999) return 1
-    if (zipNum >= 20000 && zipNum <= 39999) return 2
-    if (zipNum >= 40000 && zipNum <= 59999) return 3
-    if (zipNum >= 60000 && zipNum <= 79999) return 4
-    if (zipNum >= 80000 && zipNum <= 99999) return 5
-
-    return 5 // Default to 5 days for unknown ZIPs
-}
+export const getBasketPromiseItems = (productItems, products = []) =>
+    (productItems || []).map((productItem) => {
+        const product = products?.find((candidate) => candidate.id === productItem.productId)
+        const quantity = productItem.quantity || 1
+        return {
+            itemId: productItem.itemId,
+            productId: productItem.productId,
+            quantity,
+            handlingDays: getProductHandlingDays(product),
+            inStockDate: getProductInStockDate(product, quantity),
+            stockedLocationIds: getProductStockedLocationIds(product, quantity)
+        }
+    })
 
 /**
- * Get transit days for a specific shipping method
- * @param {string} shippingMethodId - Shipping method ID
- * @param {string} destinationZip - Destination ZIP code
- * @returns {number} Number of transit days
+ * Create a closure lookup from merchant closures
+ * @param {Object[]} closures - Closures ({date, scope, fulfillmentLocationId, carrierId}),
+ *     e.g. from the PromiseDelivery-GetClosures controller of the cartridge
+ * @returns {Function} Closure lookup (year) => closures of the year
  */
-export const getTransitDaysForShippingMethod = (shippingMethodId, destinationZip) => {
-    const baseTransitDays = getTransitDays(destinationZip)
-
-    // Adjust transit days based on shipping method
-    switch (shippingMethodId) {
-        case 'overnight':
-        case 'express-overnight':
-            return 1 // Overnight shipping
-        case 'express':
-        case '2-day':
-            return Math.min(2, baseTransitDays) // Express - max 2 days
-        case 'standard':
-        default:
-            return baseTransitDays // Standard shipping uses base transit days
-    }
-}
+export const createClosureLookup = (closures) => (year) =>
+    (closures || []).filter(({date}) => date.startsWith(`${year}-`))
 
 /**
- * Get the ship date based on current time and 2 PM EST cutoff
- * @returns {Date} Date object for ship date
+ * Create a transit lookup from transit lanes
+ * @param {Object} [transitLanes] - Transit days keyed by lane, "<originZip3>-<destinationZone>-
+ *     <serviceId>" like the PromiseDeliveryTransitTime custom objects (e.g. "100-006-ups-ground"),
+ *     e.g. from the PromiseDelivery-GetConfig controller of the cartridge
+ * @returns {Function} Transit lookup (originZip3, destinationZone, serviceId) => transit days,
+ *     or null for lanes it does not define
  */
-export const getShipDate = () => {
-    const now = new Date()
-
-    // Get current hour in EST/EDT using Intl API for proper timezone handling
-    let estHour
-    try {
-        const estTimeStr = now.toLocaleString('en-US', {
-            timeZone: 'America/New_York',
-            hour: 'numeric',
-            hour12: false
-        })
-        estHour = parseInt(estTimeStr, 10)
-    } catch (e) {
-        // Fallback: assume local time if timezone API fails
-        estHour = now.getHours()
-    }
+export const createTransitLookup = (transitLanes) => (originZip3, destinationZone, serviceId) =>
+    transitLanes?.[`${originZip3}-${destinationZone}-${serviceId}`] ?? null
 
-    // Create today's date (midnight in local timezone)
-    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate())
+/**
+ * Create the module engine
+ * Uses the configuration set in Business Manager once it is loaded, else ships from the
+ * fulfillment locations of app.promiseDelivery.fulfillmentLocations in config/default.js,
+ * else from the single origin of CONFIG.
+ * @param {Object} data - Data loaded from the cartridge ({closures, config, transitLanes}),
+ *     see setPromiseDeliveryClosures and setPromiseDeliveryConfig
+ * @returns {Object} Engine
+ */
+const createModuleEngine = ({closures, config, transitLanes}) => {
+    const fulfillmentLocations = getConfig()?.app?.promiseDelivery?.fulfillmentLocations
+    return createPromiseDelivery(
+        {
+            FULFILLMENT_LOCATIONS: fulfillmentLocations?.length > 0 ? fulfillmentLocations : null,
+            ...config
+        },
+        {
+            closureLookup: createClosureLookup(closures),
+            transitLookup: createTransitLookup(transitLanes)
+        }
+    )
+}
 
-    // If before 2 PM EST and today is a business day, ship today
-    if (estHour < CONFIG.CUTOFF_HOUR_EST && isBusinessDay(today)) {
-        return today
-    }
+let moduleData = {}
+let engine = createModuleEngine(moduleData)
 
-    // Otherwise, ship next business day
-    return getNextBusinessDay(today)
+/**
+ * Set the merchant closures of the module engine
+ * The engine caches closures by year, so a new engine replaces it. Components recalculate
+ * their dates when they get the closures (see usePromiseDeliveryClosures).
+ * @param {Object[]} closures - Closures, see createClosureLookup
+ */
+export const setPromiseDeliveryClosures = (closures) => {
+    moduleData = {...moduleData, closures}
+    engine = createModuleEngine(moduleData)
 }
 
 /**
- * Calculate the promise delivery date
- * Promise Date = Ship Date + Transit Days (business days only)
- *
- * @param {string} destinationZip - Destination ZIP code
- * @param {string} [shippingMethodId] - Optional shipping method ID
- * @returns {Object} Object containing deliveryDate and formatted strings
+ * Set the configuration of the module engine set in Business Manager
+ * The cutoff, origin, timezone, fulfillment locations, carrier services and the other
+ * promiseDelivery* Site Preferences the cartridge reads, so both storefronts promise the
+ * same dates without a code deploy. Components recalculate their dates when they get the
+ * configuration (see usePromiseDeliveryConfig).
+ * @param {Object} config - Configuration values keyed like CONFIG, e.g. from the
+ *     PromiseDelivery-GetConfig controller of the cartridge
+ * @param {Object} [transitLanes] - Transit lanes, see createTransitLookup
  */
-export const calculateDeliveryDate = (destinationZip, shippingMethodId = null) => {
-    const shipDate = getShipDate()
-    const transitDays = shippingMethodId
-        ? getTransitDaysForShippingMethod(shippingMethodId, destinationZip)
-        : getTransitDays(destinationZip)
-    const deliveryDate = addBusinessDays(shipDate, transitDays)
-
-    // Format the date for display
-    const months = [
-        'January',
-        'February',
-        'March',
-        'April',
-        'May',
-        'June',
-        'July',
-        'August',
-        'September',
-        'October',
-        'November',
-        'December'
-    ]
-    const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
-
-    const dayOfWeek = days[deliveryDate.getDay()]
-    const month = months[deliveryDate.getMonth()]
-    const dayOfMonth = deliveryDate.getDate()
+export const setPromiseDeliveryConfig = (config, transitLanes) => {
+    moduleData = {...moduleData, config, transitLanes}
+    engine = createModuleEngine(moduleData)
+}
 
-    // Add ordinal suffix
-    let suffix = 'th'
-    if (dayOfMonth === 1 || dayOfMonth === 21 || dayOfMonth === 31) suffix = 'st'
-    else if (dayOfMonth === 2 || dayOfMonth === 22) suffix = 'nd'
-    else if (dayOfMonth === 3 || dayOfMonth === 23) suffix = 'rd'
+// Configuration constants
+export const CONFIG = promiseDeliveryEngine.CONFIG
+
+// Country-aware postal codes; calculateDeliveryDate takes {postalCode, countryCode}
+// destinations for countries other than the US
+export const {
+    DEFAULT_COUNTRY_CODE,
+    SUPPORTED_COUNTRY_CODES,
+    isValidPostalCode,
+    normalizePostalCode,
+    sanitizePostalCodeInput
+} = postalCodes
+
+// Engine functions, delegating to the current engine so they pick up the closures set later
+const delegate =
+    (name) =>
+    (...args) =>
+        engine[name](...args)
+
+export const calculateDeliveryDate = delegate('calculateDeliveryDate')
+export const calculateDeliveryDates = delegate('calculateDeliveryDates')
+export const calculateBasketPromise = delegate('calculateBasketPromise')
+export const getTransitDays = delegate('getTransitDays')
+export const getTransitDaysForShippingMethod = delegate('getTransitDaysForShippingMethod')
+export const getCarrierService = delegate('getCarrierService')
+export const getCarrierCalendar = delegate('getCarrierCalendar')
+export const isShippingMethodAvailable = delegate('isShippingMethodAvailable')
+export const getShipDate = delegate('getShipDate')
+export const selectFulfillmentLocation = delegate('selectFulfillmentLocation')
+export const isBusinessDay = delegate('isBusinessDay')
+export const isHoliday = delegate('isHoliday')
+export const isValidZipCode = delegate('isValidZipCode')
+export const getDeliveryEstimatesForAllMethods = delegate('getDeliveryEstimatesForAllMethods')
+export const getNextBusinessDay = delegate('getNextBusinessDay')
+export const addBusinessDays = delegate('addBusinessDays')
+export const getHolidaysForYear = delegate('getHolidaysForYear')
+export const formatDateString = delegate('formatDateString')
+export const parseDateString = delegate('parseDateString')
 
-    return {
-        deliveryDate,
-        shipDate,
-        transitDays,
-        formattedDate: `${month} ${dayOfMonth}${suffix}`,
-        formattedDateFull: `${dayOfWeek}, ${month} ${dayOfMonth}${suffix}`,
-        displayMessage: `Get it by ${month} ${dayOfMonth}${suffix}`
+/**
+ * Calculate the promise of a Shopper Baskets API delivery shipment
+ * Every shipment of a multi-ship basket has its own address and shipping method, so
+ * each gets its own promise, the date all of its items arrive by (see calculateBasketPromise).
+ * @param {Object} shipment - Shipment ({shipmentId, shippingAddress, shippingMethod})
+ * @param {Object|string} [shippingMethod] - Shipping method (or ID) selected for the
+ *     shipment, defaults to the shipping method of the shipment
+ * @param {Object} [shippingMethodMapping] - Promise shipping methods by shipping method ID
+ * @param {Object[]} [items] - Items of the shipment, see getBasketPromiseItems
+ * @returns {Object|null} Basket promise with the shipmentId, postalCode, countryCode,
+ *     shippingMethodId and promiseMethodId it was calculated for, or null when the shipment
+ *     has no address or method, or the method does not deliver to the address
+ */
+export const calculateShipmentPromise = (
+    shipment,
+    shippingMethod,
+    shippingMethodMapping,
+    items
+) => {
+    const address = shipment?.shippingAddress
+    const method = shippingMethod || shipment?.shippingMethod
+    const shippingMethodId = typeof method === 'string' ? method : method?.id
+    if (!address?.postalCode || !shippingMethodId) {
+        return null
     }
+
+    const countryCode = address.countryCode || DEFAULT_COUNTRY_CODE
+    const promise = calculateBasketPromise(
+        {postalCode: address.postalCode, countryCode},
+        getPromiseMethodId(method, shippingMethodMapping),
+        items
+    )
+    return (
+        promise && {
+            ...promise,
+            shipmentId: shipment.shipmentId,
+            postalCode: address.postalCode,
+            countryCode,
+            shippingMethodId,
+            promiseMethodId: promise.shippingMethodId
+        }
+    )
 }
 
 /**
- * Validate a US ZIP code
- * @param {string} zipCode - ZIP code to validate
- * @returns {boolean} True if valid 5-digit US ZIP code
+ * Get the custom attributes storing the promise of a shipment on the basket shipment
+ * Orders copy them from the basket shipments, so the OMS receives the promise the shopper
+ * saw: the date all items arrive by and its promise shipping method, with the ship date
+ * and transit days of the package arriving last.
+ * @param {Object} promise - Shipment promise, see calculateShipmentPromise
+ * @returns {Object} Shipment custom attributes (c_customerSelectedDeliveryDate,
+ *     c_promiseDeliveryMethod, c_promiseDeliveryShipDate, c_promiseDeliveryTransitDays)
  */
-export const isValidZipCode = (zipCode) => {
-    if (!zipCode || typeof zipCode !== 'string') {
-        return false
+export const getShipmentPromiseAttributes = (promise) => {
+    const lastPackage = promise.packages[promise.packages.length - 1]
+    return {
+        // Date-only YYYY-MM-DD values, name the same day in every timezone
+        c_customerSelectedDeliveryDate: promise.deliveryDateISO,
+        c_promiseDeliveryMethod: promise.promiseMethodId,
+        c_promiseDeliveryShipDate: lastPackage.shipDateISO,
+        c_promiseDeliveryTransitDays: lastPackage.transitDays
     }
-    const cleaned = zipCode.replace(/\D/g, '')
-    return cleaned.length === 5
 }
 
 /**
- * Get delivery estimates for all shipping methods
- * @param {string} destinationZip - Destination ZIP code
- * @returns {Array} Array of shipping method delivery estimates
+ * Get the custom attributes storing the promise of a basket on the basket
+ * @param {Object[]} promises - Promises of the delivery shipments, see calculateShipmentPromise
+ * @returns {Object} Basket custom attributes (c_customerSelectedDeliveryDate, the date the
+ *     last shipment arrives by, or null without promises)
  */
-export const getDeliveryEstimatesForAllMethods = (destinationZip) => {
-    const shippingMethods = [
-        {id: 'standard', name: 'Standard Shipping', price: 5.99},
-        {id: 'express', name: 'Express Shipping', price: 12.99},
-        {id: 'overnight', name: 'Overnight', price: 24.99}
-    ]
-
-    return shippingMethods.map((method) => {
-        const estimate = calculateDeliveryDate(destinationZip, method.id)
-        return {
-            shippingMethodId: method.id,
-            shippingMethodName: method.name,
-            price: method.price,
-            transitDays: estimate.transitDays,
-            deliveryDate: estimate.formattedDate,
-            displayMessage: estimate.displayMessage
-        }
-    })
+export const getBasketPromiseAttributes = (promises) => {
+    const deliveryDates = promises.map(({deliveryDateISO}) => deliveryDateISO).sort()
+    return {c_customerSelectedDeliveryDate: deliveryDates[deliveryDates.length - 1] || null}
 }
 
 // Default export with all functions
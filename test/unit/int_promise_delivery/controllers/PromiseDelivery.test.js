@@ -1,234 +1,656 @@
-'use strict';
-
-/**
- * Unit Tests for Promise Delivery Controller
- * 
- * These tests verify the controller endpoints handle requests correctly.
- */
-
-var assert = require('chai').assert;
-var sinon = require('sinon');
-var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
-
-describe('Promise Delivery Controller', function() {
-    
-    var mockServer;
-    var mockRes;
-    var mockReq;
-    var mockNext;
-    var mockHelper;
-    var controller;
-    var registeredRoutes;
-    
-    beforeEach(function() {
-        registeredRoutes = {};
-        
-        // Mock the server module
-        mockServer = {
-            get: function(routeName, handler) {
-                registeredRoutes[routeName] = handler;
-            },
-            exports: function() {
-                return registeredRoutes;
-            }
-        };
-        
-        // Mock response object
-        mockRes = {
-            json: sinon.spy()
-        };
-        
-        // Mock next function
-        mockNext = sinon.spy();
-        
-        // Mock helper with default implementations
-        mockHelper = {
-            isValidZipCode: sinon.stub().returns(true),
-            calculateDeliveryDate: sinon.stub().returns({
-                transitDays: 5,
-                formattedDate: 'January 20th',
-                formattedDateFull: 'Monday, January 20th',
-                displayMessage: 'Get it by January 20th'
-            }),
-            getDeliveryEstimatesForAllMethods: sinon.stub().returns([
-                {
-                    shippingMethodId: 'standard',
-                    shippingMethodName: 'Standard Shipping',
-                    price: 5.99,
-                    transitDays: 5,
-                    deliveryDate: 'January 20th',
-                    displayMessage: 'Get it by January 20th'
-                },
-                {
-                    shippingMethodId: 'express',
-                    shippingMethodName: 'Express Shipping',
-                    price: 12.99,
-                    transitDays: 2,
-                    deliveryDate: 'January 17th',
-                    displayMessage: 'Get it by January 17th'
-                },
-                {
-                    shippingMethodId: 'overnight',
-                    shippingMethodName: 'Overnight',
-                    price: 24.99,
-                    transitDays: 1,
-                    deliveryDate: 'January 15th',
-                    displayMessage: 'Get it by January 15th'
-                }
-            ])
-        };
-        
-        // Load controller with mocked dependencies
-        controller = proxyquire('../../../../cartridges/int_promise_delivery/controllers/PromiseDelivery', {
-            'server': mockServer,
-            '*/cartridge/scripts/helpers/promiseDeliveryHelper': mockHelper
-        });
-    });
-    
-    afterEach(function() {
-        sinon.restore();
-    });
-    
-    describe('GetEstimate endpoint', function() {
-        
-        beforeEach(function() {
-            mockReq = {
-                querystring: {
-                    zipCode: '90210',
-                    shippingMethodId: 'standard'
-                }
-            };
-        });
-        
-        it('should register GetEstimate route', function() {
-            assert.property(registeredRoutes, 'GetEstimate');
-            assert.isFunction(registeredRoutes.GetEstimate);
-        });
-        
-        it('should return success response for valid ZIP code', function() {
-            registeredRoutes.GetEstimate(mockReq, mockRes, mockNext);
-            
-            assert.isTrue(mockRes.json.calledOnce);
-            
-            var response = mockRes.json.firstCall.args[0];
-            assert.isTrue(response.success);
-            assert.equal(response.zipCode, '90210');
-            assert.equal(response.shippingMethodId, 'standard');
-            assert.equal(response.transitDays, 5);
-            assert.equal(response.deliveryDate, 'January 20th');
-        });
-        
-        it('should call next() after processing', function() {
-            registeredRoutes.GetEstimate(mockReq, mockRes, mockNext);
-            
-            assert.isTrue(mockNext.calledOnce);
-        });
-        
-        it('should return error for invalid ZIP code', function() {
-            mockHelper.isValidZipCode.returns(false);
-            
-            registeredRoutes.GetEstimate(mockReq, mockRes, mockNext);
-            
-            var response = mockRes.json.firstCall.args[0];
-            assert.isFalse(response.success);
-            assert.equal(response.errorCode, 'INVALID_ZIP');
-            assert.include(response.error, 'Invalid ZIP code');
-        });
-        
-        it('should handle calculation errors gracefully', function() {
-            mockHelper.calculateDeliveryDate.throws(new Error('Calculation failed'));
-            
-            registeredRoutes.GetEstimate(mockReq, mockRes, mockNext);
-            
-            var response = mockRes.json.firstCall.args[0];
-            assert.isFalse(response.success);
-            assert.equal(response.errorCode, 'CALCULATION_ERROR');
-        });
-        
-        it('should default to standard shipping method if not provided', function() {
-            mockReq.querystring.shippingMethodId = undefined;
-            
-            registeredRoutes.GetEstimate(mockReq, mockRes, mockNext);
-            
-            var response = mockRes.json.firstCall.args[0];
-            assert.equal(response.shippingMethodId, 'standard');
-        });
-        
-        it('should pass shippingMethodId to helper', function() {
-            mockReq.querystring.shippingMethodId = 'overnight';
-            
-            registeredRoutes.GetEstimate(mockReq, mockRes, mockNext);
-            
-            assert.isTrue(mockHelper.calculateDeliveryDate.calledWith('90210', 'overnight'));
-        });
-    });
-    
-    describe('GetAllEstimates endpoint', function() {
-        
-        beforeEach(function() {
-            mockReq = {
-                querystring: {
-                    zipCode: '90210'
-                }
-            };
-        });
-        
-        it('should register GetAllEstimates route', function() {
-            assert.property(registeredRoutes, 'GetAllEstimates');
-            assert.isFunction(registeredRoutes.GetAllEstimates);
-        });
-        
-        it('should return success response with all shipping methods', function() {
-            registeredRoutes.GetAllEstimates(mockReq, mockRes, mockNext);
-            
-            assert.isTrue(mockRes.json.calledOnce);
-            
-            var response = mockRes.json.firstCall.args[0];
-            assert.isTrue(response.success);
-            assert.equal(response.zipCode, '90210');
-            assert.isArray(response.shippingMethods);
-            assert.lengthOf(response.shippingMethods, 3);
-        });
-        
-        it('should call next() after processing', function() {
-            registeredRoutes.GetAllEstimates(mockReq, mockRes, mockNext);
-            
-            assert.isTrue(mockNext.calledOnce);
-        });
-        
-        it('should return error for invalid ZIP code', function() {
-            mockHelper.isValidZipCode.returns(false);
-            
-            registeredRoutes.GetAllEstimates(mockReq, mockRes, mockNext);
-            
-            var response = mockRes.json.firstCall.args[0];
-            assert.isFalse(response.success);
-            assert.equal(response.errorCode, 'INVALID_ZIP');
-        });
-        
-        it('should handle calculation errors gracefully', function() {
-            mockHelper.getDeliveryEstimatesForAllMethods.throws(new Error('Calculation failed'));
-            
-            registeredRoutes.GetAllEstimates(mockReq, mockRes, mockNext);
-            
-            var response = mockRes.json.firstCall.args[0];
-            assert.isFalse(response.success);
-            assert.equal(response.errorCode, 'CALCULATION_ERROR');
-        });
-        
-        it('should include all required fields in shipping method response', function() {
-            registeredRoutes.GetAllEstimates(mockReq, mockRes, mockNext);
-            
-            var response = mockRes.json.firstCall.args[0];
-            var method = response.shippingMethods[0];
-            
-            assert.property(method, 'shippingMethodId');
-            assert.property(method, 'shippingMethodName');
-            assert.property(method, 'price');
-            assert.property(method, 'transitDays');
-            assert.property(method, 'deliveryDate');
-            assert.property(method, 'displayMessage');
-        });
-    });
-});
-
+'use strict';
+
+/**
+ * Unit Tests for Promise Delivery Controller
+ * 
+ * These tests verify the controller endpoints handle requests correctly.
+ */
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('Promise Delivery Controller', function() {
+    
+    var mockServer;
+    var mockRes;
+    var mockReq;
+    var mockNext;
+    var mockHelper;
+    var mockClosures;
+    var mockPreferences;
+    var mockTransit;
+    var controller;
+    var registeredRoutes;
+    
+    beforeEach(function() {
+        registeredRoutes = {};
+        
+        // Mock the server module
+        mockServer = {
+            get: function(routeName, handler) {
+                registeredRoutes[routeName] = handler;
+            },
+            post: function(routeName, handler) {
+                registeredRoutes[routeName] = handler;
+            },
+            exports: function() {
+                return registeredRoutes;
+            }
+        };
+        
+        // Mock response object
+        mockRes = {
+            json: sinon.spy()
+        };
+        
+        // Mock next function
+        mockNext = sinon.spy();
+        
+        // Mock helper with default implementations
+        mockHelper = {
+            CONFIG: {
+                DEFAULT_SHIPPING_METHOD: 'standard'
+            },
+            isValidZipCode: sinon.stub().returns(true),
+            isSupportedCountry: sinon.stub().returns(true),
+            normalizePostalCode: function(postalCode) { return postalCode; },
+            calculateDeliveryDate: sinon.stub().returns({
+                transitDays: 5,
+                formattedDate: 'January 20th',
+                formattedDateFull: 'Monday, January 20th',
+                displayMessage: 'Get it by January 20th'
+            }),
+            calculateDeliveryDates: sinon.spy(function(requests) {
+                return requests.map(function(request) {
+                    return {
+                        estimate: {transitDays: request.destination.postalCode === '10001' ? 1 : 5, formattedDate: 'January 20th'},
+                        error: null
+                    };
+                });
+            }),
+            getDeliveryEstimatesForAllMethods: sinon.stub().returns([
+                {
+                    shippingMethodId: 'standard',
+                    shippingMethodName: 'Standard Shipping',
+                    price: 5.99,
+                    transitDays: 5,
+                    deliveryDate: 'January 20th',
+                    displayMessage: 'Get it by January 20th'
+                },
+                {
+                    shippingMethodId: 'express',
+                    shippingMethodName: 'Express Shipping',
+                    price: 12.99,
+                    transitDays: 2,
+                    deliveryDate: 'January 17th',
+                    displayMessage: 'Get it by January 17th'
+                },
+                {
+                    shippingMethodId: 'overnight',
+                    shippingMethodName: 'Overnight',
+                    price: 24.99,
+                    transitDays: 1,
+                    deliveryDate: 'January 15th',
+                    displayMessage: 'Get it by January 15th'
+                }
+            ])
+        };
+        
+        // Mock closures, one per year
+        mockClosures = {
+            getClosures: sinon.spy(function(year) {
+                return [{date: year + '-12-24', scope: 'warehouse', fulfillmentLocationId: null, carrierId: null}];
+            })
+        };
+        
+        // Mock Site Preferences and transit lanes set in Business Manager
+        mockPreferences = {
+            getConfig: sinon.stub().returns({CUTOFF_HOUR_EST: 15, ORIGIN_ZIP: '90001'})
+        };
+        mockTransit = {
+            getLanes: sinon.stub().returns({'100-006-ups-ground': 6})
+        };
+        
+        // Load controller with mocked dependencies
+        controller = proxyquire('../../../../cartridges/int_promise_delivery/controllers/PromiseDelivery', {
+            'server': mockServer,
+            '*/cartridge/scripts/helpers/promiseDeliveryHelper': mockHelper,
+            '*/cartridge/scripts/helpers/promiseDeliveryClosures': mockClosures,
+            '*/cartridge/scripts/helpers/promiseDeliveryPreferences': mockPreferences,
+            '*/cartridge/scripts/helpers/promiseDeliveryTransit': mockTransit
+        });
+    });
+    
+    afterEach(function() {
+        sinon.restore();
+    });
+    
+    describe('GetEstimate endpoint', function() {
+        
+        beforeEach(function() {
+            mockReq = {
+                querystring: {
+                    zipCode: '90210',
+                    shippingMethodId: 'standard'
+                }
+            };
+        });
+        
+        it('should register GetEstimate route', function() {
+            assert.property(registeredRoutes, 'GetEstimate');
+            assert.isFunction(registeredRoutes.GetEstimate);
+        });
+        
+        it('should return success response for valid ZIP code', function() {
+            registeredRoutes.GetEstimate(mockReq, mockRes, mockNext);
+            
+            assert.isTrue(mockRes.json.calledOnce);
+            
+            var response = mockRes.json.firstCall.args[0];
+            assert.isTrue(response.success);
+            assert.equal(response.zipCode, '90210');
+            assert.equal(response.shippingMethodId, 'standard');
+            assert.equal(response.transitDays, 5);
+            assert.equal(response.deliveryDate, 'January 20th');
+        });
+        
+        it('should call next() after processing', function() {
+            registeredRoutes.GetEstimate(mockReq, mockRes, mockNext);
+            
+            assert.isTrue(mockNext.calledOnce);
+        });
+        
+        it('should return error for invalid ZIP code', function() {
+            mockHelper.isValidZipCode.returns(false);
+            
+            registeredRoutes.GetEstimate(mockReq, mockRes, mockNext);
+            
+            var response = mockRes.json.firstCall.args[0];
+            assert.isFalse(response.success);
+            assert.equal(response.errorCode, 'INVALID_ZIP');
+            assert.include(response.error, 'Invalid ZIP code');
+        });
+        
+        it('should validate postal codes of the requested country', function() {
+            mockReq.querystring.zipCode = 'k1a0b1';
+            mockReq.querystring.countryCode = 'ca';
+            mockHelper.normalizePostalCode = function() { return 'K1A 0B1'; };
+            
+            registeredRoutes.GetEstimate(mockReq, mockRes, mockNext);
+            
+            var response = mockRes.json.firstCall.args[0];
+            assert.isTrue(mockHelper.isValidZipCode.calledWith('k1a0b1', 'CA'));
+            assert.isTrue(mockHelper.calculateDeliveryDate.calledWith({postalCode: 'k1a0b1', countryCode: 'CA'}, 'standard'));
+            assert.equal(response.zipCode, 'K1A 0B1');
+            assert.equal(response.countryCode, 'CA');
+        });
+        
+        it('should return an error for unsupported countries', function() {
+            mockReq.querystring.countryCode = 'FR';
+            mockHelper.isSupportedCountry.returns(false);
+            
+            registeredRoutes.GetEstimate(mockReq, mockRes, mockNext);
+            
+            var response = mockRes.json.firstCall.args[0];
+            assert.isFalse(response.success);
+            assert.equal(response.errorCode, 'UNSUPPORTED_COUNTRY');
+            assert.isFalse(mockHelper.calculateDeliveryDate.called);
+        });
+        
+        it('should return an error when the shipping method does not deliver to the destination', function() {
+            mockReq.querystring.zipCode = '09012';
+            mockReq.querystring.shippingMethodId = 'overnight';
+            mockHelper.calculateDeliveryDate.returns(null);
+            
+            registeredRoutes.GetEstimate(mockReq, mockRes, mockNext);
+            
+            var response = mockRes.json.firstCall.args[0];
+            assert.isFalse(response.success);
+            assert.equal(response.errorCode, 'UNSERVICEABLE');
+            assert.isTrue(mockNext.calledOnce);
+        });
+        
+        it('should handle calculation errors gracefully', function() {
+            mockHelper.calculateDeliveryDate.throws(new Error('Calculation failed'));
+            
+            registeredRoutes.GetEstimate(mockReq, mockRes, mockNext);
+            
+            var response = mockRes.json.firstCall.args[0];
+            assert.isFalse(response.success);
+            assert.equal(response.errorCode, 'CALCULATION_ERROR');
+        });
+        
+        it('should default to standard shipping method if not provided', function() {
+            mockReq.querystring.shippingMethodId = undefined;
+            
+            registeredRoutes.GetEstimate(mockReq, mockRes, mockNext);
+            
+            var response = mockRes.json.firstCall.args[0];
+            assert.equal(response.shippingMethodId, 'standard');
+        });
+        
+        it('should default to the configured shipping method if not provided', function() {
+            mockHelper.CONFIG.DEFAULT_SHIPPING_METHOD = 'express';
+            mockReq.querystring.shippingMethodId = undefined;
+            
+            registeredRoutes.GetEstimate(mockReq, mockRes, mockNext);
+            
+            var response = mockRes.json.firstCall.args[0];
+            assert.equal(response.shippingMethodId, 'express');
+            assert.isTrue(mockHelper.calculateDeliveryDate.calledWith({postalCode: '90210', countryCode: 'US'}, 'express'));
+        });
+        
+        it('should pass shippingMethodId to helper', function() {
+            mockReq.querystring.shippingMethodId = 'overnight';
+            
+            registeredRoutes.GetEstimate(mockReq, mockRes, mockNext);
+            
+            assert.isTrue(mockHelper.calculateDeliveryDate.calledWith({postalCode: '90210', countryCode: 'US'}, 'overnight'));
+        });
+        
+        it('should pass the product context to helper when productId is provided', function() {
+            mockReq.querystring.productId = '25502228M';
+            mockReq.querystring.quantity = '3';
+            
+            registeredRoutes.GetEstimate(mockReq, mockRes, mockNext);
+            
+            var productContext = mockHelper.calculateDeliveryDate.firstCall.args[2];
+            assert.deepEqual(productContext, {productId: '25502228M', quantity: 3});
+        });
+        
+        it('should not pass a product context without productId', function() {
+            registeredRoutes.GetEstimate(mockReq, mockRes, mockNext);
+            
+            assert.isNull(mockHelper.calculateDeliveryDate.firstCall.args[2]);
+        });
+        
+        it('should include the fulfillment location in the response', function() {
+            mockHelper.calculateDeliveryDate.returns({
+                transitDays: 2,
+                fulfillmentLocationId: 'lax',
+                formattedDate: 'January 17th',
+                formattedDateFull: 'Friday, January 17th',
+                displayMessage: 'Get it by January 17th'
+            });
+            
+            registeredRoutes.GetEstimate(mockReq, mockRes, mockNext);
+            
+            var response = mockRes.json.firstCall.args[0];
+            assert.equal(response.fulfillmentLocationId, 'lax');
+        });
+
+        it('should include the carrier service in the response', function() {
+            mockHelper.calculateDeliveryDate.returns({
+                transitDays: 5,
+                carrierServiceId: 'ups-ground',
+                carrierServiceName: 'UPS Ground',
+                formattedDate: 'January 20th',
+                formattedDateFull: 'Monday, January 20th',
+                displayMessage: 'Get it by January 20th'
+            });
+            
+            registeredRoutes.GetEstimate(mockReq, mockRes, mockNext);
+            
+            var response = mockRes.json.firstCall.args[0];
+            assert.equal(response.carrierServiceId, 'ups-ground');
+            assert.equal(response.carrierServiceName, 'UPS Ground');
+        });
+
+        it('should include the handling days in the response', function() {
+            mockHelper.calculateDeliveryDate.returns({
+                transitDays: 2,
+                handlingDays: 3,
+                formattedDate: 'January 20th',
+                formattedDateFull: 'Monday, January 20th',
+                displayMessage: 'Get it by January 20th'
+            });
+            
+            registeredRoutes.GetEstimate(mockReq, mockRes, mockNext);
+            
+            var response = mockRes.json.firstCall.args[0];
+            assert.equal(response.handlingDays, 3);
+            assert.equal(response.transitDays, 2);
+        });
+
+        it('should include the in-stock date of backordered products in the response', function() {
+            mockHelper.calculateDeliveryDate.returns({
+                transitDays: 2,
+                formattedDate: 'March 5th',
+                formattedDateFull: 'Thursday, March 5th',
+                formattedInStockDate: 'March 3rd',
+                displayMessage: 'Ships after March 3rd, arrives by March 5th'
+            });
+            
+            registeredRoutes.GetEstimate(mockReq, mockRes, mockNext);
+            
+            var response = mockRes.json.firstCall.args[0];
+            assert.equal(response.inStockDate, 'March 3rd');
+            assert.equal(response.displayMessage, 'Ships after March 3rd, arrives by March 5th');
+        });
+
+        it('should include the delivery window in the response', function() {
+            mockHelper.calculateDeliveryDate.returns({
+                transitDays: 3,
+                formattedDate: 'January 20th',
+                formattedDateFull: 'Monday, January 20th',
+                displayMessage: 'Get it by January 20th',
+                formattedEarliestDate: 'January 17th',
+                formattedLatestDate: 'January 21st',
+                formattedDateRange: 'Jan 17 \u2013 Jan 21',
+                rangeDisplayMessage: 'Arrives Jan 17 \u2013 Jan 21'
+            });
+            
+            registeredRoutes.GetEstimate(mockReq, mockRes, mockNext);
+            
+            var response = mockRes.json.firstCall.args[0];
+            assert.equal(response.earliestDate, 'January 17th');
+            assert.equal(response.latestDate, 'January 21st');
+            assert.equal(response.deliveryDateRange, 'Jan 17 \u2013 Jan 21');
+            assert.equal(response.rangeDisplayMessage, 'Arrives Jan 17 \u2013 Jan 21');
+        });
+
+        it('should include date-only values of the dates in the response', function() {
+            mockHelper.calculateDeliveryDate.returns({
+                transitDays: 3,
+                formattedDate: 'January 20th',
+                formattedDateFull: 'Monday, January 20th',
+                displayMessage: 'Get it by January 20th',
+                deliveryDateISO: '2025-01-20',
+                shipDateISO: '2025-01-15',
+                inStockDateISO: null,
+                earliestDateISO: '2025-01-17',
+                latestDateISO: '2025-01-21'
+            });
+            
+            registeredRoutes.GetEstimate(mockReq, mockRes, mockNext);
+            
+            var response = mockRes.json.firstCall.args[0];
+            assert.equal(response.deliveryDateISO, '2025-01-20');
+            assert.equal(response.shipDateISO, '2025-01-15');
+            assert.isNull(response.inStockDateISO);
+            assert.equal(response.earliestDateISO, '2025-01-17');
+            assert.equal(response.latestDateISO, '2025-01-21');
+        });
+
+        it('should include the cutoff in the response', function() {
+            mockHelper.calculateDeliveryDate.returns({
+                transitDays: 5,
+                formattedDate: 'January 20th',
+                formattedDateFull: 'Monday, January 20th',
+                displayMessage: 'Get it by January 20th',
+                cutoffAt: 1736881200000,
+                msUntilCutoff: 8100000
+            });
+            
+            registeredRoutes.GetEstimate(mockReq, mockRes, mockNext);
+            
+            var response = mockRes.json.firstCall.args[0];
+            assert.equal(response.cutoffAt, 1736881200000);
+            assert.equal(response.msUntilCutoff, 8100000);
+        });
+    });
+    
+    describe('GetAllEstimates endpoint', function() {
+        
+        beforeEach(function() {
+            mockReq = {
+                querystring: {
+                    zipCode: '90210'
+                }
+            };
+        });
+        
+        it('should register GetAllEstimates route', function() {
+            assert.property(registeredRoutes, 'GetAllEstimates');
+            assert.isFunction(registeredRoutes.GetAllEstimates);
+        });
+        
+        it('should return success response with all shipping methods', function() {
+            registeredRoutes.GetAllEstimates(mockReq, mockRes, mockNext);
+            
+            assert.isTrue(mockRes.json.calledOnce);
+            
+            var response = mockRes.json.firstCall.args[0];
+            assert.isTrue(response.success);
+            assert.equal(response.zipCode, '90210');
+            assert.isArray(response.shippingMethods);
+            assert.lengthOf(response.shippingMethods, 3);
+        });
+        
+        it('should call next() after processing', function() {
+            registeredRoutes.GetAllEstimates(mockReq, mockRes, mockNext);
+            
+            assert.isTrue(mockNext.calledOnce);
+        });
+        
+        it('should return an error when no shipping method delivers to the destination', function() {
+            mockReq.querystring.zipCode = '96799';
+            mockHelper.getDeliveryEstimatesForAllMethods.returns([]);
+            
+            registeredRoutes.GetAllEstimates(mockReq, mockRes, mockNext);
+            
+            var response = mockRes.json.firstCall.args[0];
+            assert.isFalse(response.success);
+            assert.equal(response.errorCode, 'UNSERVICEABLE');
+            assert.isTrue(mockNext.calledOnce);
+        });
+        
+        it('should return error for invalid ZIP code', function() {
+            mockHelper.isValidZipCode.returns(false);
+            
+            registeredRoutes.GetAllEstimates(mockReq, mockRes, mockNext);
+            
+            var response = mockRes.json.firstCall.args[0];
+            assert.isFalse(response.success);
+            assert.equal(response.errorCode, 'INVALID_ZIP');
+        });
+        
+        it('should pass the product context to helper when productId is provided', function() {
+            mockReq.querystring.productId = '25502228M';
+            
+            registeredRoutes.GetAllEstimates(mockReq, mockRes, mockNext);
+            
+            assert.isTrue(mockHelper.getDeliveryEstimatesForAllMethods.calledWith({postalCode: '90210', countryCode: 'US'}, {productId: '25502228M', quantity: 1}));
+        });
+        
+        it('should handle calculation errors gracefully', function() {
+            mockHelper.getDeliveryEstimatesForAllMethods.throws(new Error('Calculation failed'));
+            
+            registeredRoutes.GetAllEstimates(mockReq, mockRes, mockNext);
+            
+            var response = mockRes.json.firstCall.args[0];
+            assert.isFalse(response.success);
+            assert.equal(response.errorCode, 'CALCULATION_ERROR');
+        });
+        
+        it('should include all required fields in shipping method response', function() {
+            registeredRoutes.GetAllEstimates(mockReq, mockRes, mockNext);
+            
+            var response = mockRes.json.firstCall.args[0];
+            var method = response.shippingMethods[0];
+            
+            assert.property(method, 'shippingMethodId');
+            assert.property(method, 'shippingMethodName');
+            assert.property(method, 'price');
+            assert.property(method, 'transitDays');
+            assert.property(method, 'deliveryDate');
+            assert.property(method, 'displayMessage');
+        });
+    });
+    
+    describe('GetBatchEstimates endpoint', function() {
+        
+        var batchRequest = function(items) {
+            return {body: typeof items === 'string' ? items : JSON.stringify(items)};
+        };
+        
+        it('should register GetBatchEstimates route', function() {
+            assert.property(registeredRoutes, 'GetBatchEstimates');
+            assert.isFunction(registeredRoutes.GetBatchEstimates);
+        });
+        
+        it('should return results keyed by item index', function() {
+            registeredRoutes.GetBatchEstimates(batchRequest([
+                {productId: 'P1', quantity: 2, zipCode: '90210', shippingMethodId: 'express'},
+                {zipCode: '10001'}
+            ]), mockRes, mockNext);
+            
+            var response = mockRes.json.firstCall.args[0];
+            assert.isTrue(response.success);
+            assert.isTrue(response.results[0].success);
+            assert.equal(response.results[0].shippingMethodId, 'express');
+            assert.equal(response.results[0].transitDays, 5);
+            assert.equal(response.results[1].shippingMethodId, 'standard');
+            assert.equal(response.results[1].transitDays, 1);
+            assert.isTrue(mockNext.calledOnce);
+        });
+        
+        it('should calculate the valid items as one batch', function() {
+            registeredRoutes.GetBatchEstimates(batchRequest([
+                {productId: 'P1', quantity: 2, zipCode: '90210', shippingMethodId: 'express'},
+                {zipCode: 'k1a0b1', countryCode: 'ca'}
+            ]), mockRes, mockNext);
+            
+            assert.isTrue(mockHelper.calculateDeliveryDates.calledOnce);
+            assert.deepEqual(mockHelper.calculateDeliveryDates.firstCall.args[0], [
+                {
+                    destination: {postalCode: '90210', countryCode: 'US'},
+                    shippingMethodId: 'express',
+                    productContext: {productId: 'P1', quantity: 2}
+                },
+                {
+                    destination: {postalCode: 'k1a0b1', countryCode: 'CA'},
+                    shippingMethodId: 'standard',
+                    productContext: null
+                }
+            ]);
+        });
+        
+        it('should report errors per item', function() {
+            mockHelper.isValidZipCode = function(zipCode) { return Boolean(zipCode) && zipCode !== 'invalid'; };
+            mockHelper.calculateDeliveryDates = function(requests) {
+                return requests.map(function(request) {
+                    if (request.shippingMethodId === 'overnight') {
+                        return {estimate: null, error: null};
+                    }
+                    if (request.shippingMethodId === 'broken') {
+                        return {estimate: null, error: new Error('Calculation failed')};
+                    }
+                    return {estimate: {transitDays: 5}, error: null};
+                });
+            };
+            
+            registeredRoutes.GetBatchEstimates(batchRequest([
+                {zipCode: 'invalid'},
+                {zipCode: '09012', shippingMethodId: 'overnight'},
+                {zipCode: '90210', shippingMethodId: 'broken'},
+                {zipCode: '90210'},
+                null
+            ]), mockRes, mockNext);
+            
+            var response = mockRes.json.firstCall.args[0];
+            assert.isTrue(response.success);
+            assert.equal(response.results[0].errorCode, 'INVALID_ZIP');
+            assert.equal(response.results[1].errorCode, 'UNSERVICEABLE');
+            assert.equal(response.results[2].errorCode, 'CALCULATION_ERROR');
+            assert.isTrue(response.results[3].success);
+            assert.equal(response.results[4].errorCode, 'INVALID_ZIP');
+        });
+        
+        it('should handle batch calculation errors gracefully', function() {
+            mockHelper.calculateDeliveryDates = sinon.stub().throws(new Error('Calculation failed'));
+            
+            registeredRoutes.GetBatchEstimates(batchRequest([{zipCode: '90210'}]), mockRes, mockNext);
+            
+            var response = mockRes.json.firstCall.args[0];
+            assert.isFalse(response.success);
+            assert.equal(response.errorCode, 'CALCULATION_ERROR');
+            assert.isUndefined(response.results);
+            assert.isTrue(mockNext.calledOnce);
+        });
+        
+        it('should reject bodies that are not a JSON array', function() {
+            registeredRoutes.GetBatchEstimates(batchRequest('{"zipCode": "90210"}'), mockRes, mockNext);
+            registeredRoutes.GetBatchEstimates(batchRequest('not json'), mockRes, mockNext);
+            
+            assert.equal(mockRes.json.firstCall.args[0].errorCode, 'INVALID_REQUEST');
+            assert.equal(mockRes.json.secondCall.args[0].errorCode, 'INVALID_REQUEST');
+            assert.isFalse(mockHelper.calculateDeliveryDates.called);
+        });
+        
+        it('should reject batches that are too large', function() {
+            var items = [];
+            for (var i = 0; i < 51; i++) {
+                items.push({zipCode: '90210'});
+            }
+            
+            registeredRoutes.GetBatchEstimates(batchRequest(items), mockRes, mockNext);
+            
+            var response = mockRes.json.firstCall.args[0];
+            assert.isFalse(response.success);
+            assert.equal(response.errorCode, 'BATCH_TOO_LARGE');
+            assert.isFalse(mockHelper.calculateDeliveryDates.called);
+        });
+    });
+    
+    describe('GetClosures endpoint', function() {
+        
+        it('should return the closures of the year and the next', function() {
+            registeredRoutes.GetClosures({querystring: {year: '2025'}}, mockRes, mockNext);
+            
+            var response = mockRes.json.firstCall.args[0];
+            assert.isTrue(response.success);
+            assert.equal(response.year, 2025);
+            assert.deepEqual(response.closures.map(function(closure) { return closure.date; }), ['2025-12-24', '2026-12-24']);
+            assert.isTrue(mockNext.calledOnce);
+        });
+        
+        it('should default to the current year', function() {
+            registeredRoutes.GetClosures({querystring: {}}, mockRes, mockNext);
+            
+            assert.equal(mockClosures.getClosures.firstCall.args[0], new Date().getFullYear());
+        });
+        
+        it('should reject invalid years', function() {
+            registeredRoutes.GetClosures({querystring: {year: 'next'}}, mockRes, mockNext);
+            
+            assert.equal(mockRes.json.firstCall.args[0].errorCode, 'INVALID_REQUEST');
+            assert.isFalse(mockClosures.getClosures.called);
+        });
+        
+        it('should return CALCULATION_ERROR when the closures cannot be read', function() {
+            mockClosures.getClosures = sinon.stub().throws(new Error('Query failed'));
+            
+            registeredRoutes.GetClosures({querystring: {year: '2025'}}, mockRes, mockNext);
+            
+            assert.equal(mockRes.json.firstCall.args[0].errorCode, 'CALCULATION_ERROR');
+        });
+    });
+    
+    describe('GetConfig endpoint', function() {
+        
+        it('should return the configuration and transit lanes set in Business Manager', function() {
+            registeredRoutes.GetConfig({querystring: {}}, mockRes, mockNext);
+            
+            assert.deepEqual(mockRes.json.firstCall.args[0], {
+                success: true,
+                config: {CUTOFF_HOUR_EST: 15, ORIGIN_ZIP: '90001'},
+                transitLanes: {'100-006-ups-ground': 6}
+            });
+            assert.isTrue(mockNext.calledOnce);
+        });
+        
+        it('should return CALCULATION_ERROR when the configuration cannot be read', function() {
+            mockTransit.getLanes = sinon.stub().throws(new Error('Query failed'));
+            
+            registeredRoutes.GetConfig({querystring: {}}, mockRes, mockNext);
+            
+            var response = mockRes.json.firstCall.args[0];
+            assert.isFalse(response.success);
+            assert.equal(response.errorCode, 'CALCULATION_ERROR');
+            assert.isTrue(mockNext.calledOnce);
+        });
+    });
+});
+
@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * Unit Tests for the Local Carrier Adapter
+ */
+
+var assert = require('chai').assert;
+
+var localCarrierAdapter = require('../../../../../cartridges/int_promise_delivery/engine/carriers/localCarrierAdapter');
+
+describe('Local Carrier Adapter', function() {
+
+    var carrier = localCarrierAdapter.createLocalCarrierAdapter({
+        id: 'test',
+        name: 'Test Carrier',
+        services: {
+            'test-ground': {
+                name: 'Test Ground',
+                transitDaysByZoneDistance: [1, 3],
+                unknownDestinationTransitDays: 4,
+                transitDaysByDestinationClass: {alaska: 6, military: 9},
+                transitSpread: {min: -1, max: 2},
+                deliveryDays: [1, 2, 3, 4, 5],
+                holidays: ['christmas']
+            }
+        }
+    });
+
+    it('should list the services of the table', function() {
+        assert.equal(carrier.id, 'test');
+        assert.equal(carrier.name, 'Test Carrier');
+        assert.deepEqual(carrier.getServices(), [{id: 'test-ground', name: 'Test Ground'}]);
+    });
+
+    it('should look up transit days by zone distance', function() {
+        assert.equal(carrier.getTransitDays('test-ground', '10001', '19999'), 1);
+        assert.equal(carrier.getTransitDays('test-ground', '10001', '30301'), 3);
+        // Longer distances use the last entry
+        assert.equal(carrier.getTransitDays('test-ground', '10001', '90210'), 3);
+        assert.equal(carrier.getTransitDays('test-ground', '90210', '10001'), 3);
+    });
+
+    it('should use the unknown destination transit days when the ZIP cannot be read', function() {
+        assert.equal(carrier.getTransitDays('test-ground', '10001', 'invalid'), 4);
+    });
+
+    it('should use the unknown destination transit days outside the US', function() {
+        assert.equal(carrier.getTransitDays('test-ground', '10001', '19999', 'US'), 1);
+        assert.equal(carrier.getTransitDays('test-ground', '10001', '06600', 'MX'), 4);
+    });
+
+    it('should use the transit days of destination classes', function() {
+        assert.equal(carrier.getTransitDays('test-ground', '10001', '99501'), 6);
+        assert.equal(carrier.getTransitDays('test-ground', '10001', '09012-1234'), 9);
+        // Hawaii is not listed, the service does not deliver there
+        assert.equal(carrier.getTransitDays('test-ground', '10001', '96813'), 4);
+    });
+
+    it('should only deliver to the destination classes a service lists', function() {
+        assert.isTrue(carrier.deliversTo('test-ground', '90210'));
+        assert.isTrue(carrier.deliversTo('test-ground', '99501'));
+        assert.isTrue(carrier.deliversTo('test-ground', '06600', 'MX'));
+        assert.isFalse(carrier.deliversTo('test-ground', '96813'));
+        assert.isFalse(carrier.deliversTo('test-air', '90210'));
+    });
+
+    it('should report delivery days and holidays of a service', function() {
+        assert.deepEqual(carrier.getDeliveryDays('test-ground'), [1, 2, 3, 4, 5]);
+        assert.deepEqual(carrier.getHolidayCalendar('test-ground'), ['christmas']);
+    });
+
+    it('should report the transit spread of a service', function() {
+        assert.deepEqual(carrier.getTransitSpread('test-ground'), {min: -1, max: 2});
+    });
+
+    it('should return nothing for unknown services', function() {
+        assert.isNull(carrier.getTransitDays('test-air', '10001', '19999'));
+        assert.deepEqual(carrier.getDeliveryDays('test-air'), []);
+        assert.deepEqual(carrier.getHolidayCalendar('test-air'), []);
+        assert.deepEqual(carrier.getTransitSpread('test-air'), {min: 0, max: 0});
+    });
+
+    it('should compute ZIP range zones', function() {
+        assert.equal(localCarrierAdapter.getZipZone('00501'), 0);
+        assert.equal(localCarrierAdapter.getZipZone('60601'), 3);
+        assert.equal(localCarrierAdapter.getZipZone('99999'), 4);
+        assert.isNull(localCarrierAdapter.getZipZone('invalid'));
+    });
+});
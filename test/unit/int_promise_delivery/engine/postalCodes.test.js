@@ -0,0 +1,105 @@
+'use strict';
+
+/**
+ * Unit Tests for Postal Codes
+ */
+
+var assert = require('chai').assert;
+
+var postalCodes = require('../../../../cartridges/int_promise_delivery/engine/postalCodes');
+
+describe('Postal Codes', function() {
+
+    it('should validate postal codes by country', function() {
+        assert.isTrue(postalCodes.isValidPostalCode('90210'));
+        assert.isTrue(postalCodes.isValidPostalCode('90210', 'US'));
+        assert.isTrue(postalCodes.isValidPostalCode('90210-1234'));
+        assert.isTrue(postalCodes.isValidPostalCode('902101234'));
+        assert.isTrue(postalCodes.isValidPostalCode('K1A 0B1', 'CA'));
+        assert.isTrue(postalCodes.isValidPostalCode('sw1a1aa', 'GB'));
+        assert.isTrue(postalCodes.isValidPostalCode('M1 1AE', 'GB'));
+        assert.isTrue(postalCodes.isValidPostalCode('06600', 'MX'));
+
+        assert.isFalse(postalCodes.isValidPostalCode('9021'));
+        assert.isFalse(postalCodes.isValidPostalCode('90210-123'));
+        assert.isFalse(postalCodes.isValidPostalCode('K1A 0B1'));
+        assert.isFalse(postalCodes.isValidPostalCode('D1A 0B1', 'CA'));
+        assert.isFalse(postalCodes.isValidPostalCode('90210', 'GB'));
+        assert.isFalse(postalCodes.isValidPostalCode('75001', 'FR'));
+        assert.isFalse(postalCodes.isValidPostalCode(null));
+    });
+
+    it('should normalize postal codes to the form of their country', function() {
+        assert.equal(postalCodes.normalizePostalCode(' 90210 '), '90210');
+        assert.equal(postalCodes.normalizePostalCode('902101234'), '90210-1234');
+        assert.equal(postalCodes.normalizePostalCode('90210 - 1234'), '90210-1234');
+        assert.equal(postalCodes.normalizePostalCode('k1a0b1', 'ca'), 'K1A 0B1');
+        assert.equal(postalCodes.normalizePostalCode('ec1a1bb', 'GB'), 'EC1A 1BB');
+        assert.isNull(postalCodes.normalizePostalCode('invalid', 'CA'));
+    });
+
+    it('should map postal codes to transit zones', function() {
+        assert.equal(postalCodes.getTransitZone('90210'), '902');
+        assert.equal(postalCodes.getTransitZone('90210-1234'), '902');
+        assert.equal(postalCodes.getTransitZone('K1A 0B1', 'CA'), 'CA-K1A');
+        assert.equal(postalCodes.getTransitZone('SW1A 1AA', 'GB'), 'GB-SW');
+        assert.equal(postalCodes.getTransitZone('M1 1AE', 'GB'), 'GB-M');
+        assert.equal(postalCodes.getTransitZone('06600', 'MX'), 'MX-06');
+        assert.isNull(postalCodes.getTransitZone('invalid'));
+    });
+
+    it('should clean up input as the shopper types', function() {
+        assert.equal(postalCodes.sanitizePostalCodeInput('90210a'), '90210');
+        assert.equal(postalCodes.sanitizePostalCodeInput('90210-12345'), '90210-1234');
+        assert.equal(postalCodes.sanitizePostalCodeInput('k1a 0b1', 'CA'), 'K1A 0B1');
+        assert.equal(postalCodes.sanitizePostalCodeInput('sw1a-1aa', 'GB'), 'SW1A1AA');
+    });
+
+    it('should classify military and non-contiguous US destinations', function() {
+        assert.equal(postalCodes.getDestinationClass('09012'), 'military');
+        assert.equal(postalCodes.getDestinationClass('34001'), 'military');
+        assert.equal(postalCodes.getDestinationClass('96601-1234'), 'military');
+        assert.equal(postalCodes.getDestinationClass('99501'), 'alaska');
+        assert.equal(postalCodes.getDestinationClass('96813'), 'hawaii');
+        assert.equal(postalCodes.getDestinationClass('00901'), 'puerto-rico');
+        assert.equal(postalCodes.getDestinationClass('96910'), 'guam');
+
+        assert.isNull(postalCodes.getDestinationClass('90210'));
+        assert.isNull(postalCodes.getDestinationClass('34101'));
+        assert.isNull(postalCodes.getDestinationClass('06600', 'MX'));
+        assert.isNull(postalCodes.getDestinationClass('invalid'));
+    });
+
+    it('should resolve destinations', function() {
+        assert.deepEqual(postalCodes.resolveDestination('90210-1234'), {
+            postalCode: '90210-1234',
+            countryCode: 'US',
+            zone: '902',
+            destinationClass: null
+        });
+        assert.deepEqual(postalCodes.resolveDestination({postalCode: 'k1a0b1', countryCode: 'CA'}), {
+            postalCode: 'K1A 0B1',
+            countryCode: 'CA',
+            zone: 'CA-K1A',
+            destinationClass: null
+        });
+        assert.deepEqual(postalCodes.resolveDestination({postalCode: '99501', countryCode: 'US'}), {
+            postalCode: '99501',
+            countryCode: 'US',
+            zone: '995',
+            destinationClass: 'alaska'
+        });
+        assert.deepEqual(postalCodes.resolveDestination({postalCode: 'invalid'}), {
+            postalCode: 'invalid',
+            countryCode: 'US',
+            zone: null,
+            destinationClass: null
+        });
+    });
+
+    it('should list the supported countries', function() {
+        assert.sameMembers(postalCodes.SUPPORTED_COUNTRY_CODES, ['US', 'CA', 'GB', 'MX']);
+        assert.isTrue(postalCodes.isSupportedCountry('ca'));
+        assert.isFalse(postalCodes.isSupportedCountry('FR'));
+    });
+});
@@ -0,0 +1,1326 @@
+'use strict';
+
+/**
+ * Unit Tests for Promise Delivery Engine
+ *
+ * The engine is runtime-agnostic, so these tests drive it through a minimal
+ * date adapter with a controllable clock.
+ */
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+var promiseDeliveryEngine = require('../../../../cartridges/int_promise_delivery/engine/promiseDeliveryEngine');
+
+/**
+ * Build the local time of a date as returned by getLocalTime
+ * The test timezone is the process timezone, so timestamps are native local times.
+ * @param {Date} date - Local date
+ * @param {number} hour - Local hour
+ * @param {number} [minute] - Local minute
+ * @returns {Object} Local time
+ */
+function toLocalTime(date, hour, minute) {
+    return {
+        year: date.getFullYear(),
+        month: date.getMonth(),
+        day: date.getDate(),
+        hour: hour,
+        minute: minute || 0,
+        timestamp: new Date(date.getFullYear(), date.getMonth(), date.getDate(), hour, minute || 0).getTime()
+    };
+}
+
+/**
+ * Build a native Date adapter whose "now" can be fixed by the test
+ * @param {Date} now - Current date in the cutoff timezone
+ * @param {number} hour - Current hour in the cutoff timezone
+ * @returns {Object} Date adapter
+ */
+function createTestAdapter(now, hour) {
+    return {
+        create: function(year, month, day) {
+            return new Date(year, month, day);
+        },
+        addDays: function(date, days) {
+            return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+        },
+        getYear: function(date) { return date.getFullYear(); },
+        getMonth: function(date) { return date.getMonth(); },
+        getDate: function(date) { return date.getDate(); },
+        getDayOfWeek: function(date) { return date.getDay(); },
+        getLocalTime: function() {
+            return toLocalTime(now, hour);
+        },
+        getTimestamp: function(date, cutoffHour) {
+            return new Date(date.getFullYear(), date.getMonth(), date.getDate(), cutoffHour).getTime();
+        }
+    };
+}
+
+describe('Promise Delivery Engine', function() {
+
+    describe('createEngine', function() {
+
+        it('should expose the engine API', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(), 9));
+
+            assert.isFunction(engine.calculateDeliveryDate);
+            assert.isFunction(engine.getShipDate);
+            assert.isFunction(engine.addBusinessDays);
+            assert.isFunction(engine.isBusinessDay);
+            assert.isFunction(engine.getHolidaysForYear);
+            assert.isFunction(engine.getDeliveryEstimatesForAllMethods);
+        });
+
+        it('should expose the shared CONFIG', function() {
+            assert.equal(promiseDeliveryEngine.CONFIG.CUTOFF_HOUR_EST, 14);
+            assert.equal(promiseDeliveryEngine.CONFIG.ORIGIN_ZIP, '10001');
+        });
+
+        it('should merge configuration overrides over the defaults', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(), 9), {
+                CUTOFF_HOUR_EST: 16,
+                ORIGIN_ZIP: '',
+                TIMEZONE: null
+            });
+
+            assert.equal(engine.config.CUTOFF_HOUR_EST, 16);
+            assert.equal(engine.config.ORIGIN_ZIP, '10001');
+            assert.equal(engine.config.TIMEZONE, 'America/New_York');
+            assert.equal(engine.config.DEFAULT_SHIPPING_METHOD, 'standard');
+        });
+    });
+
+    describe('getHolidaysForYear', function() {
+
+        var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(), 9));
+
+        it('should calculate all federal holidays for 2025', function() {
+            assert.deepEqual(engine.getHolidaysForYear(2025), [
+                '2025-01-01',
+                '2025-01-20',
+                '2025-02-17',
+                '2025-05-26',
+                '2025-06-19',
+                '2025-07-04',
+                '2025-09-01',
+                '2025-10-13',
+                '2025-11-11',
+                '2025-11-27',
+                '2025-12-25'
+            ]);
+        });
+
+        it('should apply weekend observance rules', function() {
+            var holidays = engine.getHolidaysForYear(2026);
+
+            // July 4, 2026 is a Saturday -> observed Friday July 3
+            assert.include(holidays, '2026-07-03');
+            // Nov 11, 2023 is a Saturday -> observed Friday Nov 10
+            assert.include(engine.getHolidaysForYear(2023), '2023-11-10');
+            // Jan 1, 2023 is a Sunday -> observed Monday Jan 2
+            assert.include(engine.getHolidaysForYear(2023), '2023-01-02');
+        });
+
+        it('should observe Juneteenth from 2021 on', function() {
+            assert.notInclude(engine.getHolidaysForYear(2020), '2020-06-19');
+            // June 19, 2021 is a Saturday -> observed Friday June 18
+            assert.include(engine.getHolidaysForYear(2021), '2021-06-18');
+        });
+
+        it('should list a holiday observed in the previous year under that year', function() {
+            // Jan 1, 2022 is a Saturday -> observed Friday Dec 31, 2021
+            assert.include(engine.getHolidaysForYear(2021), '2021-12-31');
+            assert.notInclude(engine.getHolidaysForYear(2022), '2021-12-31');
+        });
+
+        it('should find the last Monday of May when May has five Mondays', function() {
+            // May 2026 has Mondays on 4, 11, 18, 25
+            assert.include(engine.getHolidaysForYear(2026), '2026-05-25');
+            // May 2027 has Mondays on 3, 10, 17, 24, 31
+            assert.include(engine.getHolidaysForYear(2027), '2027-05-31');
+        });
+    });
+
+    describe('holiday rules', function() {
+
+        /**
+         * Load the engine with its own holiday rules file
+         * @param {Object[]} rules - Holiday rules
+         * @returns {Object} The engine module
+         */
+        function loadWithRules(rules) {
+            return proxyquire('../../../../cartridges/int_promise_delivery/engine/promiseDeliveryEngine', {
+                './data/holidayRules.json': {rules: rules}
+            });
+        }
+
+        it('should evaluate every rule type', function() {
+            var engineModule = loadWithRules([
+                {id: 'fixed', type: 'fixed', month: 3, day: 17},
+                {id: 'nth', type: 'nthWeekday', month: 4, weekday: 5, occurrence: 2},
+                {id: 'last', type: 'lastWeekday', month: 8, weekday: 1},
+                {id: 'explicit', type: 'explicit', dates: ['2025-01-09', '2026-01-09']}
+            ]);
+            var engine = engineModule.createEngine(createTestAdapter(new Date(), 9));
+
+            assert.deepEqual(engine.getHolidaysForYear(2025), ['2025-03-17', '2025-04-11', '2025-08-25', '2025-01-09']);
+        });
+
+        it('should apply the observance policy of each rule', function() {
+            // Saturday, Oct 11, 2025
+            var engineModule = loadWithRules([
+                {id: 'none', type: 'fixed', month: 10, day: 11},
+                {id: 'nearest', type: 'fixed', month: 10, day: 11, observance: 'nearestWeekday'},
+                {id: 'next', type: 'fixed', month: 10, day: 11, observance: 'nextWeekday'}
+            ]);
+            var engine = engineModule.createEngine(createTestAdapter(new Date(), 9));
+
+            assert.deepEqual(engine.getHolidaysForYear(2025), ['2025-10-11', '2025-10-10', '2025-10-13']);
+        });
+
+        it('should only apply rules between their start and end years', function() {
+            var engineModule = loadWithRules([
+                {id: 'limited', type: 'fixed', month: 5, day: 5, startYear: 2024, endYear: 2025}
+            ]);
+            var engine = engineModule.createEngine(createTestAdapter(new Date(), 9));
+
+            assert.lengthOf(engine.getHolidaysForYear(2023), 0);
+            assert.lengthOf(engine.getHolidaysForYear(2024), 1);
+            assert.lengthOf(engine.getHolidaysForYear(2025), 1);
+            assert.lengthOf(engine.getHolidaysForYear(2026), 0);
+        });
+
+        it('should only let calendars of the rule scope observe a holiday', function() {
+            // Tuesday, Dec 24, 2024 and Friday, Dec 26, 2025
+            var engineModule = loadWithRules([
+                {id: 'christmas', type: 'fixed', month: 12, day: 25, scope: 'both'},
+                {id: 'christmas-eve', type: 'fixed', month: 12, day: 24, scope: 'warehouse'},
+                {id: 'boxing-day', type: 'fixed', month: 12, day: 26, scope: 'carrier'}
+            ]);
+            var engine = engineModule.createEngine(createTestAdapter(new Date(), 9), {
+                WAREHOUSE_CALENDAR: {holidays: ['christmas', 'christmas-eve', 'boxing-day']}
+            });
+            var warehouseCalendar = engine.fulfillmentLocations[0].calendar;
+
+            assert.deepEqual(engineModule.DEFAULT_CALENDAR.holidays, ['christmas', 'christmas-eve']);
+            assert.deepEqual(warehouseCalendar.holidays, ['christmas', 'christmas-eve']);
+            assert.isFalse(engine.isBusinessDay(new Date(2024, 11, 24), warehouseCalendar));
+            assert.isTrue(engine.isBusinessDay(new Date(2025, 11, 26), warehouseCalendar));
+        });
+    });
+
+    describe('getShipDate', function() {
+
+        it('should ship today when before cutoff on a business day', function() {
+            // Tuesday, Dec 2, 2025
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 2, 9), 9));
+            var shipDate = engine.getShipDate();
+
+            assert.equal(shipDate.getDate(), 2);
+        });
+
+        it('should ship next business day when after cutoff', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 2, 15), 15));
+            var shipDate = engine.getShipDate();
+
+            assert.equal(shipDate.getDate(), 3);
+        });
+
+        it('should evaluate the configured cutoff hour in the configured timezone', function() {
+            var requestedTimeZone;
+            var adapter = createTestAdapter(new Date(2025, 11, 2, 15), 15);
+            adapter.getLocalTime = function(timeZone) {
+                requestedTimeZone = timeZone;
+                return toLocalTime(new Date(2025, 11, 2), 15);
+            };
+            var engine = promiseDeliveryEngine.createEngine(adapter, {
+                CUTOFF_HOUR_EST: 16,
+                TIMEZONE: 'America/Chicago'
+            });
+
+            assert.equal(engine.getShipDate().getDate(), 2);
+            assert.equal(requestedTimeZone, 'America/Chicago');
+        });
+
+        it('should report the cutoff of today before the cutoff', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 2), 9));
+            var result = engine.calculateDeliveryDate('90210', 'standard');
+
+            assert.equal(result.cutoffAt, new Date(2025, 11, 2, 14).getTime());
+            assert.equal(result.msUntilCutoff, 5 * 60 * 60 * 1000);
+        });
+
+        it('should report the cutoff of the next business day after the cutoff', function() {
+            // Friday, Dec 5, 2025 at 3 PM: the promise holds until Monday 2 PM
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 5), 15));
+            var result = engine.calculateDeliveryDate('90210', 'standard');
+
+            assert.equal(result.cutoffAt, new Date(2025, 11, 8, 14).getTime());
+            assert.equal(result.msUntilCutoff, 71 * 60 * 60 * 1000);
+        });
+
+        it('should read the cutoff instant in the timezone of the location', function() {
+            var requests = [];
+            var adapter = createTestAdapter(new Date(2025, 11, 2), 9);
+            adapter.getTimestamp = function(date, hour, timeZone) {
+                requests.push([adapter.getDate(date), hour, timeZone]);
+                return 0;
+            };
+            var engine = promiseDeliveryEngine.createEngine(adapter, {
+                CUTOFF_HOUR_EST: 16,
+                TIMEZONE: 'America/Chicago'
+            });
+            var result = engine.calculateDeliveryDate('90210', 'standard');
+
+            assert.deepEqual(requests, [[2, 16, 'America/Chicago']]);
+            assert.equal(result.msUntilCutoff, 0);
+        });
+
+        it('should take today from the warehouse timezone, not the shopper clock', function() {
+            // Friday, Dec 5, 2025 at 11 PM for a shopper in Los Angeles is already
+            // Saturday 2 AM at the warehouse in New York, so nothing ships before Monday
+            var adapter = createTestAdapter(new Date(2025, 11, 5, 23), 23);
+            adapter.getLocalTime = function(timeZone) {
+                assert.equal(timeZone, 'America/New_York');
+                return toLocalTime(new Date(2025, 11, 6), 2);
+            };
+            var shipDate = promiseDeliveryEngine.createEngine(adapter).getShipDate();
+
+            assert.equal(shipDate.getMonth(), 11);
+            assert.equal(shipDate.getDate(), 8);
+        });
+
+        it('should ship next business day when ordered on a holiday', function() {
+            // Thursday, Thanksgiving 2025 -> Friday Nov 28
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 10, 27, 9), 9));
+            var shipDate = engine.getShipDate();
+
+            assert.equal(shipDate.getMonth(), 10);
+            assert.equal(shipDate.getDate(), 28);
+        });
+    });
+
+    describe('calendars', function() {
+
+        it('should ship on the work days of the warehouse calendar', function() {
+            // Saturday, Jan 18, 2025 before cutoff
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 0, 18), 9), {
+                WAREHOUSE_CALENDAR: {workDays: [1, 2, 3, 4, 5, 6]}
+            });
+
+            assert.equal(engine.formatDateString(engine.getShipDate()), '2025-01-18');
+            // Saturday work does not make the carrier deliver on Sunday or Monday (MLK Day is not a UPS holiday)
+            assert.equal(engine.formatDateString(engine.calculateDeliveryDate('10001', 'standard').deliveryDate), '2025-01-20');
+        });
+
+        it('should not ship on the holidays of the warehouse calendar', function() {
+            // Monday, Oct 13, 2025 (Columbus Day) before cutoff
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 9, 13), 9));
+
+            assert.equal(engine.formatDateString(engine.getShipDate()), '2025-10-14');
+        });
+
+        it('should ship on holidays the warehouse calendar leaves out', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 9, 13), 9), {
+                WAREHOUSE_CALENDAR: {holidays: ['thanksgiving', 'christmas']}
+            });
+
+            assert.equal(engine.formatDateString(engine.getShipDate()), '2025-10-13');
+        });
+
+        it('should apply the calendar of a fulfillment location', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 9, 13), 9), {
+                FULFILLMENT_LOCATIONS: [
+                    {id: 'nyc', zipCode: '10001'},
+                    {id: 'lax', zipCode: '90001', calendar: {holidays: []}}
+                ]
+            });
+
+            assert.equal(engine.formatDateString(engine.getShipDate(engine.fulfillmentLocations[0])), '2025-10-14');
+            assert.equal(engine.formatDateString(engine.getShipDate(engine.fulfillmentLocations[1])), '2025-10-13');
+        });
+
+        it('should deliver on holidays the carrier does not observe', function() {
+            // Shipped Friday, Oct 10, 2025: UPS delivers on Columbus Day, USPS does not
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 9, 10), 9), {
+                SHIPPING_METHOD_SERVICES: {express: 'usps-priority-mail'}
+            });
+
+            assert.equal(engine.formatDateString(engine.calculateDeliveryDate('10001', 'standard').deliveryDate), '2025-10-13');
+            // USPS Priority Mail to Atlanta: Saturday, then Tuesday after Sunday and Columbus Day
+            assert.equal(engine.formatDateString(engine.calculateDeliveryDate('30301', 'express').deliveryDate), '2025-10-14');
+        });
+
+        it('should report the carrier calendar of a shipping method', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(), 9));
+            var calendar = engine.getCarrierCalendar('standard');
+
+            assert.deepEqual(calendar.workDays, [1, 2, 3, 4, 5]);
+            assert.include(calendar.holidays, 'christmas');
+            assert.notInclude(calendar.holidays, 'columbus-day');
+        });
+
+        it('should deliver on the weekdays the carrier service declares', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(), 9));
+
+            assert.deepEqual(engine.getCarrierCalendar('standard').workDays, [1, 2, 3, 4, 5]);
+
+            var uspsEngine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(), 9), {
+                SHIPPING_METHOD_SERVICES: {express: 'usps-priority-mail-express'}
+            });
+            assert.deepEqual(uspsEngine.getCarrierCalendar('express').workDays, [0, 1, 2, 3, 4, 5, 6]);
+        });
+
+        it('should promise Saturday delivery for services that deliver on Saturday', function() {
+            // Thursday, Jan 16, 2025 after cutoff: ships Friday, overnight (FedEx Priority
+            // Overnight by default) arrives Saturday
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 0, 16), 15));
+            var result = engine.calculateDeliveryDate('10001', 'overnight');
+
+            assert.equal(engine.formatDateString(result.deliveryDate), '2025-01-18');
+            assert.equal(result.formattedDateFull, 'Saturday, January 18th');
+        });
+
+        it('should skip the weekend for services that deliver Monday to Friday', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 0, 16), 15), {
+                SHIPPING_METHOD_SERVICES: {overnight: 'fedex-standard-overnight'}
+            });
+            var result = engine.calculateDeliveryDate('10001', 'overnight');
+
+            assert.equal(result.formattedDateFull, 'Monday, January 20th');
+        });
+
+        it('should promise Sunday delivery for services that deliver on Sunday', function() {
+            // Friday, Jan 17, 2025 after cutoff, with a warehouse that works Saturdays
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 0, 17), 15), {
+                WAREHOUSE_CALENDAR: {workDays: [1, 2, 3, 4, 5, 6]},
+                SHIPPING_METHOD_SERVICES: {express: 'usps-priority-mail-express'}
+            });
+            var result = engine.calculateDeliveryDate('10001', 'express');
+
+            // Ships Saturday, delivered the next day
+            assert.equal(engine.formatDateString(result.shipDate), '2025-01-18');
+            assert.equal(result.formattedDateFull, 'Sunday, January 19th');
+        });
+
+        it('should skip days of week a service does not deliver on', function() {
+            // Friday, Jan 17, 2025 before cutoff: FedEx Home Delivery does not deliver on Monday
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 0, 17), 9), {
+                SHIPPING_METHOD_SERVICES: {standard: 'fedex-home-delivery'}
+            });
+            var result = engine.calculateDeliveryDate('10001', 'standard');
+
+            assert.equal(result.formattedDateFull, 'Saturday, January 18th');
+            assert.equal(engine.calculateDeliveryDate('30301', 'standard').formattedDateFull, 'Tuesday, January 21st');
+        });
+
+        it('should default to the federal business day calendar', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(), 9));
+
+            assert.isFalse(engine.isBusinessDay(new Date(2025, 9, 13)));
+            assert.isTrue(engine.isBusinessDay(new Date(2025, 9, 13), engine.getCarrierCalendar('standard')));
+        });
+    });
+
+    describe('closures', function() {
+
+        /**
+         * Create an engine whose closure lookup returns the given closures
+         * @param {Date} now - Current time as seen by the engine
+         * @param {Object[]} closures - Closures of every year
+         * @param {Object} [config] - Config overrides
+         * @returns {Object} Engine, with the years looked up in lookedUpYears
+         */
+        function createEngineWithClosures(now, closures, config) {
+            var lookedUpYears = [];
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(now, 9), config, {
+                closureLookup: function(year) {
+                    lookedUpYears.push(year);
+                    return closures;
+                }
+            });
+            engine.lookedUpYears = lookedUpYears;
+            return engine;
+        }
+
+        it('should not ship on warehouse closures', function() {
+            // Tuesday, Jan 14, 2025
+            var engine = createEngineWithClosures(new Date(2025, 0, 14), [
+                {date: '2025-01-14', scope: 'warehouse'}
+            ]);
+
+            assert.isTrue(engine.isClosed(new Date(2025, 0, 14)));
+            assert.isFalse(engine.isBusinessDay(new Date(2025, 0, 14)));
+            assert.equal(engine.formatDateString(engine.getShipDate()), '2025-01-15');
+            // Carriers still deliver on the date
+            assert.isTrue(engine.isBusinessDay(new Date(2025, 0, 14), engine.getCarrierCalendar('standard')));
+        });
+
+        it('should not deliver on carrier closures', function() {
+            // Monday, Jan 13, 2025: UPS Ground to Philadelphia takes 1 day
+            var engine = createEngineWithClosures(new Date(2025, 0, 13), [
+                {date: '2025-01-14', scope: 'carrier'}
+            ]);
+
+            assert.isTrue(engine.isBusinessDay(new Date(2025, 0, 14)));
+            assert.equal(engine.formatDateString(engine.calculateDeliveryDate('19103', 'standard').deliveryDate), '2025-01-15');
+        });
+
+        it('should apply closures without a scope to both calendars', function() {
+            var engine = createEngineWithClosures(new Date(2025, 0, 13), [{date: '2025-01-14'}]);
+
+            assert.isFalse(engine.isBusinessDay(new Date(2025, 0, 14)));
+            assert.isFalse(engine.isBusinessDay(new Date(2025, 0, 14), engine.getCarrierCalendar('standard')));
+        });
+
+        it('should limit closures to a fulfillment location', function() {
+            var engine = createEngineWithClosures(new Date(2025, 0, 14), [
+                {date: '2025-01-14', scope: 'warehouse', fulfillmentLocationId: 'nyc'}
+            ], {
+                FULFILLMENT_LOCATIONS: [
+                    {id: 'nyc', zipCode: '10001'},
+                    {id: 'lax', zipCode: '90001'}
+                ]
+            });
+
+            assert.equal(engine.formatDateString(engine.getShipDate(engine.fulfillmentLocations[0])), '2025-01-15');
+            assert.equal(engine.formatDateString(engine.getShipDate(engine.fulfillmentLocations[1])), '2025-01-14');
+        });
+
+        it('should limit closures to a carrier', function() {
+            var engine = createEngineWithClosures(new Date(2025, 0, 13), [
+                {date: '2025-01-14', scope: 'carrier', carrierId: 'fedex'}
+            ]);
+
+            assert.isTrue(engine.isBusinessDay(new Date(2025, 0, 14), engine.getCarrierCalendar('standard')));
+            assert.isFalse(engine.isBusinessDay(new Date(2025, 0, 14), engine.getCarrierCalendar('express')));
+        });
+
+        it('should look up the closures of a year only once', function() {
+            var engine = createEngineWithClosures(new Date(2025, 0, 13), []);
+
+            engine.calculateDeliveryDate('10001', 'standard');
+            engine.getDeliveryEstimatesForAllMethods('90210');
+            engine.addBusinessDays(new Date(2025, 11, 30), 5);
+
+            assert.deepEqual(engine.lookedUpYears, [2025, 2026]);
+        });
+    });
+
+    describe('getTransitDays', function() {
+
+        it('should measure transit from the configured origin', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(), 9), {
+                ORIGIN_ZIP: '90001'
+            });
+
+            assert.equal(engine.getTransitDays('90210'), 1);
+            assert.equal(engine.getTransitDays('60601'), 2);
+            assert.equal(engine.getTransitDays('10001'), 5);
+        });
+
+        it('should accept an explicit origin ZIP', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(), 9));
+
+            assert.equal(engine.getTransitDays('90210'), 5);
+            assert.equal(engine.getTransitDays('90210', '60601'), 2);
+        });
+
+        it('should use the bundled transit matrix for known ZIP3 lanes', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(), 9));
+
+            // 10001 to Puerto Rico and to Pittsburgh share a ZIP range but not a transit time
+            assert.equal(engine.getTransitDays('00901'), 6);
+            assert.equal(engine.getTransitDays('15213'), 2);
+            assert.equal(engine.getTransitDays('19103'), 1);
+        });
+
+        it('should prefer lanes from the transit lookup provider', function() {
+            var lookups = [];
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(), 9), null, {
+                transitLookup: function(originZip3, destinationZip3, serviceId) {
+                    lookups.push([originZip3, destinationZip3, serviceId]);
+                    return destinationZip3 === '191' ? 3 : null;
+                }
+            });
+
+            assert.equal(engine.getTransitDays('19103'), 3);
+            assert.equal(engine.getTransitDays('00901'), 6);
+            assert.equal(engine.getTransitDays('60601'), 4);
+            assert.deepEqual(lookups[0], ['100', '191', 'ups-ground']);
+        });
+
+        it('should look up international lanes by the transit zone of the destination', function() {
+            var lookups = [];
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(), 9), null, {
+                transitLookup: function(originZip3, destinationZone, serviceId) {
+                    lookups.push([originZip3, destinationZone, serviceId]);
+                    return destinationZone === 'CA-K1A' ? 4 : null;
+                }
+            });
+
+            assert.equal(engine.getTransitDays({postalCode: 'k1a 0b1', countryCode: 'CA'}), 4);
+            assert.deepEqual(lookups[0], ['100', 'CA-K1A', 'ups-ground']);
+        });
+
+        it('should use the unknown destination transit days of the carrier for unknown international lanes', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(), 9));
+
+            // 06600 would be a 1-day lane from 10001 in the US
+            assert.equal(engine.getTransitDays({postalCode: '06600', countryCode: 'MX'}), 5);
+            assert.equal(engine.getTransitDays({postalCode: '06600', countryCode: 'US'}), 1);
+        });
+    });
+
+    describe('getTransitDaysForShippingMethod', function() {
+
+        var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(), 9));
+
+        it('should use the matrix lanes of the carrier service', function() {
+            assert.equal(engine.getTransitDaysForShippingMethod('express', '00901'), 3);
+            assert.equal(engine.getTransitDaysForShippingMethod('overnight', '00901'), 2);
+        });
+
+        it('should ask the carrier adapter when the service has no lane', function() {
+            // The Pittsburgh lane only exists for UPS Ground
+            assert.equal(engine.getTransitDaysForShippingMethod('standard', '15213'), 2);
+            assert.equal(engine.getTransitDaysForShippingMethod('express', '15213'), 1);
+            assert.equal(engine.getTransitDaysForShippingMethod('overnight', '15213'), 1);
+            assert.equal(engine.getTransitDaysForShippingMethod('express', '90210'), 2);
+        });
+
+        it('should use the transit days of a mapped carrier service', function() {
+            var uspsEngine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(), 9), {
+                SHIPPING_METHOD_SERVICES: {standard: 'usps-ground-advantage'}
+            });
+
+            assert.equal(uspsEngine.getTransitDaysForShippingMethod('standard', '10001'), 2);
+            assert.equal(uspsEngine.getTransitDaysForShippingMethod('express', '90210'), 2);
+        });
+
+        it('should accept ZIP+4 codes', function() {
+            assert.equal(engine.getTransitDaysForShippingMethod('standard', '90210-1234'), 5);
+            assert.equal(engine.getTransitDaysForShippingMethod('standard', '152131234'), 2);
+        });
+
+        it('should use the transit days of non-contiguous destination classes', function() {
+            // Anchorage and Honolulu are not 5-day ground lanes like the 80000-99999 range
+            assert.equal(engine.getTransitDaysForShippingMethod('standard', '99501'), 7);
+            assert.equal(engine.getTransitDaysForShippingMethod('standard', '96813'), 7);
+            assert.equal(engine.getTransitDaysForShippingMethod('express', '99501'), 3);
+        });
+    });
+
+    describe('isShippingMethodAvailable', function() {
+
+        var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(), 9));
+
+        it('should allow every shipping method to contiguous US destinations', function() {
+            assert.isTrue(engine.isShippingMethodAvailable('standard', '90210'));
+            assert.isTrue(engine.isShippingMethodAvailable('overnight', '90210-1234'));
+        });
+
+        it('should leave out services that do not deliver to a destination class', function() {
+            // FedEx does not deliver to APO/FPO addresses or Guam, and no other overnight service is mapped there
+            assert.isFalse(engine.isShippingMethodAvailable('overnight', '09012'));
+            assert.isFalse(engine.isShippingMethodAvailable('overnight', '96910'));
+            assert.isTrue(engine.isShippingMethodAvailable('overnight', '99501'));
+        });
+
+        it('should ship to APO/FPO addresses and Guam with the USPS services of their destination class', function() {
+            ['09001', '34001', '96201', '96910'].forEach(function(zipCode) {
+                assert.isTrue(engine.isShippingMethodAvailable('standard', zipCode), zipCode);
+                assert.isTrue(engine.isShippingMethodAvailable('express', zipCode), zipCode);
+            });
+            assert.equal(engine.getCarrierService('standard', '09001').serviceId, 'usps-ground-advantage');
+            assert.equal(engine.getCarrierService('express', '96201').serviceId, 'usps-priority-mail');
+            // Other destinations keep the service of the shipping method
+            assert.equal(engine.getCarrierService('standard', '90210').serviceId, 'ups-ground');
+        });
+
+        it('should merge destination class services of the configuration over the defaults', function() {
+            var classEngine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(), 9), {
+                DESTINATION_CLASS_SERVICES: {military: {overnight: 'usps-priority-mail-express'}}
+            });
+
+            assert.isTrue(classEngine.isShippingMethodAvailable('overnight', '09012'));
+            assert.equal(classEngine.getCarrierService('overnight', '09012').serviceId, 'usps-priority-mail-express');
+            assert.equal(classEngine.getCarrierService('standard', '09012').serviceId, 'usps-ground-advantage');
+        });
+
+        it('should allow services mapped to a carrier that delivers there', function() {
+            var uspsEngine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(), 9), {
+                SHIPPING_METHOD_SERVICES: {standard: 'usps-ground-advantage'}
+            });
+
+            assert.isTrue(uspsEngine.isShippingMethodAvailable('standard', '09012'));
+            assert.equal(uspsEngine.getTransitDaysForShippingMethod('standard', '09012'), 10);
+        });
+
+        it('should leave out destinations excluded by the bundled serviceability rules', function() {
+            // American Samoa is not delivered to at all
+            assert.isFalse(engine.isShippingMethodAvailable('standard', '96799'));
+            assert.isFalse(engine.isShippingMethodAvailable('overnight', '96799'));
+            // Overnight only reaches the Anchorage area of Alaska
+            assert.isTrue(engine.isShippingMethodAvailable('overnight', '99501'));
+            assert.isFalse(engine.isShippingMethodAvailable('overnight', '99701'));
+            assert.isTrue(engine.isShippingMethodAvailable('express', '99701'));
+        });
+
+        it('should apply serviceability rules of the configuration by country and service', function() {
+            var rulesEngine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(), 9), {
+                SERVICEABILITY_RULES: [
+                    {id: 'no-beverly-hills-ground', postalCodePrefixes: ['9021'], services: ['ups-ground']},
+                    {id: 'no-nunavut', countryCode: 'ca', postalCodePrefixes: ['X0A']}
+                ]
+            });
+
+            assert.isFalse(rulesEngine.isShippingMethodAvailable('standard', '90210-1234'));
+            assert.isTrue(rulesEngine.isShippingMethodAvailable('express', '90210'));
+            assert.isTrue(rulesEngine.isShippingMethodAvailable('standard', '90301'));
+            assert.isFalse(rulesEngine.isShippingMethodAvailable('express', {postalCode: 'x0a 0h0', countryCode: 'CA'}));
+            assert.isTrue(rulesEngine.isShippingMethodAvailable('express', {postalCode: 'K1A 0B1', countryCode: 'CA'}));
+            // Rules of a country do not apply to postal codes of another one
+            assert.isTrue(rulesEngine.isShippingMethodAvailable('standard', {postalCode: '90210', countryCode: 'MX'}));
+        });
+
+        it('should treat carriers without deliversTo as delivering everywhere', function() {
+            var customEngine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(), 9), null, {
+                carriers: [{
+                    id: 'ups',
+                    name: 'UPS',
+                    getServices: function() { return [{id: 'ups-ground', name: 'UPS Ground'}]; },
+                    getTransitDays: function() { return 4; },
+                    getDeliveryDays: function() { return [1, 2, 3, 4, 5]; },
+                    getHolidayCalendar: function() { return []; }
+                }]
+            });
+
+            assert.isTrue(customEngine.isShippingMethodAvailable('standard', '09012'));
+        });
+    });
+
+    describe('getCarrierService', function() {
+
+        it('should map shipping methods to carrier services', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(), 9));
+
+            assert.equal(engine.getCarrierService('standard').serviceId, 'ups-ground');
+            assert.equal(engine.getCarrierService('express').serviceId, 'fedex-2day');
+            assert.equal(engine.getCarrierService('2-day').serviceId, 'fedex-2day');
+            assert.equal(engine.getCarrierService('overnight').serviceId, 'fedex-priority-overnight');
+        });
+
+        it('should report the delivery days and holiday calendar of the service', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(), 9));
+            var service = engine.getCarrierService('standard');
+
+            assert.equal(service.carrierId, 'ups');
+            assert.equal(service.carrierName, 'UPS');
+            assert.equal(service.serviceName, 'UPS Ground');
+            assert.deepEqual(service.deliveryDays, [1, 2, 3, 4, 5]);
+            assert.include(service.holidays, 'thanksgiving');
+            assert.notInclude(service.holidays, 'columbus-day');
+        });
+
+        it('should use the default shipping method for unmapped methods', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(), 9), {
+                DEFAULT_SHIPPING_METHOD: 'express',
+                SHIPPING_METHOD_SERVICES: {pickup: 'unknown-service'}
+            });
+
+            assert.equal(engine.getCarrierService('same-day').serviceId, 'fedex-2day');
+            assert.equal(engine.getCarrierService('pickup').serviceId, 'fedex-2day');
+            assert.equal(engine.getCarrierService('standard').serviceId, 'ups-ground');
+        });
+
+        it('should use carrier adapters supplied by the runtime', function() {
+            var apiCarrier = {
+                id: 'ups',
+                name: 'UPS API',
+                getServices: function() {
+                    return [{id: 'ups-ground', name: 'UPS Ground'}];
+                },
+                getTransitDays: function() { return 3; },
+                getDeliveryDays: function() { return [1, 2, 3, 4, 5, 6]; },
+                getHolidayCalendar: function() { return []; }
+            };
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(), 9), null, {
+                carriers: [apiCarrier]
+            });
+
+            assert.equal(engine.getCarrierService('standard').carrierName, 'UPS API');
+            assert.equal(engine.getTransitDaysForShippingMethod('standard', '10001'), 3);
+            // Services of the other carriers stay local
+            assert.equal(engine.getCarrierService('express').serviceId, 'fedex-2day');
+        });
+    });
+
+    describe('selectFulfillmentLocation', function() {
+
+        var locations = [
+            {id: 'nyc', zipCode: '10001', timeZone: 'America/New_York', inventoryListId: 'inventory_nyc'},
+            {id: 'lax', zipCode: '90001', timeZone: 'America/Los_Angeles', inventoryListId: 'inventory_lax'}
+        ];
+
+        it('should default to a single location from the origin settings', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(), 9));
+
+            assert.deepEqual(engine.fulfillmentLocations, [{
+                id: 'default',
+                zipCode: '10001',
+                timeZone: 'America/New_York',
+                cutoffHour: 14,
+                inventoryListId: null,
+                calendar: {
+                    workDays: [1, 2, 3, 4, 5],
+                    holidays: promiseDeliveryEngine.DEFAULT_CALENDAR.holidays,
+                    scope: 'warehouse',
+                    ownerId: 'default'
+                }
+            }]);
+        });
+
+        it('should pick the location that delivers soonest', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 2, 9), 9), {
+                FULFILLMENT_LOCATIONS: locations
+            });
+            var result = engine.calculateDeliveryDate('90210', 'standard');
+
+            assert.equal(result.fulfillmentLocationId, 'lax');
+            assert.equal(result.originZip, '90001');
+            assert.equal(result.transitDays, 1);
+        });
+
+        it('should only ship from locations that have the product in stock', function() {
+            var lookups = [];
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 2, 9), 9), {
+                FULFILLMENT_LOCATIONS: locations
+            }, {
+                inventoryLookup: function(location, productId, quantity) {
+                    lookups.push([location.inventoryListId, productId, quantity]);
+                    return location.id === 'nyc';
+                }
+            });
+            var result = engine.calculateDeliveryDate('90210', 'standard', {productId: 'product-1', quantity: 2});
+
+            assert.equal(result.fulfillmentLocationId, 'nyc');
+            assert.equal(result.transitDays, 5);
+            assert.deepEqual(lookups, [
+                ['inventory_nyc', 'product-1', 2],
+                ['inventory_lax', 'product-1', 2]
+            ]);
+        });
+
+        it('should pass the product context to the inventory providers', function() {
+            var contexts = [];
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 2, 9), 9), {
+                FULFILLMENT_LOCATIONS: locations
+            }, {
+                inventoryLookup: function(location, productId, quantity, productContext) {
+                    contexts.push(productContext);
+                    return true;
+                },
+                inStockDateLookup: function(location, productId, quantity, productContext) {
+                    contexts.push(productContext);
+                    return null;
+                }
+            });
+            var productContext = {productId: 'product-1', quantity: 2, reservation: {inventoryListId: null, quantity: 2}};
+            engine.calculateDeliveryDate('90210', 'standard', productContext);
+
+            assert.isAbove(contexts.length, 2);
+            contexts.forEach(function(context) {
+                assert.strictEqual(context, productContext);
+            });
+        });
+
+        it('should prefer the stocked locations of the product context to the inventory lookup', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 2, 9), 9), {
+                FULFILLMENT_LOCATIONS: locations
+            }, {
+                inventoryLookup: function() { return true; }
+            });
+            var withoutLookup = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 2, 9), 9), {
+                FULFILLMENT_LOCATIONS: locations
+            });
+
+            assert.equal(engine.calculateDeliveryDate('90210', 'standard', {productId: 'product-1', stockedLocationIds: ['nyc']}).fulfillmentLocationId, 'nyc');
+            assert.equal(withoutLookup.calculateDeliveryDate('90210', 'standard', {stockedLocationIds: ['nyc']}).fulfillmentLocationId, 'nyc');
+            assert.equal(withoutLookup.calculateDeliveryDate('90210', 'standard', {stockedLocationIds: []}).fulfillmentLocationId, 'lax');
+        });
+
+        it('should consider every location when none has stock', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 2, 9), 9), {
+                FULFILLMENT_LOCATIONS: locations
+            }, {
+                inventoryLookup: function() { return false; }
+            });
+
+            assert.equal(engine.calculateDeliveryDate('90210', 'standard', {productId: 'product-1'}).fulfillmentLocationId, 'lax');
+        });
+
+        it('should apply the cutoff of each location in its own timezone', function() {
+            // 3 PM in New York (past cutoff) is noon in Los Angeles (before cutoff)
+            var adapter = createTestAdapter(new Date(2025, 11, 2, 12), 12);
+            adapter.getLocalTime = function(timeZone) {
+                return toLocalTime(new Date(2025, 11, 2), timeZone === 'America/New_York' ? 15 : 12);
+            };
+            var engine = promiseDeliveryEngine.createEngine(adapter, {
+                FULFILLMENT_LOCATIONS: locations
+            });
+
+            // 50000 is 3 days from both locations, so the earlier ship date wins
+            var selection = engine.selectFulfillmentLocation('50000', 'standard');
+            assert.equal(selection.location.id, 'lax');
+            assert.equal(selection.shipDate.getDate(), 2);
+        });
+
+        it('should prefer the location listed first on a tie', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 2, 9), 9), {
+                FULFILLMENT_LOCATIONS: locations
+            });
+
+            assert.equal(engine.selectFulfillmentLocation('50000', 'standard').location.id, 'nyc');
+        });
+    });
+
+    describe('calculateDeliveryDates', function() {
+
+        it('should calculate every request of the batch in order', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19, 9), 9));
+            var outcomes = engine.calculateDeliveryDates([
+                {destination: '90210', shippingMethodId: 'standard'},
+                {destination: '10001', shippingMethodId: 'standard', productContext: {handlingDays: 2}},
+                {destination: '09012', shippingMethodId: 'overnight'}
+            ]);
+
+            assert.lengthOf(outcomes, 3);
+            assert.equal(outcomes[0].estimate.deliveryDateISO, '2025-12-29');
+            assert.equal(outcomes[1].estimate.handlingDays, 2);
+            assert.isNull(outcomes[2].estimate);
+            assert.isNull(outcomes[2].error);
+        });
+
+        it('should read the time once per fulfillment location', function() {
+            var adapter = createTestAdapter(new Date(2025, 11, 19, 9), 9);
+            var getLocalTime = adapter.getLocalTime;
+            var localTimeReads = 0;
+            adapter.getLocalTime = function() {
+                localTimeReads++;
+                return getLocalTime.apply(adapter, arguments);
+            };
+            var engine = promiseDeliveryEngine.createEngine(adapter);
+
+            engine.calculateDeliveryDates([
+                {destination: '90210'},
+                {destination: '10001', shippingMethodId: 'express'},
+                {destination: '60601', shippingMethodId: 'overnight'}
+            ]);
+            assert.equal(localTimeReads, 1);
+
+            // Calculations outside a batch read the time again
+            engine.calculateDeliveryDate('90210');
+            assert.equal(localTimeReads, 2);
+        });
+
+        it('should report the error of a failed request without failing the batch', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19, 9), 9), null, {
+                handlingDaysLookup: function(productId) {
+                    if (productId === 'broken') {
+                        throw new Error('Lookup failed');
+                    }
+                    return null;
+                }
+            });
+            var outcomes = engine.calculateDeliveryDates([
+                {destination: '90210', productContext: {productId: 'broken'}},
+                {destination: '90210', productContext: {productId: 'ring'}}
+            ]);
+
+            assert.isNull(outcomes[0].estimate);
+            assert.equal(outcomes[0].error.message, 'Lookup failed');
+            assert.isNotNull(outcomes[1].estimate);
+        });
+    });
+
+    describe('calculateBasketPromise', function() {
+
+        it('should ship items that leave the same location on the same day in one package', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19, 9), 9));
+            var promise = engine.calculateBasketPromise('90210', 'standard', [
+                {itemId: 'a', productId: 'shirt'},
+                {itemId: 'b', productId: 'socks', quantity: 2}
+            ]);
+
+            assert.equal(promise.packageCount, 1);
+            assert.deepEqual(promise.packages[0].items, [
+                {itemId: 'a', productId: 'shirt', quantity: 1},
+                {itemId: 'b', productId: 'socks', quantity: 2}
+            ]);
+            assert.equal(promise.packages[0].transitDays, engine.calculateDeliveryDate('90210', 'standard').transitDays);
+            assert.equal(promise.deliveryDateISO, '2025-12-29');
+            assert.equal(promise.formattedDateFull, 'Monday, December 29th');
+            assert.equal(promise.displayMessage, 'Get it by December 29th');
+        });
+
+        it('should split items held back by their handling days into packages by delivery date', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19, 9), 9));
+            var promise = engine.calculateBasketPromise('90210', 'standard', [
+                {itemId: 'b', productId: 'ring', handlingDays: 2},
+                {itemId: 'a', productId: 'shirt'}
+            ]);
+
+            assert.equal(promise.packageCount, 2);
+            assert.deepEqual(promise.packages.map(function(pkg) { return pkg.items[0].itemId; }), ['a', 'b']);
+            assert.equal(promise.packages[0].shipDateISO, '2025-12-19');
+            assert.equal(promise.packages[0].deliveryDateISO, '2025-12-29');
+            assert.equal(promise.packages[1].shipDateISO, '2025-12-23');
+            assert.equal(promise.packages[1].deliveryDateISO, promise.deliveryDateISO);
+            assert.equal(promise.displayMessage, 'Arrives in 2 shipments, all items by ' + promise.formattedDate);
+            // The first package moves when its cutoff passes, the engraved one has not shipped yet
+            assert.equal(promise.cutoffAt, promise.packages[0].cutoffAt);
+        });
+
+        it('should tell when a backordered package ships', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19), 9));
+            var promise = engine.calculateBasketPromise('10001', 'standard', [
+                {itemId: 'a', productId: 'shirt'},
+                {itemId: 'b', productId: 'pre-order', inStockDate: '2026-01-07'}
+            ]);
+            var backordered = engine.calculateBasketPromise('10001', 'standard', [
+                {itemId: 'b', productId: 'pre-order', inStockDate: '2026-01-07'}
+            ]);
+
+            assert.equal(promise.packages[0].displayMessage, 'Get it by December 22nd');
+            assert.equal(promise.packages[1].displayMessage, 'Ships after January 7th, arrives by January 8th');
+            assert.equal(backordered.displayMessage, 'Ships after January 7th, arrives by January 8th');
+        });
+
+        it('should split items stocked at different fulfillment locations', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19, 9), 9), {
+                FULFILLMENT_LOCATIONS: [
+                    {id: 'nyc', zipCode: '10001'},
+                    {id: 'lax', zipCode: '90001'}
+                ]
+            }, {
+                inventoryLookup: function(location, productId) {
+                    return productId === 'shirt' ? location.id === 'nyc' : true;
+                }
+            });
+            var promise = engine.calculateBasketPromise('90210', 'standard', [
+                {itemId: 'a', productId: 'shirt'},
+                {itemId: 'b', productId: 'socks'}
+            ]);
+
+            assert.equal(promise.packageCount, 2);
+            assert.deepEqual(promise.packages.map(function(pkg) { return pkg.fulfillmentLocationId; }), ['lax', 'nyc']);
+            assert.equal(promise.deliveryDateISO, '2025-12-29');
+        });
+
+        it('should return null when the shipping method does not deliver to the destination', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19, 9), 9));
+
+            assert.isNull(engine.calculateBasketPromise('09012', 'overnight', [{itemId: 'a', productId: 'shirt'}]));
+        });
+
+        it('should promise a shipment without items as a single package', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19, 9), 9));
+            var promise = engine.calculateBasketPromise('90210', 'standard', []);
+
+            assert.equal(promise.packageCount, 1);
+            assert.deepEqual(promise.packages[0].items, []);
+            assert.equal(promise.deliveryDateISO, '2025-12-29');
+        });
+    });
+
+    describe('calculateDeliveryDate', function() {
+
+        it('should return null when the shipping method does not deliver to the destination', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19, 9), 9));
+
+            assert.isNull(engine.calculateDeliveryDate('09012', 'overnight'));
+            assert.isNull(engine.calculateDeliveryDate('96601-1234', 'overnight'));
+        });
+
+        it('should promise the default shipping method to an APO address with USPS', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19, 9), 9));
+            var result = engine.calculateDeliveryDate('09012');
+
+            assert.isNotNull(result);
+            assert.equal(result.carrierId, 'usps');
+            assert.equal(result.carrierServiceId, 'usps-ground-advantage');
+            assert.equal(result.transitDays, 10);
+            // USPS delivers on Saturdays, not on Christmas or New Year's Day
+            assert.equal(result.shipDateISO, '2025-12-19');
+            assert.equal(result.deliveryDateISO, '2026-01-02');
+            assert.equal(engine.calculateDeliveryDate('96601-1234', 'standard').carrierId, 'usps');
+        });
+
+        it('should add transit business days to the ship date', function() {
+            // Friday, Dec 19, 2025 before cutoff, 5 days to 90210 skips Christmas
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19, 9), 9));
+            var result = engine.calculateDeliveryDate('90210', 'standard');
+
+            assert.equal(result.transitDays, 5);
+            assert.equal(result.formattedDate, 'December 29th');
+            assert.equal(result.formattedDateFull, 'Monday, December 29th');
+            assert.equal(result.displayMessage, 'Get it by December 29th');
+        });
+
+        it('should return every date as a date-only string', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19, 9), 9));
+            var result = engine.calculateDeliveryDate('90210', 'standard');
+
+            assert.equal(result.deliveryDateISO, '2025-12-29');
+            assert.equal(result.shipDateISO, '2025-12-19');
+            assert.equal(result.earliestDateISO, '2025-12-26');
+            assert.equal(result.latestDateISO, '2025-12-30');
+            assert.isNull(result.inStockDateISO);
+        });
+
+        it('should parse date-only strings back into adapter dates', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19), 9));
+            var date = engine.parseDateString('2026-01-02');
+
+            assert.equal(date.getFullYear(), 2026);
+            assert.equal(date.getMonth(), 0);
+            assert.equal(date.getDate(), 2);
+            assert.equal(engine.formatDateString(date), '2026-01-02');
+        });
+
+        it('should report the carrier service of the shipping method', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19), 9));
+            var result = engine.calculateDeliveryDate('90210', 'overnight');
+
+            assert.equal(result.carrierId, 'fedex');
+            assert.equal(result.carrierServiceId, 'fedex-priority-overnight');
+            assert.equal(result.carrierServiceName, 'FedEx Priority Overnight');
+        });
+
+        it('should widen the promise by the transit spread of the carrier service', function() {
+            // Friday, Dec 19, 2025: UPS Ground delivers 1 day earlier to 1 day later, skipping Christmas
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19), 9));
+            var result = engine.calculateDeliveryDate('90210', 'standard');
+
+            assert.equal(result.minTransitDays, 4);
+            assert.equal(result.maxTransitDays, 6);
+            assert.equal(engine.formatDateString(result.earliestDate), '2025-12-26');
+            assert.equal(engine.formatDateString(result.latestDate), '2025-12-30');
+            assert.equal(result.formattedEarliestDate, 'December 26th');
+            assert.equal(result.formattedLatestDate, 'December 30th');
+            assert.equal(result.formattedDateRange, 'Dec 26 \u2013 Dec 30');
+            assert.equal(result.rangeDisplayMessage, 'Arrives Dec 26 \u2013 Dec 30');
+        });
+
+        it('should promise a single date for guaranteed services', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19), 9));
+            var result = engine.calculateDeliveryDate('90210', 'overnight');
+
+            assert.equal(engine.formatDateString(result.earliestDate), '2025-12-20');
+            assert.equal(engine.formatDateString(result.latestDate), '2025-12-20');
+            assert.equal(result.rangeDisplayMessage, 'Arrives Dec 20');
+        });
+
+        it('should not promise delivery on the ship date', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19), 9));
+            var result = engine.calculateDeliveryDate('10001', 'standard');
+
+            assert.equal(result.transitDays, 1);
+            assert.equal(result.minTransitDays, 1);
+            assert.equal(result.formattedDateRange, 'Dec 22 \u2013 Dec 23');
+        });
+
+        it('should not spread carriers that declare no transit spread', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19), 9), null, {
+                carriers: [{
+                    id: 'ups',
+                    name: 'UPS',
+                    getServices: function() { return [{id: 'ups-ground', name: 'UPS Ground'}]; },
+                    getTransitDays: function() { return 2; },
+                    getDeliveryDays: function() { return [1, 2, 3, 4, 5]; },
+                    getHolidayCalendar: function() { return []; }
+                }]
+            });
+            var result = engine.calculateDeliveryDate('90210', 'standard');
+
+            assert.deepEqual(engine.getCarrierService('standard').transitSpread, {min: 0, max: 0});
+            assert.equal(result.rangeDisplayMessage, 'Arrives Dec 23');
+        });
+
+        it('should add the handling days of the product before transit', function() {
+            // Friday, Dec 19, 2025: 3 handling days skip the weekend, then 1 day to 10001
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19), 9), null, {
+                handlingDaysLookup: function(productId) {
+                    return productId === 'engraved-ring' ? 3 : null;
+                }
+            });
+            var result = engine.calculateDeliveryDate('10001', 'standard', {productId: 'engraved-ring'});
+
+            assert.equal(result.handlingDays, 3);
+            assert.equal(result.transitDays, 1);
+            assert.equal(engine.formatDateString(result.shipDate), '2025-12-24');
+            // Christmas is neither a handling nor a transit day
+            assert.equal(engine.formatDateString(result.deliveryDate), '2025-12-26');
+
+            var plain = engine.calculateDeliveryDate('10001', 'standard', {productId: 'plain-ring'});
+            assert.equal(plain.handlingDays, 0);
+            assert.equal(engine.formatDateString(plain.shipDate), '2025-12-19');
+        });
+
+        it('should prefer the handling days of the product context', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19), 9), null, {
+                handlingDaysLookup: function() { return 3; }
+            });
+
+            assert.equal(engine.calculateDeliveryDate('10001', 'standard', {productId: 'ring', handlingDays: 1}).handlingDays, 1);
+            assert.equal(engine.calculateDeliveryDate('10001', 'standard', {handlingDays: 2}).handlingDays, 2);
+            assert.equal(engine.calculateDeliveryDate('10001', 'standard').handlingDays, 0);
+        });
+
+        it('should report the handling days of every shipping method', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19), 9));
+            var estimates = engine.getDeliveryEstimatesForAllMethods('10001', {handlingDays: 2});
+
+            estimates.forEach(function(estimate) {
+                assert.equal(estimate.handlingDays, 2);
+            });
+        });
+
+        it('should leave out shipping methods that do not deliver to the destination', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19), 9));
+            var methodIds = function(estimates) {
+                return estimates.map(function(estimate) { return estimate.shippingMethodId; });
+            };
+
+            assert.deepEqual(methodIds(engine.getDeliveryEstimatesForAllMethods('99501')), ['standard', 'express', 'overnight']);
+            assert.deepEqual(methodIds(engine.getDeliveryEstimatesForAllMethods('09012')), ['standard', 'express']);
+        });
+
+        it('should estimate the shipping methods of the shippingMethodsLookup provider', function() {
+            var requestedDestinations = [];
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19), 9), {
+                SHIPPING_METHOD_SERVICES: {'001': 'ups-ground', '003': 'fedex-priority-overnight'}
+            }, {
+                shippingMethodsLookup: function(destination) {
+                    requestedDestinations.push(destination);
+                    return [
+                        {id: '001', name: 'Ground', price: 7.5, currencyCode: 'CAD'},
+                        {id: '003', name: 'Next Day', price: 30, currencyCode: 'CAD'}
+                    ];
+                }
+            });
+            var estimates = engine.getDeliveryEstimatesForAllMethods('90210');
+
+            assert.equal(requestedDestinations[0].postalCode, '90210');
+            assert.equal(requestedDestinations[0].zone, '902');
+            assert.deepEqual(estimates.map(function(estimate) {
+                return [estimate.shippingMethodId, estimate.shippingMethodName, estimate.price, estimate.currencyCode];
+            }), [['001', 'Ground', 7.5, 'CAD'], ['003', 'Next Day', 30, 'CAD']]);
+            assert.equal(estimates[0].carrierServiceId, 'ups-ground');
+            assert.equal(estimates[1].carrierServiceId, 'fedex-priority-overnight');
+            assert.equal(estimates[1].transitDays, 1);
+        });
+
+        it('should promise shipping methods as the promise method of the promiseMethodLookup provider', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19), 9), {
+                SHIPPING_METHOD_SERVICES: {'002': 'ups-ground'}
+            }, {
+                promiseMethodLookup: function(shippingMethodId) {
+                    return shippingMethodId === '002' ? 'express' : null;
+                }
+            });
+
+            // The promise method wins over the mapping of the shipping method ID
+            assert.equal(engine.getCarrierService('002').serviceId, 'fedex-2day');
+            assert.equal(engine.getCarrierService('overnight').serviceId, 'fedex-priority-overnight');
+            assert.equal(engine.getCarrierService('001').serviceId, 'ups-ground');
+        });
+
+        it('should promise SFCC shipping method IDs as the promise method PROMISE_METHODS maps them to', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19), 9), {
+                PROMISE_METHODS: {'004': '2-day'}
+            });
+
+            assert.equal(engine.getPromiseMethodId('002'), 'express');
+            assert.equal(engine.getPromiseMethodId('004'), '2-day');
+            assert.equal(engine.getPromiseMethodId('005'), '005');
+            assert.equal(engine.getCarrierService('002').serviceId, 'fedex-2day');
+            assert.equal(engine.getCarrierService('003').serviceId, 'fedex-priority-overnight');
+            assert.equal(engine.getCarrierService('004').serviceId, 'fedex-2day');
+        });
+
+        it('should use the default shipping methods when the provider has none', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19), 9), null, {
+                shippingMethodsLookup: function() { return null; }
+            });
+            var standard = engine.getDeliveryEstimatesForAllMethods('90210')[0];
+
+            assert.equal(standard.shippingMethodName, 'Standard Shipping');
+            assert.equal(standard.price, 5.99);
+            assert.equal(standard.currencyCode, 'USD');
+        });
+
+        it('should not ship backordered products before their in-stock date', function() {
+            // Friday, Dec 19, 2025: back in stock on Saturday, Jan 3, 2026, ships Monday
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19), 9), null, {
+                inStockDateLookup: function(location, productId, quantity) {
+                    return productId === 'backordered' && quantity > 1 ? '2026-01-03' : null;
+                }
+            });
+            var result = engine.calculateDeliveryDate('10001', 'standard', {productId: 'backordered', quantity: 2});
+
+            assert.equal(engine.formatDateString(result.inStockDate), '2026-01-03');
+            assert.equal(engine.formatDateString(result.shipDate), '2026-01-05');
+            assert.equal(engine.formatDateString(result.deliveryDate), '2026-01-06');
+            assert.equal(result.formattedInStockDate, 'January 3rd');
+            assert.equal(result.displayMessage, 'Ships after January 3rd, arrives by January 6th');
+
+            var inStock = engine.calculateDeliveryDate('10001', 'standard', {productId: 'backordered', quantity: 1});
+            assert.isNull(inStock.inStockDate);
+            assert.equal(inStock.displayMessage, 'Get it by December 22nd');
+        });
+
+        it('should add handling days after the in-stock date of a pre-order product', function() {
+            // Pre-order available Wednesday, Jan 7, 2026, engraved in 2 days
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19), 9));
+            var result = engine.calculateDeliveryDate('10001', 'standard', {inStockDate: '2026-01-07', handlingDays: 2});
+
+            assert.equal(engine.formatDateString(result.shipDate), '2026-01-09');
+            assert.equal(result.displayMessage, 'Ships after January 7th, arrives by January 12th');
+            assert.equal(engine.getDeliveryEstimatesForAllMethods('10001', {inStockDate: '2026-01-07'})[0].inStockDate, 'January 7th');
+        });
+
+        it('should ignore in-stock dates that are already reached', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19), 9));
+            var result = engine.calculateDeliveryDate('10001', 'standard', {inStockDate: '2025-12-18'});
+
+            assert.isNull(result.inStockDate);
+            assert.equal(engine.formatDateString(result.shipDate), '2025-12-19');
+        });
+
+        it('should not count down to a cutoff for backordered products', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19), 9));
+            var result = engine.calculateDeliveryDate('10001', 'standard', {inStockDate: '2026-01-05'});
+
+            assert.isNull(result.cutoffAt);
+            assert.isNull(result.msUntilCutoff);
+        });
+
+        it('should report the delivery window of every shipping method', function() {
+            var engine = promiseDeliveryEngine.createEngine(createTestAdapter(new Date(2025, 11, 19), 9));
+            var standard = engine.getDeliveryEstimatesForAllMethods('90210')[0];
+
+            assert.equal(standard.earliestDate, 'December 26th');
+            assert.equal(standard.latestDate, 'December 30th');
+            assert.equal(standard.deliveryDateRange, 'Dec 26 \u2013 Dec 30');
+            assert.equal(standard.rangeDisplayMessage, 'Arrives Dec 26 \u2013 Dec 30');
+            assert.equal(standard.deliveryDateISO, '2025-12-29');
+            assert.equal(standard.shipDateISO, '2025-12-19');
+            assert.equal(standard.earliestDateISO, '2025-12-26');
+            assert.equal(standard.latestDateISO, '2025-12-30');
+        });
+    });
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * Unit Tests for Promise Delivery Closures
+ */
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('Promise Delivery Closures', function() {
+
+    var closures;
+    var query;
+    var closed;
+
+    beforeEach(function() {
+        query = null;
+        closed = false;
+        var objects = [
+            {custom: {date: new Date(Date.UTC(2025, 11, 24)), scope: {value: 'both'}, fulfillmentLocationId: null, carrierId: null}},
+            {custom: {date: new Date(Date.UTC(2025, 6, 3)), scope: {value: 'carrier'}, fulfillmentLocationId: '', carrierId: 'ups'}},
+            {custom: {date: new Date(Date.UTC(2025, 2, 10)), scope: {value: null}, fulfillmentLocationId: 'nyc', carrierId: null}}
+        ];
+
+        function Calendar(date) {
+            this.date = date;
+        }
+
+        closures = proxyquire('../../../../cartridges/int_promise_delivery/helpers/promiseDeliveryClosures', {
+            'dw/util/Calendar': Calendar,
+            'dw/util/StringUtils': {
+                formatCalendar: function(calendar) {
+                    return calendar.date.toISOString().slice(0, 10);
+                }
+            },
+            'dw/object/CustomObjectMgr': {
+                queryCustomObjects: function(type, queryString, sortString, from, to) {
+                    query = {type: type, from: from, to: to};
+                    var index = 0;
+                    return {
+                        hasNext: function() { return index < objects.length; },
+                        next: function() { return objects[index++]; },
+                        close: function() { closed = true; }
+                    };
+                }
+            }
+        });
+    });
+
+    it('should query the closures of a year', function() {
+        closures.getClosures(2025);
+
+        assert.equal(query.type, 'PromiseDeliveryClosure');
+        assert.equal(query.from.toISOString(), '2025-01-01T00:00:00.000Z');
+        assert.equal(query.to.toISOString(), '2026-01-01T00:00:00.000Z');
+        assert.isTrue(closed);
+    });
+
+    it('should return the date, scope and owner of each closure', function() {
+        assert.deepEqual(closures.getClosures(2025), [
+            {date: '2025-12-24', scope: 'both', fulfillmentLocationId: null, carrierId: null},
+            {date: '2025-07-03', scope: 'carrier', fulfillmentLocationId: null, carrierId: 'ups'},
+            {date: '2025-03-10', scope: null, fulfillmentLocationId: 'nyc', carrierId: null}
+        ]);
+    });
+});
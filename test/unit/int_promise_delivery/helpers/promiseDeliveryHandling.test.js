@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * Unit Tests for Promise Delivery Handling Time
+ */
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('Promise Delivery Handling', function() {
+
+    var handling;
+    var requestedIds;
+
+    beforeEach(function() {
+        requestedIds = [];
+        var jewelry = {custom: {promiseDeliveryHandlingDays: 2}, parent: null};
+        var rings = {custom: {promiseDeliveryHandlingDays: null}, parent: jewelry};
+        var ringMaster = {custom: {promiseDeliveryHandlingDays: 4}, primaryCategory: rings};
+        var products = {
+            'engraved-ring': {custom: {promiseDeliveryHandlingDays: 5}, primaryCategory: rings},
+            'plain-ring': {custom: {}, primaryCategory: rings},
+            'ring-size-7': {custom: {}, variant: true, masterProduct: ringMaster, primaryCategory: null},
+            'gift-card': {custom: {}, primaryCategory: null},
+            'in-stock-ring': {custom: {promiseDeliveryHandlingDays: 0}, primaryCategory: rings}
+        };
+
+        handling = proxyquire('../../../../cartridges/int_promise_delivery/helpers/promiseDeliveryHandling', {
+            'dw/catalog/ProductMgr': {
+                getProduct: function(productId) {
+                    requestedIds.push(productId);
+                    return products[productId] || null;
+                }
+            }
+        });
+    });
+
+    it('should return the handling days of the product', function() {
+        assert.equal(handling.getHandlingDays('engraved-ring'), 5);
+        assert.equal(handling.getHandlingDays('in-stock-ring'), 0);
+    });
+
+    it('should fall back to the closest category that sets handling days', function() {
+        assert.equal(handling.getHandlingDays('plain-ring'), 2);
+    });
+
+    it('should use the master product of a variant', function() {
+        assert.equal(handling.getHandlingDays('ring-size-7'), 4);
+    });
+
+    it('should return null when neither the product nor its categories set handling days', function() {
+        assert.isNull(handling.getHandlingDays('gift-card'));
+        assert.isNull(handling.getHandlingDays('unknown'));
+    });
+
+    it('should read each product only once', function() {
+        handling.getHandlingDays('plain-ring');
+        handling.getHandlingDays('plain-ring');
+        handling.getHandlingDays('unknown');
+        handling.getHandlingDays('unknown');
+
+        assert.deepEqual(requestedIds, ['plain-ring', 'unknown']);
+    });
+});
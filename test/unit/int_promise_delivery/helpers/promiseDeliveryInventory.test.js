@@ -0,0 +1,139 @@
+'use strict';
+
+/**
+ * Unit Tests for Promise Delivery Inventory
+ */
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('Promise Delivery Inventory', function() {
+
+    var inventory;
+    var requestedListIds;
+
+    /**
+     * Build a mock quantity
+     * @param {number} value - Quantity value
+     * @returns {Object} Mock dw.value.Quantity
+     */
+    function createQuantity(value) {
+        return {
+            getValue: function() { return value; }
+        };
+    }
+
+    /**
+     * Build a mock inventory list
+     * @param {string} id - Inventory list ID
+     * @param {Object} recordsByProduct - Records ({ats, stockLevel, inStockDate}) keyed by product ID
+     * @returns {Object} Mock dw.catalog.ProductInventoryList
+     */
+    function createInventoryList(id, recordsByProduct) {
+        return {
+            ID: id,
+            getRecord: function(productId) {
+                var record = recordsByProduct[productId];
+                if (!record) {
+                    return null;
+                }
+                return {
+                    getATS: function() { return createQuantity(record.ats); },
+                    getStockLevel: function() { return createQuantity(record.stockLevel); },
+                    getInStockDate: function() { return record.inStockDate || null; }
+                };
+            }
+        };
+    }
+
+    beforeEach(function() {
+        requestedListIds = [];
+        var inventoryLists = {
+            'default': createInventoryList('inventory', {
+                'product-1': {ats: 10, stockLevel: 10},
+                'backordered': {ats: 20, stockLevel: 2, inStockDate: new Date(Date.UTC(2026, 2, 3))},
+                'preorder-no-date': {ats: 20, stockLevel: 0},
+                // The last 2 units, reserved by the order being promised
+                'last-units': {ats: 0, stockLevel: 0, inStockDate: new Date(Date.UTC(2026, 2, 3))}
+            }),
+            'inventory_lax': createInventoryList('inventory_lax', {
+                'product-1': {ats: 1, stockLevel: 1},
+                'last-units': {ats: 0, stockLevel: 0}
+            })
+        };
+
+        function Calendar(date) {
+            this.date = date;
+        }
+
+        inventory = proxyquire('../../../../cartridges/int_promise_delivery/helpers/promiseDeliveryInventory', {
+            'dw/util/Calendar': Calendar,
+            'dw/util/StringUtils': {
+                formatCalendar: function(calendar) {
+                    return calendar.date.toISOString().slice(0, 10);
+                }
+            },
+            'dw/catalog/ProductInventoryMgr': {
+                getInventoryList: function(listId) {
+                    requestedListIds.push(listId);
+                    return listId === undefined ? inventoryLists['default'] : inventoryLists[listId] || null;
+                }
+            }
+        });
+    });
+
+    it('should use the site default inventory list when the location has none', function() {
+        assert.isTrue(inventory.isAvailable({inventoryListId: null}, 'product-1', 5));
+        assert.deepEqual(requestedListIds, [undefined]);
+    });
+
+    it('should use the inventory list of the location', function() {
+        assert.isTrue(inventory.isAvailable({inventoryListId: 'inventory_lax'}, 'product-1', 1));
+        assert.isFalse(inventory.isAvailable({inventoryListId: 'inventory_lax'}, 'product-1', 2));
+        assert.deepEqual(requestedListIds, ['inventory_lax', 'inventory_lax']);
+    });
+
+    it('should return false when the product has no inventory record', function() {
+        assert.isFalse(inventory.isAvailable({inventoryListId: null}, 'product-2', 1));
+    });
+
+    it('should return false when the inventory list does not exist', function() {
+        assert.isFalse(inventory.isAvailable({inventoryListId: 'inventory_unknown'}, 'product-1', 1));
+    });
+
+    it('should return the in-stock date when the stock level does not cover the quantity', function() {
+        assert.equal(inventory.getInStockDate({inventoryListId: null}, 'backordered', 3), '2026-03-03');
+        assert.isTrue(inventory.isAvailable({inventoryListId: null}, 'backordered', 3));
+    });
+
+    it('should return no in-stock date for products in stock', function() {
+        assert.isNull(inventory.getInStockDate({inventoryListId: null}, 'backordered', 2));
+        assert.isNull(inventory.getInStockDate({inventoryListId: null}, 'product-1', 1));
+    });
+
+    it('should count the units an order reserved as in stock', function() {
+        // The stock level equaled the ordered quantity when the shopper checked out
+        var reservation = {reservation: {inventoryListId: null, quantity: 2}};
+        var location = {inventoryListId: null};
+
+        assert.isTrue(inventory.isAvailable(location, 'last-units', 2, reservation));
+        assert.isNull(inventory.getInStockDate(location, 'last-units', 2, reservation));
+        assert.isFalse(inventory.isAvailable(location, 'last-units', 3, reservation));
+        assert.isFalse(inventory.isAvailable(location, 'last-units', 2));
+        assert.equal(inventory.getInStockDate(location, 'last-units', 2), '2026-03-03');
+    });
+
+    it('should only count the reservation at the inventory list it was made from', function() {
+        var defaultReservation = {reservation: {inventoryListId: null, quantity: 2}};
+        var laxReservation = {reservation: {inventoryListId: 'inventory_lax', quantity: 2}};
+
+        assert.isFalse(inventory.isAvailable({inventoryListId: 'inventory_lax'}, 'last-units', 2, defaultReservation));
+        assert.isTrue(inventory.isAvailable({inventoryListId: 'inventory_lax'}, 'last-units', 2, laxReservation));
+        assert.isFalse(inventory.isAvailable({inventoryListId: null}, 'last-units', 2, laxReservation));
+    });
+
+    it('should return no in-stock date when the record has none', function() {
+        assert.isNull(inventory.getInStockDate({inventoryListId: null}, 'preorder-no-date', 1));
+        assert.isNull(inventory.getInStockDate({inventoryListId: null}, 'product-2', 1));
+    });
+});
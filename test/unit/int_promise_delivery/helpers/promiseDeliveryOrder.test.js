@@ -0,0 +1,218 @@
+'use strict';
+
+/**
+ * Unit Tests for Promise Delivery Order Stamping
+ */
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('Promise Delivery Order', function() {
+
+    var promiseDeliveryOrder;
+    var promiseRequests;
+    var promisesByPostalCode;
+
+    /**
+     * Build a mock collection
+     * @param {Array} items - Items
+     * @returns {Object} Mock dw.util.Collection
+     */
+    function createCollection(items) {
+        return {
+            empty: items.length === 0,
+            toArray: function() { return items; }
+        };
+    }
+
+    /**
+     * Build a mock order shipment
+     * @param {string} id - Shipment ID
+     * @param {string} postalCode - Postal code of the shipping address
+     * @param {string} shopperDate - Date the checkout stored, if any
+     * @param {Object} [options] - Shipping method ID, store pickup and line items
+     * @returns {Object} Mock dw.order.Shipment
+     */
+    function createShipment(id, postalCode, shopperDate, options) {
+        var settings = options || {};
+        return {
+            ID: id,
+            shippingAddress: {postalCode: postalCode, countryCode: {value: 'US'}},
+            shippingMethodID: settings.shippingMethodId || '001',
+            shippingMethod: {custom: {storePickupEnabled: Boolean(settings.storePickup)}},
+            productLineItems: createCollection(settings.lineItems || [
+                {UUID: id + '-item', productID: 'shirt', quantityValue: 2}
+            ]),
+            custom: {customerSelectedDeliveryDate: shopperDate}
+        };
+    }
+
+    /**
+     * Build a mock order
+     * @param {Array} shipments - Shipments
+     * @returns {Object} Mock dw.order.Order
+     */
+    function createOrder(shipments) {
+        return {
+            orderNo: '00001',
+            shipments: createCollection(shipments),
+            custom: {},
+            notes: [],
+            addNote: function(subject, text) {
+                this.notes.push({subject: subject, text: text});
+            }
+        };
+    }
+
+    /**
+     * Build a promise delivered in one package
+     * @param {string} deliveryDateISO - Delivery date
+     * @returns {Object} Basket promise
+     */
+    function createPromise(deliveryDateISO) {
+        return {
+            deliveryDateISO: deliveryDateISO,
+            packages: [
+                {shipDateISO: '2025-12-18', transitDays: 2},
+                {shipDateISO: '2025-12-19', transitDays: 5}
+            ]
+        };
+    }
+
+    beforeEach(function() {
+        promiseRequests = [];
+        promisesByPostalCode = {
+            '90210': createPromise('2025-12-29'),
+            '10001': createPromise('2025-12-22')
+        };
+
+        promiseDeliveryOrder = proxyquire('../../../../cartridges/int_promise_delivery/helpers/promiseDeliveryOrder', {
+            './promiseDeliveryHelper': {
+                calculateBasketPromise: function(destination, shippingMethodId, items) {
+                    promiseRequests.push({destination: destination, shippingMethodId: shippingMethodId, items: items});
+                    return promisesByPostalCode[destination.postalCode] || null;
+                },
+                getPromiseMethodId: function(shippingMethodId) {
+                    return {'001': 'standard', '003': 'overnight'}[shippingMethodId] || shippingMethodId;
+                }
+            }
+        });
+    });
+
+    it('should recompute the promise of each shipment with its address, method and items', function() {
+        var order = createOrder([
+            createShipment('me', '90210', '2025-12-29'),
+            createShipment('gift', '10001', '2025-12-22', {shippingMethodId: '003'})
+        ]);
+
+        promiseDeliveryOrder.stampOrderPromise(order);
+
+        assert.deepEqual(promiseRequests[0], {
+            destination: {postalCode: '90210', countryCode: 'US'},
+            shippingMethodId: '001',
+            items: [{
+                itemId: 'me-item',
+                productId: 'shirt',
+                quantity: 2,
+                reservation: {inventoryListId: null, quantity: 2}
+            }]
+        });
+        assert.equal(promiseRequests[1].destination.postalCode, '10001');
+        assert.equal(promiseRequests[1].shippingMethodId, '003');
+    });
+
+    it('should count the inventory each line item reserved back', function() {
+        var order = createOrder([createShipment('me', '90210', '2025-12-29', {lineItems: [
+            {UUID: 'ring-item', productID: 'ring', quantityValue: 1, productInventoryListID: 'inventory_lax'}
+        ]})]);
+
+        promiseDeliveryOrder.stampOrderPromise(order);
+
+        assert.deepEqual(promiseRequests[0].items[0].reservation, {inventoryListId: 'inventory_lax', quantity: 1});
+    });
+
+    it('should stamp the recomputed promise on the order and its shipments', function() {
+        var me = createShipment('me', '90210', '2025-12-29');
+        var gift = createShipment('gift', '10001', '2025-12-22', {shippingMethodId: '003'});
+        var order = createOrder([me, gift]);
+
+        var result = promiseDeliveryOrder.stampOrderPromise(order);
+
+        assert.equal(me.custom.promiseDeliveryDate, '2025-12-29');
+        assert.equal(me.custom.promiseDeliveryMethod, 'standard');
+        assert.equal(gift.custom.promiseDeliveryMethod, 'overnight');
+        // Ship date and transit days of the package arriving last
+        assert.equal(gift.custom.promiseDeliveryShipDate, '2025-12-19');
+        assert.equal(gift.custom.promiseDeliveryTransitDays, 5);
+        assert.equal(order.custom.promiseDeliveryDate, '2025-12-29');
+        assert.isFalse(order.custom.promiseDeliveryMismatch);
+        assert.deepEqual(order.notes, []);
+        assert.deepEqual(result, {promiseDeliveryDate: '2025-12-29', mismatches: []});
+    });
+
+    it('should flag the order when a shipment arrives later than the shopper saw', function() {
+        var order = createOrder([
+            createShipment('me', '90210', '2025-12-26'),
+            createShipment('gift', '10001', '2025-12-22')
+        ]);
+
+        var result = promiseDeliveryOrder.stampOrderPromise(order);
+
+        assert.deepEqual(result.mismatches, [
+            {shipmentId: 'me', shopperDate: '2025-12-26', promiseDate: '2025-12-29'}
+        ]);
+        assert.isTrue(order.custom.promiseDeliveryMismatch);
+        assert.deepEqual(order.notes, [{
+            subject: 'Promise Delivery',
+            text: 'Shipment me was shown delivery by 2025-12-26, promised by 2025-12-29 at order placement'
+        }]);
+    });
+
+    it('should not flag shipments arriving earlier than the shopper saw', function() {
+        var me = createShipment('me', '90210', '2025-12-30');
+        var order = createOrder([me]);
+
+        var result = promiseDeliveryOrder.stampOrderPromise(order);
+
+        assert.equal(me.custom.promiseDeliveryDate, '2025-12-29');
+        assert.deepEqual(result.mismatches, []);
+        assert.isFalse(order.custom.promiseDeliveryMismatch);
+        assert.deepEqual(order.notes, []);
+    });
+
+    it('should flag the order when a shipment can no longer be promised', function() {
+        var me = createShipment('me', '96813', '2025-12-26');
+        var order = createOrder([me]);
+
+        var result = promiseDeliveryOrder.stampOrderPromise(order);
+
+        assert.isNull(me.custom.promiseDeliveryDate);
+        assert.isNull(order.custom.promiseDeliveryDate);
+        assert.isNull(result.promiseDeliveryDate);
+        assert.isTrue(order.custom.promiseDeliveryMismatch);
+        assert.include(order.notes[0].text, 'no longer delivers to the address');
+    });
+
+    it('should not flag shipments the shopper was not shown a date for', function() {
+        var order = createOrder([createShipment('me', '90210', null)]);
+
+        var result = promiseDeliveryOrder.stampOrderPromise(order);
+
+        assert.deepEqual(result.mismatches, []);
+        assert.equal(order.custom.promiseDeliveryDate, '2025-12-29');
+        assert.isFalse(order.custom.promiseDeliveryMismatch);
+    });
+
+    it('should skip store pickup shipments and shipments without products', function() {
+        var pickup = createShipment('pickup', '90210', '2025-12-20', {storePickup: true});
+        var giftCertificates = createShipment('email', '90210', null, {lineItems: []});
+        var order = createOrder([pickup, giftCertificates]);
+
+        var result = promiseDeliveryOrder.stampOrderPromise(order);
+
+        assert.deepEqual(promiseRequests, []);
+        assert.isUndefined(pickup.custom.promiseDeliveryDate);
+        assert.deepEqual(result, {promiseDeliveryDate: null, mismatches: []});
+        assert.isFalse(order.custom.promiseDeliveryMismatch);
+    });
+});
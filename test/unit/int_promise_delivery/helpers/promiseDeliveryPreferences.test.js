@@ -0,0 +1,131 @@
+'use strict';
+
+/**
+ * Unit Tests for Promise Delivery Site Preferences
+ */
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('Promise Delivery Preferences', function() {
+
+    var preferences;
+    var loggedWarnings;
+
+    /**
+     * Load the module against a site with the given custom preference values
+     * @param {Object} values - Site Preference values keyed by preference ID
+     * @returns {Object} The preferences module
+     */
+    function loadWithPreferences(values) {
+        loggedWarnings = [];
+        return proxyquire('../../../../cartridges/int_promise_delivery/helpers/promiseDeliveryPreferences', {
+            'dw/system/Logger': {
+                getLogger: function() {
+                    return {
+                        warn: function(message) {
+                            loggedWarnings.push(message);
+                        }
+                    };
+                }
+            },
+            'dw/system/Site': {
+                getCurrent: function() {
+                    return {
+                        getCustomPreferenceValue: function(id) {
+                            return id in values ? values[id] : null;
+                        }
+                    };
+                }
+            }
+        });
+    }
+
+    it('should return an empty config when no preference is set', function() {
+        preferences = loadWithPreferences({});
+
+        assert.deepEqual(preferences.getConfig(), {});
+    });
+
+    it('should map Site Preferences to engine configuration keys', function() {
+        preferences = loadWithPreferences({
+            promiseDeliveryCutoffHour: 15,
+            promiseDeliveryOriginZip: '75201',
+            promiseDeliveryTimezone: 'America/Chicago',
+            promiseDeliveryDefaultShippingMethod: 'express'
+        });
+
+        assert.deepEqual(preferences.getConfig(), {
+            CUTOFF_HOUR_EST: 15,
+            ORIGIN_ZIP: '75201',
+            TIMEZONE: 'America/Chicago',
+            DEFAULT_SHIPPING_METHOD: 'express'
+        });
+    });
+
+    it('should leave out empty preferences so defaults apply', function() {
+        preferences = loadWithPreferences({
+            promiseDeliveryCutoffHour: 0,
+            promiseDeliveryTimezone: ''
+        });
+
+        // A midnight cutoff (0) is a valid value and must be kept
+        assert.deepEqual(preferences.getConfig(), {CUTOFF_HOUR_EST: 0});
+    });
+
+    it('should parse the fulfillment locations JSON', function() {
+        preferences = loadWithPreferences({
+            promiseDeliveryFulfillmentLocations: '[{"id": "nyc", "zipCode": "10001"}, {"id": "lax", "zipCode": "90001"}]'
+        });
+
+        assert.deepEqual(preferences.getConfig().FULFILLMENT_LOCATIONS, [
+            {id: 'nyc', zipCode: '10001'},
+            {id: 'lax', zipCode: '90001'}
+        ]);
+    });
+
+    it('should parse the shipping method services JSON', function() {
+        preferences = loadWithPreferences({
+            promiseDeliveryShippingMethodServices: '{"standard": "usps-ground-advantage"}'
+        });
+
+        assert.deepEqual(preferences.getConfig().SHIPPING_METHOD_SERVICES, {
+            standard: 'usps-ground-advantage'
+        });
+    });
+
+    it('should parse the promise methods JSON', function() {
+        preferences = loadWithPreferences({
+            promiseDeliveryPromiseMethods: '{"004": "2-day"}'
+        });
+
+        assert.deepEqual(preferences.getConfig().PROMISE_METHODS, {'004': '2-day'});
+    });
+
+    it('should parse the warehouse calendar JSON', function() {
+        preferences = loadWithPreferences({
+            promiseDeliveryWarehouseCalendar: '{"workDays": [1, 2, 3, 4, 5, 6]}'
+        });
+
+        assert.deepEqual(preferences.getConfig().WAREHOUSE_CALENDAR, {workDays: [1, 2, 3, 4, 5, 6]});
+    });
+
+    it('should parse the serviceability rules JSON', function() {
+        preferences = loadWithPreferences({
+            promiseDeliveryServiceabilityRules: '[{"id": "no-hawaii", "postalCodePrefixes": ["967", "968"]}]'
+        });
+
+        assert.deepEqual(preferences.getConfig().SERVICEABILITY_RULES, [
+            {id: 'no-hawaii', postalCodePrefixes: ['967', '968']}
+        ]);
+    });
+
+    it('should ignore and log invalid fulfillment locations JSON', function() {
+        preferences = loadWithPreferences({
+            promiseDeliveryFulfillmentLocations: '[{"id": "nyc"'
+        });
+
+        assert.notProperty(preferences.getConfig(), 'FULFILLMENT_LOCATIONS');
+        assert.lengthOf(loggedWarnings, 1);
+    });
+});
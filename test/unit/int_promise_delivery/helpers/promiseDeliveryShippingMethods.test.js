@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * Unit Tests for Promise Delivery Shipping Methods
+ */
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('Promise Delivery Shipping Methods', function() {
+
+    var shippingMethods;
+    var currentBasket;
+    var requestedAddresses;
+    var siteOrderValues;
+    var allShippingMethodsReads;
+
+    /**
+     * Build a mock money value
+     * @param {number} value - Amount
+     * @param {string} currencyCode - Currency code
+     * @returns {Object} Mock dw.value.Money
+     */
+    function Money(value, currencyCode) {
+        this.value = value;
+        this.currencyCode = currencyCode;
+        this.available = true;
+    }
+
+    /**
+     * Build a mock shipping method
+     * @param {string} id - Shipping method ID
+     * @param {string} displayName - Display name
+     * @param {boolean} [storePickupEnabled] - Store pickup method
+     * @param {string} [promiseDeliveryMethod] - Promise shipping method attribute
+     * @returns {Object} Mock dw.order.ShippingMethod
+     */
+    function createShippingMethod(id, displayName, storePickupEnabled, promiseDeliveryMethod) {
+        return {
+            ID: id,
+            displayName: displayName,
+            custom: {storePickupEnabled: Boolean(storePickupEnabled), promiseDeliveryMethod: promiseDeliveryMethod || null}
+        };
+    }
+
+    /**
+     * Build a mock collection
+     * @param {Array} items - Items
+     * @returns {Object} Mock dw.util.Collection
+     */
+    function createCollection(items) {
+        return {
+            toArray: function() { return items; }
+        };
+    }
+
+    var ground = createShippingMethod('001', 'Ground');
+    var nextDay = createShippingMethod('003', 'Next Day', false, 'overnight');
+    var pickup = createShippingMethod('005', 'Store Pickup', true);
+
+    beforeEach(function() {
+        currentBasket = null;
+        requestedAddresses = [];
+        siteOrderValues = [];
+        allShippingMethodsReads = 0;
+
+        shippingMethods = proxyquire('../../../../cartridges/int_promise_delivery/helpers/promiseDeliveryShippingMethods', {
+            'dw/order/BasketMgr': {
+                getCurrentBasket: function() { return currentBasket; }
+            },
+            'dw/order/ShippingMgr': {
+                getAllShippingMethods: function() {
+                    allShippingMethodsReads++;
+                    return createCollection([ground, nextDay, pickup]);
+                },
+                getShippingCost: function(shippingMethod, orderValue) {
+                    siteOrderValues.push(orderValue);
+                    return new Money(shippingMethod === ground ? 5 : 25, orderValue.currencyCode);
+                },
+                getShipmentShippingModel: function(shipment) {
+                    assert.equal(shipment, currentBasket.defaultShipment);
+                    return {
+                        getApplicableShippingMethods: function(address) {
+                            requestedAddresses.push(address);
+                            return createCollection([ground, pickup]);
+                        },
+                        getShippingCost: function() {
+                            return {amount: new Money(0, 'EUR')};
+                        }
+                    };
+                }
+            },
+            'dw/system/Site': {
+                getCurrent: function() {
+                    return {getDefaultCurrency: function() { return 'USD'; }};
+                }
+            },
+            'dw/value/Money': Money
+        });
+    });
+
+    it('should list the active shipping methods of the site without a basket', function() {
+        var result = shippingMethods.getShippingMethods({postalCode: '90210', countryCode: 'US'});
+
+        assert.deepEqual(result, [
+            {id: '001', name: 'Ground', price: 5, currencyCode: 'USD'},
+            {id: '003', name: 'Next Day', price: 25, currencyCode: 'USD'}
+        ]);
+        // Priced for an empty order in the site currency
+        assert.equal(siteOrderValues[0].value, 0);
+        assert.equal(siteOrderValues[0].currencyCode, 'USD');
+    });
+
+    it('should list the methods applicable to the basket at the destination with their basket cost', function() {
+        currentBasket = {defaultShipment: {}};
+        var result = shippingMethods.getShippingMethods({postalCode: 'K1A 0B1', countryCode: 'CA'});
+
+        assert.deepEqual(requestedAddresses, [{postalCode: 'K1A 0B1', countryCode: 'CA'}]);
+        assert.deepEqual(result, [{id: '001', name: 'Ground', price: 0, currencyCode: 'EUR'}]);
+    });
+
+    it('should leave out store pickup methods', function() {
+        var ids = shippingMethods.getShippingMethods({postalCode: '90210', countryCode: 'US'}).map(function(method) {
+            return method.id;
+        });
+
+        assert.notInclude(ids, '005');
+    });
+
+    it('should read the promise method attribute of a shipping method', function() {
+        assert.equal(shippingMethods.getPromiseMethodId('003'), 'overnight');
+        assert.isNull(shippingMethods.getPromiseMethodId('001'));
+        assert.isNull(shippingMethods.getPromiseMethodId('unknown'));
+        assert.isNull(shippingMethods.getPromiseMethodId(undefined));
+    });
+
+    it('should read each shipping method only once', function() {
+        shippingMethods.getPromiseMethodId('003');
+        shippingMethods.getPromiseMethodId('003');
+
+        assert.equal(allShippingMethodsReads, 1);
+    });
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * Unit Tests for Promise Delivery Transit Times
+ */
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('Promise Delivery Transit', function() {
+
+    var transit;
+    var requestedKeys;
+
+    beforeEach(function() {
+        requestedKeys = [];
+        var lanes = {
+            '100-006-ups-ground': {custom: {ID: '100-006-ups-ground', transitDays: 6}},
+            '100-006-fedex-2day': {custom: {ID: '100-006-fedex-2day', transitDays: null}}
+        };
+
+        transit = proxyquire('../../../../cartridges/int_promise_delivery/helpers/promiseDeliveryTransit', {
+            'dw/object/CustomObjectMgr': {
+                getCustomObject: function(type, key) {
+                    assert.equal(type, 'PromiseDeliveryTransitTime');
+                    requestedKeys.push(key);
+                    return lanes[key] || null;
+                },
+                getAllCustomObjects: function(type) {
+                    assert.equal(type, 'PromiseDeliveryTransitTime');
+                    var objects = Object.keys(lanes).map(function(key) { return lanes[key]; });
+                    return {
+                        hasNext: function() { return objects.length > 0; },
+                        next: function() { return objects.shift(); },
+                        close: function() {}
+                    };
+                }
+            }
+        });
+    });
+
+    it('should build lane keys from origin, destination and service', function() {
+        assert.equal(transit.getLaneKey('100', '006', 'ups-ground'), '100-006-ups-ground');
+    });
+
+    it('should return the transit days of a lane custom object', function() {
+        assert.equal(transit.getTransitDays('100', '006', 'ups-ground'), 6);
+    });
+
+    it('should return null when no custom object defines the lane', function() {
+        assert.isNull(transit.getTransitDays('100', '191', 'ups-ground'));
+        assert.isNull(transit.getTransitDays('100', '006', 'fedex-2day'));
+    });
+
+    it('should return every lane with transit days', function() {
+        assert.deepEqual(transit.getLanes(), {'100-006-ups-ground': 6});
+    });
+
+    it('should read each lane only once', function() {
+        transit.getTransitDays('100', '006', 'ups-ground');
+        transit.getTransitDays('100', '006', 'ups-ground');
+        transit.getTransitDays('100', '191', 'ups-ground');
+        transit.getTransitDays('100', '191', 'ups-ground');
+
+        assert.deepEqual(requestedKeys, ['100-006-ups-ground', '100-191-ups-ground']);
+    });
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * Unit Tests for Promise Delivery Order Hooks
+ */
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('Promise Delivery Order Hooks', function() {
+
+    var hooks;
+    var stampedOrders;
+    var stampError;
+    var loggedErrors;
+
+    /**
+     * Build a mock status
+     * @param {number} status - Status code
+     * @returns {Object} Mock dw.system.Status
+     */
+    function Status(status) {
+        this.status = status;
+    }
+    Status.OK = 0;
+    Status.ERROR = 1;
+
+    beforeEach(function() {
+        stampedOrders = [];
+        stampError = null;
+        loggedErrors = [];
+
+        hooks = proxyquire('../../../../cartridges/int_promise_delivery/hooks/promiseDeliveryOrderHooks', {
+            'dw/system/Logger': {
+                getLogger: function() {
+                    return {
+                        error: function(message, orderNo) {
+                            loggedErrors.push(orderNo);
+                        }
+                    };
+                }
+            },
+            'dw/system/Status': Status,
+            '../helpers/promiseDeliveryOrder': {
+                stampOrderPromise: function(order) {
+                    if (stampError) {
+                        throw stampError;
+                    }
+                    stampedOrders.push(order);
+                }
+            }
+        });
+    });
+
+    it('should stamp the promise of the created order', function() {
+        var order = {orderNo: '00001'};
+        var status = hooks.afterPOST(order);
+
+        assert.deepEqual(stampedOrders, [order]);
+        assert.equal(status.status, Status.OK);
+    });
+
+    it('should log a failed promise without failing the order', function() {
+        stampError = new Error('Calendar unavailable');
+        var status = hooks.afterPOST({orderNo: '00002'});
+
+        assert.deepEqual(loggedErrors, ['00002']);
+        assert.equal(status.status, Status.OK);
+    });
+});
@@ -0,0 +1,50 @@
+'use strict';
+
+/**
+ * Unit Tests for Promise Delivery Product Hooks
+ */
+
+var assert = require('chai').assert;
+var proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+
+describe('Promise Delivery Product Hooks', function() {
+
+    var hooks;
+
+    /**
+     * Build a mock status
+     * @param {number} status - Status code
+     * @returns {Object} Mock dw.system.Status
+     */
+    function Status(status) {
+        this.status = status;
+    }
+    Status.OK = 0;
+
+    beforeEach(function() {
+        hooks = proxyquire('../../../../cartridges/int_promise_delivery/hooks/promiseDeliveryProductHooks', {
+            'dw/system/Status': Status,
+            '../helpers/promiseDeliveryHandling': {
+                getHandlingDays: function(productId) {
+                    // engraved-pen inherits the handling days of its category
+                    return productId === 'engraved-pen' ? 3 : null;
+                }
+            }
+        });
+    });
+
+    it('should expose the resolved handling days of the product', function() {
+        var productResponse = {id: 'engraved-pen'};
+        var status = hooks.modifyGETResponse({ID: 'engraved-pen'}, productResponse);
+
+        assert.equal(productResponse.c_promiseDeliveryHandlingDays, 3);
+        assert.equal(status.status, Status.OK);
+    });
+
+    it('should leave products without handling days unchanged', function() {
+        var productResponse = {id: 'shirt'};
+        hooks.modifyGETResponse({ID: 'shirt'}, productResponse);
+
+        assert.deepEqual(productResponse, {id: 'shirt'});
+    });
+});
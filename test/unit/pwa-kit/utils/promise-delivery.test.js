@@ -35,10 +35,10 @@ describe('PWA-Kit Promise Delivery Utility', function () {
             assert.equal(promiseDelivery.getTransitDays('79999'), 4)
         })
 
-        it('should return 5 days for ZIP codes 80000-99999', function () {
+        it('should return 5 days for contiguous ZIP codes 80000-99999', function () {
             assert.equal(promiseDelivery.getTransitDays('80000'), 5)
             assert.equal(promiseDelivery.getTransitDays('90210'), 5)
-            assert.equal(promiseDelivery.getTransitDays('99999'), 5)
+            assert.equal(promiseDelivery.getTransitDays('98199'), 5)
         })
 
         it('should return 5 days for invalid ZIP codes', function () {
@@ -94,6 +94,27 @@ describe('PWA-Kit Promise Delivery Utility', function () {
             assert.equal(result.transitDays, 1)
         })
 
+        it('should accept destinations outside the US', function () {
+            var result = promiseDelivery.calculateDeliveryDate(
+                {postalCode: 'k1a0b1', countryCode: 'CA'},
+                'standard'
+            )
+
+            assert.isNotNull(result)
+            assert.equal(result.transitDays, 5)
+        })
+
+        it('should promise the default shipping method to APO/FPO addresses', function () {
+            var apoZipCodes = ['09001', '34001', '96201']
+
+            apoZipCodes.forEach(function (zipCode) {
+                var result = promiseDelivery.calculateDeliveryDate(zipCode)
+
+                assert.isNotNull(result, zipCode)
+                assert.equal(result.carrierServiceId, 'usps-ground-advantage')
+            })
+        })
+
         it('should format date with ordinal suffix', function () {
             var result = promiseDelivery.calculateDeliveryDate('90210')
 
@@ -105,6 +126,52 @@ describe('PWA-Kit Promise Delivery Utility', function () {
         })
     })
 
+    describe('date-only values', function () {
+        it('should match the local calendar dates of the result', function () {
+            var result = promiseDelivery.calculateDeliveryDate('90210')
+
+            assert.equal(
+                result.deliveryDateISO,
+                promiseDelivery.formatDateString(result.deliveryDate)
+            )
+            assert.equal(result.shipDateISO, promiseDelivery.formatDateString(result.shipDate))
+            assert.match(result.deliveryDateISO, /^\d{4}-\d{2}-\d{2}$/)
+        })
+
+        it('should round trip through parseDateString', function () {
+            var date = promiseDelivery.parseDateString('2025-01-01')
+
+            assert.equal(date.getFullYear(), 2025)
+            assert.equal(date.getMonth(), 0)
+            assert.equal(date.getDate(), 1)
+            assert.equal(promiseDelivery.formatDateString(date), '2025-01-01')
+        })
+    })
+
+    describe('postal codes', function () {
+        it('should validate postal codes by country', function () {
+            assert.isTrue(promiseDelivery.isValidPostalCode('90210'))
+            assert.isTrue(promiseDelivery.isValidPostalCode('k1a 0b1', 'CA'))
+            assert.isFalse(promiseDelivery.isValidPostalCode('k1a 0b1', 'US'))
+            assert.isFalse(promiseDelivery.isValidPostalCode('90210', 'FR'))
+        })
+
+        it('should normalize postal codes', function () {
+            assert.equal(promiseDelivery.normalizePostalCode('sw1a1aa', 'GB'), 'SW1A 1AA')
+            assert.isNull(promiseDelivery.normalizePostalCode('invalid', 'GB'))
+        })
+
+        it('should sanitize postal code input for the country', function () {
+            assert.equal(promiseDelivery.sanitizePostalCodeInput('90210-12345', 'US'), '90210-1234')
+            assert.equal(promiseDelivery.sanitizePostalCodeInput('k1a-0b1', 'CA'), 'K1A0B1')
+        })
+
+        it('should list the supported countries', function () {
+            assert.equal(promiseDelivery.DEFAULT_COUNTRY_CODE, 'US')
+            assert.includeMembers(promiseDelivery.SUPPORTED_COUNTRY_CODES, ['US', 'CA', 'GB', 'MX'])
+        })
+    })
+
     describe('isBusinessDay', function () {
         it('should return false for Saturday', function () {
             // Create a known Saturday (e.g., Dec 28, 2024)
@@ -241,6 +308,506 @@ describe('PWA-Kit Promise Delivery Utility', function () {
         })
     })
 
+    describe('getZonedTime', function () {
+        it('should read the wall clock time in the requested timezone', function () {
+            // 07:30 UTC on Jan 15 is still Jan 14 in Los Angeles
+            assert.deepEqual(
+                promiseDelivery.getZonedTime(
+                    new Date(Date.UTC(2025, 0, 15, 7, 30)),
+                    'America/Los_Angeles'
+                ),
+                {year: 2025, month: 0, day: 14, hour: 23, minute: 30}
+            )
+        })
+
+        it('should report midnight as hour 0', function () {
+            assert.deepEqual(
+                promiseDelivery.getZonedTime(
+                    new Date(Date.UTC(2025, 0, 15, 5)),
+                    'America/New_York'
+                ),
+                {year: 2025, month: 0, day: 15, hour: 0, minute: 0}
+            )
+        })
+
+        it('should skip the missing hour when DST starts', function () {
+            // March 9, 2025: 1:59 AM EST is followed by 3:00 AM EDT
+            var before = promiseDelivery.getZonedTime(
+                new Date(Date.UTC(2025, 2, 9, 6, 59)),
+                'America/New_York'
+            )
+            var after = promiseDelivery.getZonedTime(
+                new Date(Date.UTC(2025, 2, 9, 7)),
+                'America/New_York'
+            )
+
+            assert.deepEqual([before.hour, before.minute], [1, 59])
+            assert.deepEqual([after.hour, after.minute], [3, 0])
+        })
+
+        it('should repeat the hour when DST ends', function () {
+            // November 2, 2025: 1:30 AM EDT and 1:30 AM EST are an hour apart
+            var first = promiseDelivery.getZonedTime(
+                new Date(Date.UTC(2025, 10, 2, 5, 30)),
+                'America/New_York'
+            )
+            var second = promiseDelivery.getZonedTime(
+                new Date(Date.UTC(2025, 10, 2, 6, 30)),
+                'America/New_York'
+            )
+
+            assert.deepEqual(first, second)
+            assert.deepEqual(first, {year: 2025, month: 10, day: 2, hour: 1, minute: 30})
+        })
+    })
+
+    describe('getZonedTimestamp', function () {
+        it('should return the instant of a wall clock time in the requested timezone', function () {
+            assert.equal(
+                promiseDelivery.getZonedTimestamp(2025, 0, 15, 14, 'America/New_York'),
+                Date.UTC(2025, 0, 15, 19)
+            )
+            assert.equal(
+                promiseDelivery.getZonedTimestamp(2025, 6, 15, 14, 'America/New_York'),
+                Date.UTC(2025, 6, 15, 18)
+            )
+        })
+
+        it('should follow the offset of the day when DST starts or ends', function () {
+            assert.equal(
+                promiseDelivery.getZonedTimestamp(2025, 2, 9, 14, 'America/New_York'),
+                Date.UTC(2025, 2, 9, 18)
+            )
+            assert.equal(
+                promiseDelivery.getZonedTimestamp(2025, 10, 2, 14, 'America/New_York'),
+                Date.UTC(2025, 10, 2, 19)
+            )
+        })
+    })
+
+    describe('cutoff countdown', function () {
+        it('should report when the promise expires', function () {
+            var result = promiseDelivery.calculateDeliveryDate('90210')
+
+            assert.isAbove(result.cutoffAt, Date.now() - 1000)
+            assert.isAbove(result.msUntilCutoff, 0)
+            assert.isAtMost(result.msUntilCutoff, result.cutoffAt - Date.now() + 1000)
+        })
+    })
+
+    describe('createPromiseDelivery', function () {
+        it('should create an engine with its own configuration', function () {
+            var engine = promiseDelivery.createPromiseDelivery({ORIGIN_ZIP: '90001'})
+
+            assert.equal(engine.getTransitDays('90210'), 1)
+            assert.equal(promiseDelivery.getTransitDays('90210'), 5)
+        })
+
+        it('should ship from a location that has the product in stock', function () {
+            var product = {
+                id: 'product-1',
+                inventory: {id: 'inventory_nyc', orderable: true, ats: 10},
+                inventories: [
+                    {id: 'inventory_nyc', orderable: true, ats: 10},
+                    {id: 'inventory_lax', orderable: false, ats: 0}
+                ]
+            }
+            var engine = promiseDelivery.createPromiseDelivery(
+                {
+                    FULFILLMENT_LOCATIONS: [
+                        {id: 'nyc', zipCode: '10001', inventoryListId: 'inventory_nyc'},
+                        {id: 'lax', zipCode: '90001', inventoryListId: 'inventory_lax'}
+                    ]
+                },
+                {inventoryLookup: promiseDelivery.createProductInventoryLookup(product)}
+            )
+
+            var result = engine.calculateDeliveryDate('90210', 'standard', {productId: product.id})
+            assert.equal(result.fulfillmentLocationId, 'nyc')
+            assert.equal(result.transitDays, 5)
+        })
+    })
+
+    describe('getProductStockedLocationIds', function () {
+        var engine = promiseDelivery.createPromiseDelivery({
+            FULFILLMENT_LOCATIONS: [
+                {id: 'nyc', zipCode: '10001', inventoryListId: 'inventory_nyc'},
+                {id: 'lax', zipCode: '90001', inventoryListId: 'inventory_lax'}
+            ]
+        })
+        var product = {
+            id: 'product-1',
+            inventories: [
+                {id: 'inventory_nyc', orderable: true, ats: 1},
+                {id: 'inventory_lax', orderable: true, ats: 5}
+            ]
+        }
+
+        it('should list the locations that stock the quantity', function () {
+            var locations = engine.fulfillmentLocations
+
+            assert.deepEqual(promiseDelivery.getProductStockedLocationIds(product, 1, locations), [
+                'nyc',
+                'lax'
+            ])
+            assert.deepEqual(promiseDelivery.getProductStockedLocationIds(product, 2, locations), [
+                'lax'
+            ])
+        })
+
+        it('should ship from the locations of the product context', function () {
+            var stockedLocationIds = promiseDelivery.getProductStockedLocationIds(
+                product,
+                2,
+                engine.fulfillmentLocations
+            )
+            var result = engine.calculateDeliveryDate('10001', 'standard', {
+                productId: product.id,
+                quantity: 2,
+                stockedLocationIds
+            })
+
+            assert.equal(result.fulfillmentLocationId, 'lax')
+        })
+
+        it('should leave the location to the engine with a single location', function () {
+            assert.isUndefined(promiseDelivery.getProductStockedLocationIds(product))
+            assert.isUndefined(
+                promiseDelivery.getProductStockedLocationIds(null, 1, engine.fulfillmentLocations)
+            )
+            assert.deepEqual(promiseDelivery.getFulfillmentInventoryIds(), [])
+        })
+    })
+
+    describe('createProductInventoryLookup', function () {
+        var product = {
+            inventory: {id: 'default', orderable: true, ats: 3},
+            inventories: [{id: 'inventory_lax', orderable: true, ats: 1}]
+        }
+        var isAvailable = promiseDelivery.createProductInventoryLookup(product)
+
+        it('should use product.inventory for locations without an inventory list', function () {
+            assert.isTrue(isAvailable({inventoryListId: null}, 'product-1', 3))
+            assert.isFalse(isAvailable({inventoryListId: null}, 'product-1', 4))
+        })
+
+        it('should match product.inventories by inventory list ID', function () {
+            assert.isTrue(isAvailable({inventoryListId: 'inventory_lax'}, 'product-1', 1))
+            assert.isFalse(isAvailable({inventoryListId: 'inventory_sea'}, 'product-1', 1))
+        })
+    })
+
+    describe('getProductHandlingDays', function () {
+        it('should read the handling days of the product', function () {
+            assert.equal(
+                promiseDelivery.getProductHandlingDays({c_promiseDeliveryHandlingDays: 3}),
+                3
+            )
+            assert.equal(
+                promiseDelivery.getProductHandlingDays(
+                    {c_promiseDeliveryHandlingDays: 0},
+                    {c_promiseDeliveryHandlingDays: 2}
+                ),
+                0
+            )
+        })
+
+        it('should fall back to the category default', function () {
+            assert.equal(
+                promiseDelivery.getProductHandlingDays({}, {c_promiseDeliveryHandlingDays: 2}),
+                2
+            )
+            assert.equal(promiseDelivery.getProductHandlingDays({}), 0)
+            assert.equal(promiseDelivery.getProductHandlingDays(undefined), 0)
+        })
+    })
+
+    describe('getProductInStockDate', function () {
+        var product = {
+            inventory: {
+                orderable: true,
+                backorderable: true,
+                stockLevel: 1,
+                inStockDate: '2026-03-03'
+            }
+        }
+
+        it('should return the in-stock date when the stock level does not cover the quantity', function () {
+            assert.equal(promiseDelivery.getProductInStockDate(product, 2), '2026-03-03')
+        })
+
+        it('should return null for products in stock or without an in-stock date', function () {
+            assert.isNull(promiseDelivery.getProductInStockDate(product))
+            assert.isNull(promiseDelivery.getProductInStockDate({inventory: {stockLevel: 0}}))
+            assert.isNull(promiseDelivery.getProductInStockDate(undefined))
+        })
+    })
+
+    describe('getBasketPromiseItems', function () {
+        var productItems = [
+            {itemId: 'item-1', productId: 'ring', quantity: 1},
+            {itemId: 'item-2', productId: 'shirt', quantity: 3}
+        ]
+        var products = [
+            {id: 'ring', c_promiseDeliveryHandlingDays: 2, inventory: {stockLevel: 5}},
+            {id: 'shirt', inventory: {stockLevel: 1, inStockDate: '2026-03-03T00:00:00.000Z'}}
+        ]
+
+        it('should read the handling days and in-stock date of each item', function () {
+            assert.deepEqual(promiseDelivery.getBasketPromiseItems(productItems, products), [
+                {
+                    itemId: 'item-1',
+                    productId: 'ring',
+                    quantity: 1,
+                    handlingDays: 2,
+                    inStockDate: null,
+                    // A single fulfillment location, the engine ships from it
+                    stockedLocationIds: undefined
+                },
+                {
+                    itemId: 'item-2',
+                    productId: 'shirt',
+                    quantity: 3,
+                    handlingDays: 0,
+                    inStockDate: '2026-03-03',
+                    stockedLocationIds: undefined
+                }
+            ])
+        })
+
+        it('should promise items whose products are not loaded yet without product data', function () {
+            var items = promiseDelivery.getBasketPromiseItems(productItems)
+
+            assert.equal(items[0].handlingDays, 0)
+            assert.isNull(items[0].inStockDate)
+            assert.deepEqual(promiseDelivery.getBasketPromiseItems(undefined), [])
+        })
+
+        it('should split the basket promise of items shipping on different days', function () {
+            // The ring ships 2 business days after the shirt
+            var promise = promiseDelivery.calculateBasketPromise(
+                '90210',
+                'standard',
+                promiseDelivery.getBasketPromiseItems(productItems, [products[0]])
+            )
+
+            assert.equal(promise.packageCount, 2)
+            assert.equal(promise.packages[1].items[0].productId, 'ring')
+            assert.equal(promise.deliveryDateISO, promise.packages[1].deliveryDateISO)
+        })
+    })
+
+    describe('getPromiseMethodId', function () {
+        var mapping = {'001': 'standard', '002': 'express'}
+
+        it('should prefer the c_promiseDeliveryMethod attribute of the shipping method', function () {
+            assert.equal(
+                promiseDelivery.getPromiseMethodId(
+                    {id: '001', name: 'Overnight', c_promiseDeliveryMethod: 'overnight'},
+                    mapping
+                ),
+                'overnight'
+            )
+        })
+
+        it('should map shipping method IDs without the attribute', function () {
+            assert.equal(
+                promiseDelivery.getPromiseMethodId({id: '002', name: 'Ground'}, mapping),
+                'express'
+            )
+            assert.equal(promiseDelivery.getPromiseMethodId('001', mapping), 'standard')
+        })
+
+        it('should map SFCC shipping method IDs like the cartridge without a mapping', function () {
+            // PROMISE_METHODS of the engine, which the cartridge falls back to as well
+            assert.equal(promiseDelivery.getPromiseMethodId({id: '002'}), 'express')
+            assert.equal(promiseDelivery.getPromiseMethodId('003', {}), 'overnight')
+            assert.equal(promiseDelivery.getPromiseMethodId('002', {'002': '2-day'}), '2-day')
+        })
+
+        it('should keep the ID of unmapped shipping methods, whatever their name', function () {
+            assert.equal(
+                promiseDelivery.getPromiseMethodId({id: '004', name: 'Express Overnight'}, mapping),
+                '004'
+            )
+            assert.equal(promiseDelivery.getPromiseMethodId({id: 'express'}), 'express')
+            assert.isUndefined(promiseDelivery.getPromiseMethodId(undefined, mapping))
+        })
+    })
+
+    describe('merchant closures', function () {
+        var closures = [
+            {date: '2025-12-24', scope: 'warehouse', fulfillmentLocationId: null, carrierId: null},
+            {date: '2026-01-02', scope: 'both', fulfillmentLocationId: null, carrierId: null}
+        ]
+
+        afterEach(function () {
+            promiseDelivery.setPromiseDeliveryClosures([])
+        })
+
+        it('should look up the closures of a year', function () {
+            var closureLookup = promiseDelivery.createClosureLookup(closures)
+
+            assert.deepEqual(closureLookup(2025), [closures[0]])
+            assert.deepEqual(closureLookup(2026), [closures[1]])
+            assert.deepEqual(closureLookup(2027), [])
+            assert.deepEqual(promiseDelivery.createClosureLookup(undefined)(2025), [])
+        })
+
+        it('should skip the closures set on the module engine', function () {
+            var estimate = promiseDelivery.calculateDeliveryDate('10001', 'standard')
+
+            promiseDelivery.setPromiseDeliveryClosures([
+                {date: estimate.deliveryDateISO, scope: 'carrier'}
+            ])
+            var closedEstimate = promiseDelivery.calculateDeliveryDate('10001', 'standard')
+
+            assert.isAbove(
+                closedEstimate.deliveryDateISO.localeCompare(estimate.deliveryDateISO),
+                0
+            )
+        })
+    })
+
+    describe('Business Manager configuration', function () {
+        afterEach(function () {
+            promiseDelivery.setPromiseDeliveryConfig(undefined, undefined)
+        })
+
+        it('should look up the transit days of a lane', function () {
+            var transitLookup = promiseDelivery.createTransitLookup({'100-191-ups-ground': 9})
+
+            assert.equal(transitLookup('100', '191', 'ups-ground'), 9)
+            assert.isNull(transitLookup('100', '191', 'fedex-2day'))
+            assert.isNull(
+                promiseDelivery.createTransitLookup(undefined)('100', '191', 'ups-ground')
+            )
+        })
+
+        it('should promise with the configuration set on the module engine', function () {
+            promiseDelivery.setPromiseDeliveryConfig(
+                {
+                    SHIPPING_METHOD_SERVICES: {express: 'usps-priority-mail'},
+                    FULFILLMENT_LOCATIONS: [
+                        {id: 'nyc', zipCode: '10001', inventoryListId: 'inventory_nyc'},
+                        {id: 'lax', zipCode: '90001', inventoryListId: 'inventory_lax'}
+                    ]
+                },
+                {'100-191-ups-ground': 9}
+            )
+
+            assert.equal(
+                promiseDelivery.getCarrierService('express').serviceId,
+                'usps-priority-mail'
+            )
+            assert.deepEqual(promiseDelivery.getFulfillmentInventoryIds(), [
+                'inventory_nyc',
+                'inventory_lax'
+            ])
+            assert.equal(
+                promiseDelivery.getTransitDaysForShippingMethod('standard', '19103', '10001'),
+                9
+            )
+        })
+
+        it('should keep the closures when the configuration is set', function () {
+            var estimate = promiseDelivery.calculateDeliveryDate('10001', 'standard')
+
+            promiseDelivery.setPromiseDeliveryClosures([
+                {date: estimate.deliveryDateISO, scope: 'carrier'}
+            ])
+            promiseDelivery.setPromiseDeliveryConfig({})
+            var closedEstimate = promiseDelivery.calculateDeliveryDate('10001', 'standard')
+            promiseDelivery.setPromiseDeliveryClosures([])
+
+            assert.isAbove(
+                closedEstimate.deliveryDateISO.localeCompare(estimate.deliveryDateISO),
+                0
+            )
+        })
+    })
+
+    describe('calculateShipmentPromise', function () {
+        var mapping = {'001': 'standard', '003': 'overnight'}
+        var giftShipment = {
+            shipmentId: 'gift',
+            shippingAddress: {postalCode: '10001', countryCode: 'US'},
+            shippingMethod: {id: '001'}
+        }
+
+        it('should promise a shipment to its own ZIP code with its own method', function () {
+            var promise = promiseDelivery.calculateShipmentPromise(giftShipment, null, mapping)
+            var expected = promiseDelivery.calculateBasketPromise('10001', 'standard', [])
+
+            assert.equal(promise.shipmentId, 'gift')
+            assert.equal(promise.postalCode, '10001')
+            assert.equal(promise.countryCode, 'US')
+            assert.equal(promise.shippingMethodId, '001')
+            assert.equal(promise.promiseMethodId, 'standard')
+            assert.equal(promise.deliveryDateISO, expected.deliveryDateISO)
+        })
+
+        it('should promise the shipment with the selected method', function () {
+            var promise = promiseDelivery.calculateShipmentPromise(giftShipment, '003', mapping)
+            var expected = promiseDelivery.calculateBasketPromise('10001', 'overnight', [])
+
+            assert.equal(promise.shippingMethodId, '003')
+            assert.equal(promise.promiseMethodId, 'overnight')
+            assert.equal(promise.deliveryDateISO, expected.deliveryDateISO)
+        })
+
+        it('should return null without an address or a shipping method', function () {
+            assert.isNull(
+                promiseDelivery.calculateShipmentPromise({shipmentId: 'me'}, '001', mapping)
+            )
+            assert.isNull(
+                promiseDelivery.calculateShipmentPromise(
+                    {shipmentId: 'me', shippingAddress: {postalCode: '90210'}},
+                    null,
+                    mapping
+                )
+            )
+        })
+    })
+
+    describe('getShipmentPromiseAttributes', function () {
+        it('should store the date, method, ship date and transit days of the last package', function () {
+            var ring = {itemId: 'item-1', productId: 'ring', quantity: 1, handlingDays: 2}
+            var promise = promiseDelivery.calculateShipmentPromise(
+                {shipmentId: 'gift', shippingAddress: {postalCode: '10001'}},
+                '001',
+                {'001': 'standard'},
+                [ring, {itemId: 'item-2', productId: 'shirt', quantity: 1}]
+            )
+            var lastPackage = promise.packages[promise.packages.length - 1]
+
+            assert.deepEqual(promiseDelivery.getShipmentPromiseAttributes(promise), {
+                c_customerSelectedDeliveryDate: promise.deliveryDateISO,
+                c_promiseDeliveryMethod: 'standard',
+                c_promiseDeliveryShipDate: lastPackage.shipDateISO,
+                c_promiseDeliveryTransitDays: lastPackage.transitDays
+            })
+            assert.equal(lastPackage.items[0].productId, 'ring')
+        })
+    })
+
+    describe('getBasketPromiseAttributes', function () {
+        it('should store the date the last shipment arrives by', function () {
+            var promises = [
+                {shipmentId: 'me', deliveryDateISO: '2025-12-29'},
+                {shipmentId: 'gift', deliveryDateISO: '2026-01-05'},
+                {shipmentId: 'gift-2', deliveryDateISO: '2025-12-31'}
+            ]
+
+            assert.deepEqual(promiseDelivery.getBasketPromiseAttributes(promises), {
+                c_customerSelectedDeliveryDate: '2026-01-05'
+            })
+            assert.deepEqual(promiseDelivery.getBasketPromiseAttributes([]), {
+                c_customerSelectedDeliveryDate: null
+            })
+        })
+    })
+
     describe('CONFIG', function () {
         it('should have CUTOFF_HOUR_EST set to 14 (2 PM)', function () {
             assert.equal(promiseDelivery.CONFIG.CUTOFF_HOUR_EST, 14)